@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 08.07.2023 00:41:25
+ * Last Modified: 11.08.2023 12:08:27
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -28,9 +28,10 @@ const SessionHandler = require("../sessions/sessionHandler.js");
  * Constructor - Initializes an object which represents a user steam account
  * @class
  * @param {Controller} controller Reference to the controller object
- * @param {number} index The index of this account in the logininfo object
+ * @param {number} index The login index of this account. Must be unique and should not change while the bot is running.
+ * @param {string} [accountName] Name of this account in the logininfo object. Defaults to the account at position `index` in the logininfo object.
  */
-const Bot = function(controller, index) {
+const Bot = function(controller, index, accountName = Object.keys(controller.data.logininfo)[index]) {
 
     /**
      * Reference to the controller object
@@ -62,13 +63,13 @@ const Bot = function(controller, index) {
      */
     this.friendMessageBlock = [];
 
-    let proxyIndex = this.index % controller.data.proxies.length; // Spread all accounts equally with a simple modulo calculation
+    let proxyIndex = controller.data.getProxyIndexOfAccount(accountName, index); // Use pinned proxy or spread all accounts equally
 
     /**
      * Additional login related information for this bot account
      */
     this.loginData = {
-        logOnOptions:  Object.values(controller.data.logininfo)[index], // TODO: This could be an issue later when the index could change at runtime
+        logOnOptions:  controller.data.logininfo[accountName], // Get by name as the position in logininfo can change when accounts are added or removed at runtime
         logOnTries:    0,
         waitingFor2FA: false, // Set by sessionHandler's handle2FA helper to prevent handleLoginTimeout from triggering
         proxyIndex:    proxyIndex,
@@ -81,6 +82,7 @@ const Bot = function(controller, index) {
 
 
     // Load helper files
+    require("./events/chatMessage.js");
     require("./events/debug.js");
     require("./events/disconnected.js");
     require("./events/error.js");
@@ -91,18 +93,13 @@ const Bot = function(controller, index) {
     require("./helpers/checkMsgBlock.js");
     require("./helpers/handleLoginTimeout.js");
     require("./helpers/handleMissingGameLicenses.js");
+    require("./helpers/relog.js");
     require("./helpers/steamChatInteraction.js");
+    require("./helpers/switchProxy.js");
 
     // Create sessionHandler object for this account
     this.sessionHandler = new SessionHandler(this);
 
-    // Create user & community instance
-    logger("debug", `[${this.logPrefix}] Using proxy ${this.loginData.proxyIndex} "${this.loginData.proxy}" to log in to Steam and SteamCommunity...`);
-
-    // Force protocol for now: https://dev.doctormckay.com/topic/4187-disconnect-due-to-encryption-error-causes-relog-to-break-error-already-logged-on/?do=findComment&comment=10917
-    this.user      = new SteamUser({ autoRelogin: false, httpProxy: this.loginData.proxy, protocol: SteamUser.EConnectionProtocol.WebSocket });
-    this.community = new SteamCommunity({ request: request.defaults({ "proxy": this.loginData.proxy }) }); // Pass proxy to community library as well
-
     // Load my library patches
     require("../libraryPatches/CSteamSharedFile.js");
     require("../libraryPatches/profile.js");
@@ -112,7 +109,35 @@ const Bot = function(controller, index) {
     if (global.checkm8!="b754jfJNgZWGnzogvl<rsHGTR4e368essegs9<") this.controller.stop(); // eslint-disable-line
 
 
+    // Create user & community instance and attach all event listeners we need
+    this._createSteamInstances();
+};
+
+
+/**
+ * Status which a bot object can have
+ * @enum {EStatus}
+ */
+Bot.EStatus = EStatus;
+
+
+/**
+ * Internal: Creates the SteamUser and SteamCommunity instances of this account using its current proxy and attaches all event listeners we need. Called by the constructor and when switching proxies.
+ */
+Bot.prototype._createSteamInstances = function() {
+
+    // Create user & community instance
+    logger("debug", `[${this.logPrefix}] Using proxy ${this.loginData.proxyIndex} "${this.loginData.proxy}" to log in to Steam and SteamCommunity...`);
+
+    let proxyOptions = this.data.getProxyOptions(this.loginData.proxy); // Get httpProxy, socksProxy or localAddress options
+
+    // Force protocol for now: https://dev.doctormckay.com/topic/4187-disconnect-due-to-encryption-error-causes-relog-to-break-error-already-logged-on/?do=findComment&comment=10917
+    this.user      = new SteamUser({ autoRelogin: false, protocol: SteamUser.EConnectionProtocol.WebSocket, ...proxyOptions.steam });
+    this.community = new SteamCommunity({ request: request.defaults(proxyOptions.request) }); // Pass proxy to community library as well
+
+
     // Attach all SteamUser event listeners we need
+    this._attachSteamChatMessageEvent();
     this._attachSteamDebugEvent();
     this._attachSteamDisconnectedEvent();
     this._attachSteamErrorEvent();
@@ -133,14 +158,25 @@ const Bot = function(controller, index) {
         lastWebSessionRefresh = Date.now(); // Update time
         this.user.webLogOn();
     });
+
 };
 
 
 /**
- * Status which a bot object can have
- * @enum {EStatus}
+ * Internal: Removes all event listeners from the SteamUser and SteamCommunity instances of this account and logs it off. No relog will be queued and the instances can't be used anymore afterwards.
  */
-Bot.EStatus = EStatus;
+Bot.prototype._destroySteamInstances = function() {
+
+    // Remove all event listeners to prevent the disconnected & error events from queueing a relog
+    let oldUser = this.user;
+
+    oldUser.removeAllListeners();
+    this.community.removeAllListeners();
+
+    oldUser.on("error", (err) => logger("debug", `[${this.logPrefix}] Ignoring error of old SteamUser instance: ${err}`)); // Unhandled error events would crash the bot
+    oldUser.logOff();
+
+};
 
 
 /**
@@ -175,12 +211,14 @@ module.exports = Bot;
 /* -------- Register functions to let the IntelliSense know what's going on in helper files -------- */
 
 /**
- * Checks if user is blocked, has an active cooldown for spamming or isn't a friend
+ * Checks if user is blocked or isn't a friend. Spamming is handled by the commandHandler for all commands.
  * @param {object} steamID64 The steamID64 of the message sender
  * @param {string} message The message string provided by steam-user friendMessage event
+ * @param {function(string): void} [respond] Optional: Function used to notify the user. Defaults to sending them a Steam Chat message from this account
+ * @param {boolean} [allowNonFriends] Optional: Set to true to skip the friend check, for example for messages in group chat rooms. Default: false
  * @returns {boolean} `true` if friendMessage event shouldn't be handled, `false` if user is allowed to be handled
  */
-Bot.prototype.checkMsgBlock = function(steamID64, message) {}; // eslint-disable-line
+Bot.prototype.checkMsgBlock = function(steamID64, message, respond, allowNonFriends) {}; // eslint-disable-line
 
 /**
  * Handles aborting a login attempt should an account get stuck to prevent the bot from softlocking (see issue #139)
@@ -202,10 +240,31 @@ Bot.prototype.handleMissingGameLicenses = function() {};
  */
 Bot.prototype.sendChatMessage = function(_this, resInfo, txt, retry, part = 0) {}; // eslint-disable-line
 
+/**
+ * Our commandHandler respondModule implementation for group chat rooms - Sends a message to the room the command was sent in or privately to the user if `resInfo.privateResponse` is set
+ * @param {object} _this The Bot object context
+ * @param {import("../commands/commandHandler.js").resInfo} resInfo Object containing information passed to command by chatMessage event
+ * @param {string} txt The text to send
+ * @param {number} retry Internal: Counter of retries for this part if sending failed
+ * @param {number} part Internal: Index of which part to send for messages larger than 750 chars
+ */
+Bot.prototype.sendGroupChatMessage = function(_this, resInfo, txt, retry, part = 0) {}; // eslint-disable-line
+
 /**
  * Waits for a Steam Chat message from this user to this account and resolves their message content. The "normal" friendMessage event handler will be blocked for this user.
  * @param {string} steamID64 The steamID64 of the user to read a message from
  * @param {number} timeout Time in ms after which the Promise will be resolved if user does not respond. Pass 0 to disable (not recommended)
  * @returns {Promise.<string|null>} Resolved with `String` on response or `null` on timeout.
  */
-Bot.prototype.readChatMessage = function(steamID64, timeout) {}; // eslint-disable-line
\ No newline at end of file
+Bot.prototype.readChatMessage = function(steamID64, timeout) {}; // eslint-disable-line
+
+/**
+ * Logs this account off and logs it in again using new SteamUser and SteamCommunity instances. Accounts which were skipped during login will be attempted again.
+ */
+Bot.prototype.relog = function() {}; // eslint-disable-line
+
+/**
+ * Moves this account to another proxy by re-creating its SteamUser and SteamCommunity instances and relogging it
+ * @param {number} newProxyIndex Index of the proxy in the proxies array to switch to
+ */
+Bot.prototype.switchProxy = function(newProxyIndex) {}; // eslint-disable-line
\ No newline at end of file
@@ -0,0 +1,86 @@
+/*
+ * File: chatMessage.js
+ * Project: steam-comment-service-bot
+ * Created Date: 09.08.2023 11:03:27
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 12:08:27
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const SteamID = require("steamid");
+
+const Bot = require("../bot.js");
+
+
+/**
+ * Handles messages in group chat rooms set in `advancedconfig.groupChatRooms` and executes commands.
+ */
+Bot.prototype._attachSteamChatMessageEvent = function() {
+
+    this.user.chat.on("chatMessage", (msg) => {
+        let message = msg.message_no_bbcode;
+        let room    = `${msg.chat_group_id}/${msg.chat_id}`;
+
+        // Only let the main bot answer to avoid every account in this room responding
+        if (this != this.controller.main) return;
+
+        // Check if this room was set by the user. Entries can either contain the whole group or one room of it
+        if (!this.controller.data.advancedconfig.groupChatRooms.some(e => e == msg.chat_group_id || e == room)) return logger("debug", `[${this.logPrefix}] Ignoring chat message in room '${room}' as it is not set in groupChatRooms.`);
+
+        if (!message || !message.startsWith("!")) return; // Ignore normal conversations in the room
+
+        let steamID64 = new SteamID(String(msg.steamid_sender)).getSteamID64();
+        let resInfo   = { userID: steamID64, cmdprefix: "!", fromSteamChat: true, chatGroupID: msg.chat_group_id, chatID: msg.chat_id }; // Object required for sendGroupChatMessage(), our commandHandler respondModule implementation for group chats
+
+        if (steamID64 == this.controller.data.cachefile.botaccid[this.index]) return; // Ignore our own messages
+
+        // Check if user is blocked. Room members don't need to be friends with the bot, their steamID64 is still used for cooldowns and owner checks
+        let isBlocked = this.checkMsgBlock(steamID64, message, (txt) => this.sendGroupChatMessage(this, { prefix: "/me", ...resInfo }, txt), true);
+        if (isBlocked) return;
+
+
+        // Log group chat message without sensitive arguments and cut it if it is >= 75 chars
+        let logMessage = this.controller.commandHandler.censorMessage(message, resInfo.cmdprefix);
+
+        if (logMessage.length >= 75) logger("info", `[${this.logPrefix}] Group chat message from ${steamID64} in '${room}': ${logMessage.slice(0, 75) + "..."}`);
+            else logger("info", `[${this.logPrefix}] Group chat message from ${steamID64} in '${room}': ${logMessage}`);
+
+
+        // Add user to the lastcomment database if they are missing to be able to apply cooldowns
+        this.controller.data.lastCommentDB.findOne({ id: steamID64 }, (err, doc) => {
+            if (err) logger("error", "Database error on chatMessage. This is weird. Error: " + err);
+
+            if (!doc) {
+                let lastcommentobj = {
+                    id: steamID64,
+                    time: Date.now() - (this.data.config.commentcooldown * 60000) // Subtract commentcooldown so that the user is able to use the command instantly
+                };
+
+                this.controller.data.lastCommentDB.insert(lastcommentobj, (err) => { if (err) logger("error", "Error inserting new user into lastcomment.db database! Error: " + err); });
+            }
+        });
+
+
+        // Ask command handler to figure out things for us
+        let cont = message.slice(1).split(" "); // Remove prefix and split
+        let args = cont.slice(1);               // Remove cmd name to only get arguments
+
+        // Respond privately to commands which require a role as their output should not be visible to everyone in the room
+        let thisCmd = this.controller.commandHandler.commands.find(e => e.names.includes(cont[0].toLowerCase()));
+
+        if (thisCmd && this.controller.commandHandler.getRequiredRole(thisCmd) != "user") resInfo.privateResponse = true;
+
+        let success = this.controller.commandHandler.runCommand(cont[0].toLowerCase(), args, this.sendGroupChatMessage, this, resInfo);
+
+        if (!success) this.sendGroupChatMessage(this, resInfo, this.controller.data.lang.commandnotfound.replace(/cmdprefix/g, resInfo.cmdprefix)); // Send cmd not found msg if runCommand() returned false
+    });
+
+};
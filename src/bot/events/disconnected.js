@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 29.06.2023 22:35:03
+ * Last Modified: 05.08.2023 12:41:17
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -31,6 +31,7 @@ Bot.prototype._attachSteamDisconnectedEvent = function() {
         logger("info", `${logger.colors.fgred}[${this.logPrefix}] Lost connection to Steam. Message: ${msg} | Check: https://steamstat.us`);
 
         this.controller._statusUpdateEvent(this, Bot.EStatus.OFFLINE); // Set status of this account to offline
+        this.data.recordProxyError(this.loginData.proxyIndex, "connectionFailure");
 
         // Don't relog if account is in skippedaccounts array or if relogAfterDisconnect is false
         if (!this.controller.info.skippedaccounts.includes(this.loginData.logOnOptions.accountName) && this.controller.info.relogAfterDisconnect) {
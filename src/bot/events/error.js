@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 29.06.2023 22:35:03
+ * Last Modified: 08.08.2023 16:48:09
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -33,8 +33,8 @@ Bot.prototype._attachSteamErrorEvent = function() {
             logger("", "", true);
             logger("warn", `${logger.colors.fgred}[${this.logPrefix}] Lost connection to Steam! Reason: LogonSessionReplaced. I won't try to relog this account because someone else is using it now.`, false, false, null, true); // Force print this message now
 
-            // Abort or skip account
-            if (this.index == 0) {
+            // Abort or skip account. The main account can be skipped as well if another account can take over
+            if (this.index == 0 && !this.data.advancedconfig.enableMainFailover) {
                 logger("error", `${logger.colors.fgred}Failed account is bot0! Aborting...`, true);
                 return this.controller.stop();
             } else {
@@ -50,6 +50,7 @@ Bot.prototype._attachSteamErrorEvent = function() {
         if (this.status == Bot.EStatus.ONLINE) { // It must be a fresh connection loss if status has not changed yet
             logger("info", `${logger.colors.fgred}[${this.logPrefix}] Lost connection to Steam. Reason: ${err}`);
             this.controller._statusUpdateEvent(this, Bot.EStatus.OFFLINE); // Set status of this account to offline
+            this.data.recordProxyError(this.loginData.proxyIndex, "connectionFailure");
 
             // Check if this is an intended logoff
             if (this.controller.info.relogAfterDisconnect && !this.controller.info.skippedaccounts.includes(this.loginData.logOnOptions.accountName)) {
@@ -72,15 +73,17 @@ Bot.prototype._attachSteamErrorEvent = function() {
                 // Add additional messages for specific errors to hopefully help the user diagnose the cause
                 if (this.loginData.proxy) logger("", `        Is your proxy ${this.proxyIndex} offline or maybe blocked by Steam?`, true);
 
-                // Abort execution if account is bot0
-                if (this.index == 0) {
+                // Abort execution if account is bot0 and no other account is allowed to take over
+                if (this.index == 0 && !this.data.advancedconfig.enableMainFailover) {
                     logger("", "", true);
                     logger("error", "Aborting because the first bot account always needs to be logged in!\nPlease correct what caused the error and try again.", true);
                     return this.controller.stop();
 
-                } else { // Skip account if not bot0
+                } else { // Skip account if not bot0 or failover is enabled
+
+                    if (this.index == 0) logger("warn", "Failed account is bot0! Skipping account and letting another account take over as the main account...", true);
+                        else logger("info", "Failed account is not bot0. Skipping account...", true);
 
-                    logger("info", "Failed account is not bot0. Skipping account...", true);
                     this.controller._statusUpdateEvent(this, Bot.EStatus.SKIPPED);
                     this.controller.info.skippedaccounts.push(this.loginData.logOnOptions.accountName);
                 }
@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 09:36:42
+ * Last Modified: 11.08.2023 11:36:50
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -30,7 +30,7 @@ Bot.prototype._attachSteamFriendMessageEvent = function() {
         let steamID = msg.steamid_friend;
 
         let steamID64 = new SteamID(String(steamID)).getSteamID64();
-        let resInfo   = { userID: steamID64, cmdprefix: "!", fromSteamChat: true }; // Object required for sendChatMessage(), our commandHandler respondModule implementation
+        let resInfo   = { userID: steamID64, cmdprefix: "!", fromSteamChat: true, botAccountName: this.loginData.logOnOptions.accountName }; // Object required for sendChatMessage(), our commandHandler respondModule implementation
 
         // Check if another friendMessage handler is currently active
         if (this.friendMessageBlock.includes(steamID64)) return logger("debug", `[${this.logPrefix}] Ignoring friendMessage event from ${steamID64} as user is on friendMessageBlock list.`);
@@ -40,13 +40,15 @@ Bot.prototype._attachSteamFriendMessageEvent = function() {
         if (isBlocked) return; // Stop right here if user is blocked, on cooldown or not a friend
 
 
-        // Log friend message but cut it if it is >= 75 chars
-        if (message.length >= 75) logger("info", `[${this.logPrefix}] Friend message from ${steamID64}: ${message.slice(0, 75) + "..."}`);
-            else logger("info", `[${this.logPrefix}] Friend message from ${steamID64}: ${message}`);
+        // Log friend message without sensitive arguments and cut it if it is >= 75 chars
+        let logMessage = this.controller.commandHandler.censorMessage(message, resInfo.cmdprefix);
 
+        if (logMessage.length >= 75) logger("info", `[${this.logPrefix}] Friend message from ${steamID64}: ${logMessage.slice(0, 75) + "..."}`);
+            else logger("info", `[${this.logPrefix}] Friend message from ${steamID64}: ${logMessage}`);
 
-        // Sort out any chat messages not sent to the main bot
-        if (this.index !== 0) {
+
+        // Sort out any chat messages not sent to the main bot, unless every account should answer commands. The main bot is not necessarily bot0 as another account takes over should it go offline
+        if (this != this.controller.main && !this.controller.data.advancedconfig.answerCommandsOnAllAccounts) {
             switch(message.toLowerCase()) {
                 case `${resInfo.cmdprefix}about`: // Please don't change this message as it gives credit to me; the person who put really much of his free time into this project. The bot will still refer to you - the operator of this instance.
                     this.sendChatMessage(this, resInfo, this.controller.data.datafile.aboutstr);
@@ -60,7 +62,7 @@ Bot.prototype._attachSteamFriendMessageEvent = function() {
         }
 
 
-        /* -------------- Handle message event for the main bot -------------- */
+        /* -------------- Handle message event for the main bot (or every bot if answerCommandsOnAllAccounts is enabled) -------------- */
 
         // Check if user is in lastcomment database
         this.controller.data.lastCommentDB.findOne({ id: steamID64 }, (err, doc) => {
@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 29.06.2023 22:35:03
+ * Last Modified: 06.08.2023 14:37:48
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -31,6 +31,11 @@ Bot.prototype._attachSteamLoggedOnEvent = function() {
 
         logger("debug", `[${this.logPrefix}] Public IP of this account: ${this.user.publicIP}`);
 
+        // Update steamID64 of this account in the cache, refreshCache() only runs on ready which accounts added at runtime would miss
+        if (!this.data.cachefile.botaccid) this.data.cachefile.botaccid = []; // Does not exist yet on the first start
+
+        this.data.cachefile.botaccid[this.index] = this.user.steamID.getSteamID64();
+
 
         // Increase progress bar if one is active
         if (logger.getProgressBar()) logger.increaseProgressBar((100 / Object.keys(this.data.logininfo).length) / 3);
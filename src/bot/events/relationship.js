@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 09:33:09
+ * Last Modified: 09.08.2023 17:14:52
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -21,7 +21,7 @@ const Bot = require("../bot.js");
 
 
 /**
- * Accepts a friend request, adds the user to the lastcomment.db database and invites him to your group
+ * Accepts a friend request, adds the user to the lastcomment.db database and invites him to your group. Emits the friendAdded & friendRemoved events.
  */
 Bot.prototype._attachSteamFriendRelationshipEvent = function() {
 
@@ -39,7 +39,7 @@ Bot.prototype._attachSteamFriendRelationshipEvent = function() {
             // Log message and send welcome message
             logger("info", `[${this.logPrefix}] Added User: ` + steamID64);
 
-            if (this.index == 0) this.sendChatMessage(this, { userID: steamID64 }, this.controller.data.lang.useradded.replace(/cmdprefix/g, "!"));
+            if (this == this.controller.main || this.controller.data.advancedconfig.answerCommandsOnAllAccounts) this.sendChatMessage(this, { userID: steamID64 }, this.controller.data.lang.useradded.replace(/cmdprefix/g, "!"));
 
 
             // Add user to lastcomment database
@@ -70,6 +70,16 @@ Bot.prototype._attachSteamFriendRelationshipEvent = function() {
             });
         }
 
+
+        // Emit friendAdded & friendRemoved events for plugins when the friendship was established or ended
+        if (relationship == 3 || relationship == 0) {
+            let steamID64 = new SteamID(String(steamID)).getSteamID64();
+
+            logger("debug", `[${this.logPrefix}] friendRelationship: ${steamID64} is ${relationship == 3 ? "now" : "no longer"} a friend, emitting event...`);
+
+            this.controller.events.emit(relationship == 3 ? "friendAdded" : "friendRemoved", this, steamID64);
+        }
+
     });
 
 };
@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 09:33:16
+ * Last Modified: 09.08.2023 10:12:34
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -42,7 +42,7 @@ Bot.prototype._attachSteamWebSessionEvent = function() {
 
 
         // Run check if all friends are in lastcomment.db database for main bot account
-        if (this.index == 0) this.controller.checkLastcommentDB(this);
+        if (this == this.controller.main) this.controller.checkLastcommentDB(this);
 
 
         /* ------------ Accept offline friend and group invites/requests: ------------ */
@@ -64,7 +64,7 @@ Bot.prototype._attachSteamWebSessionEvent = function() {
                     logger("info", `[${this.logPrefix}] Added user while I was offline! User: ` + thisfriend);
 
                     setTimeout(() => {
-                        if (this.index == 0) this.sendChatMessage(this, { userID: String(thisfriend) }, this.controller.data.lang.useradded.replace(/cmdprefix/g, "!"));
+                        if (this == this.controller.main || this.controller.data.advancedconfig.answerCommandsOnAllAccounts) this.sendChatMessage(this, { userID: String(thisfriend) }, this.controller.data.lang.useradded.replace(/cmdprefix/g, "!"));
                             else logger("debug", "Not sending useradded message because this isn't the main user...");
                     }, 1000 * processedFriendRequests);
 
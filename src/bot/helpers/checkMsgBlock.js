@@ -4,7 +4,7 @@
  * Created Date: 20.03.2023 12:46:47
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 13:05:31
+ * Last Modified: 11.08.2023 12:08:27
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -17,16 +17,16 @@
 
 const Bot = require("../bot.js");
 
-const lastmessage = {}; // Tracks the last cmd usage of a normal command to apply cooldown if the user spams
-
 
 /**
- * Checks if user is blocked, has an active cooldown for spamming or isn't a friend
+ * Checks if user is blocked or isn't a friend. Spamming is handled by the commandHandler for all commands.
  * @param {object} steamID64 The steamID64 of the message sender
  * @param {string} message The message string provided by steam-user friendMessage event
+ * @param {function(string): void} [respond] Optional: Function used to notify the user. Defaults to sending them a Steam Chat message from this account
+ * @param {boolean} [allowNonFriends] Optional: Set to true to skip the friend check, for example for messages in group chat rooms. Default: false
  * @returns {boolean} `true` if friendMessage event shouldn't be handled, `false` if user is allowed to be handled
  */
-Bot.prototype.checkMsgBlock = function(steamID64, message) {
+Bot.prototype.checkMsgBlock = function(steamID64, message, respond = (txt) => this.sendChatMessage(this, { userID: steamID64, prefix: "/me" }, txt), allowNonFriends = false) {
 
     // Check if user is blocked and ignore message
     if (this.user.myFriends[steamID64] == 1 || this.user.myFriends[steamID64] == 6) {
@@ -35,26 +35,9 @@ Bot.prototype.checkMsgBlock = function(steamID64, message) {
     }
 
 
-    // Spam "protection" because spamming the bot is bad!
-    if (!lastmessage[steamID64] || lastmessage[steamID64][0] + this.controller.data.advancedconfig.commandCooldown < Date.now()) lastmessage[steamID64] = [Date.now(), 0]; // Add user to array or Reset time
-    if (lastmessage[steamID64] && lastmessage[steamID64][0] + this.controller.data.advancedconfig.commandCooldown > Date.now() && lastmessage[steamID64][1] > 5) return true; // Just don't respond
-
-    if (lastmessage[steamID64] && lastmessage[steamID64][0] + this.controller.data.advancedconfig.commandCooldown > Date.now() && lastmessage[steamID64][1] > 4) { // Inform the user about the cooldown
-        this.sendChatMessage({ userID: steamID64, prefix: "/me" }, this.controller.data.lang.userspamblock);
-        logger("info", `${steamID64} has been blocked for 90 seconds for spamming.`);
-
-        lastmessage[steamID64][0] += 90000;
-        lastmessage[steamID64][1]++;
-
-        return true;
-    }
-
-    if (!this.controller.data.cachefile.ownerid.includes(steamID64)) lastmessage[steamID64][1]++; // Push new message to array if user isn't an owner (this function is only called for Steam Chat messages, not for plugins)
-
-
     // Deny non-friends the use of any command
-    if (this.user.myFriends[steamID64] != 3) {
-        this.sendChatMessage({ userID: steamID64, prefix: "/me" }, this.controller.data.lang.usernotfriend);
+    if (!allowNonFriends && this.user.myFriends[steamID64] != 3) {
+        respond(this.controller.data.lang.usernotfriend);
         return true;
     }
 
@@ -4,7 +4,7 @@
  * Created Date: 03.11.2022 12:27:46
  * Author: 3urobeat
  *
- * Last Modified: 24.07.2023 19:37:03
+ * Last Modified: 08.08.2023 16:48:09
  * Modified By: 3urobeat
  *
  * Copyright (c) 2022 3urobeat <https://github.com/3urobeat>
@@ -48,15 +48,17 @@ Bot.prototype.handleLoginTimeout = function() {
             // Add additional messages for specific errors to hopefully help the user diagnose the cause
             if (this.loginData.proxy != null) logger("", `        Is your proxy ${this.loginData.proxyIndex} offline or maybe blocked by Steam?`, true);
 
-            // Abort execution if account is bot0
-            if (this.index == 0) {
+            // Abort execution if account is bot0 and no other account is allowed to take over
+            if (this.index == 0 && !this.data.advancedconfig.enableMainFailover) {
                 logger("", "", true);
                 logger("error", "Aborting because the first bot account always needs to be logged in!\nPlease wait a moment and start the bot again.", true);
                 return this.controller.stop();
 
-            } else { // Skip account if not bot0
+            } else { // Skip account if not bot0 or failover is enabled
+
+                if (this.index == 0) logger("warn", "Failed account is bot0! Skipping account and letting another account take over as the main account...", true);
+                    else logger("info", "Failed account is not bot0. Skipping account...", true);
 
-                logger("info", "Failed account is not bot0. Skipping account...", true);
                 this.controller._statusUpdateEvent(this, Bot.EStatus.SKIPPED);
                 this.controller.info.skippedaccounts.push(this.loginData.logOnOptions.accountName);
             }
@@ -65,6 +67,7 @@ Bot.prototype.handleLoginTimeout = function() {
 
             // Force progress if account is stuck
             logger("warn", `Detected timed out login attempt for bot${this.index}! Force progressing login attempt to avoid soft-locking the bot...`, true);
+            this.data.recordProxyError(this.loginData.proxyIndex, "connectionFailure");
 
             this.user.logOff(); // Call logOff() just to be sure
             if (this.sessionHandler.session) this.sessionHandler.session.cancelLoginAttempt(); // TODO: This might cause an error as idk if we are polling. Maybe use the timeout event of steam-session
@@ -0,0 +1,38 @@
+/*
+ * File: relog.js
+ * Project: steam-comment-service-bot
+ * Created Date: 06.08.2023 13:12:05
+ * Author: 3urobeat
+ *
+ * Last Modified: 06.08.2023 14:37:48
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const Bot = require("../bot.js");
+
+
+/**
+ * Logs this account off and logs it in again using new SteamUser and SteamCommunity instances. Accounts which were skipped during login will be attempted again.
+ */
+Bot.prototype.relog = function() {
+    let skippedIndex = this.controller.info.skippedaccounts.indexOf(this.loginData.logOnOptions.accountName);
+
+    logger("info", `[${this.logPrefix}] Logging off and relogging...`);
+
+    // Replace the old instances as they can't be logged in again after their listeners were removed
+    this._destroySteamInstances();
+    this._createSteamInstances();
+
+    // Allow accounts which were skipped to be logged in again
+    if (skippedIndex != -1) this.controller.info.skippedaccounts.splice(skippedIndex, 1);
+
+    this.controller._statusUpdateEvent(this, Bot.EStatus.OFFLINE);
+    this.controller.login();
+};
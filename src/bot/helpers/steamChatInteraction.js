@@ -4,7 +4,7 @@
  * Created Date: 01.04.2023 21:09:00
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 09:29:15
+ * Last Modified: 09.08.2023 12:27:51
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -108,6 +108,53 @@ Bot.prototype.sendChatMessage = function(_this, resInfo, txt, retry = 0, part =
 };
 
 
+/**
+ * Our commandHandler respondModule implementation for group chat rooms - Sends a message to the room the command was sent in or privately to the user if `resInfo.privateResponse` is set
+ * @param {Bot} _this The Bot object context
+ * @param {import("../../commands/commandHandler").resInfo} resInfo Object containing information passed to command by chatMessage event. Supported by this handler: chatGroupID, chatID, privateResponse, prefix, charLimit, cutChars
+ * @param {string} txt The text to send
+ * @param {number} retry Internal: Counter of retries for this part if sending failed
+ * @param {number} part Internal: Index of which part to send for messages larger than charLimit chars
+ */
+Bot.prototype.sendGroupChatMessage = function(_this, resInfo, txt, retry = 0, part = 0) {
+    if (!resInfo) return logger("warn", "sendGroupChatMessage() was called without a resInfo object! Ignoring call...");
+    if (!txt) return logger("warn", "sendGroupChatMessage() was called without any message content! Ignoring call...");
+    if (typeof txt !== "string") return logger("warn", "sendGroupChatMessage() was called with txt that isn't a string! Ignoring call...");
+
+    // Hand over to the friend message implementation for output which should not be visible to everyone in the room
+    if (resInfo.privateResponse) return _this.sendChatMessage(_this, resInfo, txt, retry, part);
+
+    let room = `${resInfo.chatGroupID}/${resInfo.chatID}`;
+
+    // Allow resInfo to overwrite char limit of 750 chars and cutStringsIntelligently's cutChars
+    let limit    = resInfo.charLimit || 750;
+    let cutChars = resInfo.cutChars || null;
+
+    // Get the correct part to send without breaking links and add prefix infront
+    let thisPart = (resInfo.prefix ? resInfo.prefix + " " : "") + cutStringsIntelligently(txt, limit, cutChars)[part];
+
+    if (thisPart.length >= 75) logger("info", `[${_this.logPrefix}] Sending message to room '${room}': "${thisPart.slice(0, 75).replace(/\n/g, "\\n") + "..."}"`);
+        else logger("info", `[${_this.logPrefix}] Sending message to room '${room}': "${thisPart.replace(/\n/g, "\\n")}"`);
+
+    // Send part and call function again if this wasn't the last one
+    _this.user.chat.sendChatMessage(resInfo.chatGroupID, resInfo.chatID, thisPart, (err) => {
+        if (err) {
+            logger("warn", `[${_this.logPrefix}] Error trying to send chat message of length ${thisPart.length} to room '${room}'! ${err}`);
+
+            // Don't bother if account is offline and hard cap amount of attempts to send this message to 3
+            if (_this.status == Bot.EStatus.OFFLINE || retry >= 3) return;
+
+            setTimeout(() => _this.sendGroupChatMessage(_this, resInfo, txt, retry + 1, part), 10000 * (retry + 1)); // Send the same part again and increase delay for subsequent fails
+
+        } else {
+
+            // Send next part if there is one left
+            if (limit * (part + 1) <= txt.length) setTimeout(() => _this.sendGroupChatMessage(_this, resInfo, txt, retry, part + 1), 7500);
+        }
+    });
+};
+
+
 /**
  * Waits for a Steam Chat message from this user to this account and resolves their message content. The "normal" friendMessage event handler will be blocked for this user.
  * @param {string} steamID64 The steamID64 of the user to read a message from
@@ -0,0 +1,35 @@
+/*
+ * File: switchProxy.js
+ * Project: steam-comment-service-bot
+ * Created Date: 05.08.2023 11:02:48
+ * Author: 3urobeat
+ *
+ * Last Modified: 06.08.2023 14:37:48
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const Bot = require("../bot.js");
+
+
+/**
+ * Moves this account to another proxy by re-creating its SteamUser and SteamCommunity instances and relogging it
+ * @param {number} newProxyIndex Index of the proxy in the proxies array to switch to
+ */
+Bot.prototype.switchProxy = function(newProxyIndex) {
+    if (newProxyIndex == this.loginData.proxyIndex) return;
+
+    logger("info", `[${this.logPrefix}] Switching from proxy ${this.loginData.proxyIndex} to proxy ${newProxyIndex} and relogging...`);
+
+    this.loginData.proxyIndex = newProxyIndex;
+    this.loginData.proxy      = this.data.proxies[newProxyIndex];
+
+    // Create new instances which use the new proxy and relog
+    this.relog();
+};
@@ -4,7 +4,7 @@
  * Created Date: 01.04.2023 21:54:21
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 21:25:57
+ * Last Modified: 11.08.2023 18:52:07
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -17,6 +17,10 @@
 
 const fs = require("fs");
 
+const allocationStrategies = require("./helpers/allocationStrategies.js"); // Not destructured as this would break because of the circular import
+const argParser            = require("./helpers/parseArgs.js"); // Not destructured as this would break because of the circular import
+const cooldownChecker      = require("./helpers/checkCooldowns.js"); // Not destructured as this would break because of the circular import
+
 const Controller = require("../controller/controller.js"); // eslint-disable-line
 
 /**
@@ -26,7 +30,11 @@ const Controller = require("../controller/controller.js"); // eslint-disable-lin
  * @property {string} description Description of what this command does
  * @property {Array.<CommandArg>} args Array of objects containing information about each parameter supported by this command
  * @property {boolean} ownersOnly Set to true to only allow owners to use this command.
+ * @property {string} [role] Optional: Minimum role a user needs to use this command: "user", "trusted", "moderator" or "owner". Takes precedence over `ownersOnly` if set.
+ * @property {{ user?: number, target?: number, global?: number }} [cooldown] Optional: Time in ms which must pass between two uses of this command per user, per target (the argument named "ID", falls back to the user) and/or globally. Owners are exempt.
+ * @property {{ user?: RateLimit, target?: RateLimit, global?: RateLimit }} [rateLimit] Optional: Maximum amount of uses of this command in a timeframe per user, per target and/or globally. Owners are exempt.
  * @property {function(CommandHandler, Array, string, function(object, object, string): void, object, object): void} run Function that will be executed when the command runs. Arguments: commandHandler, args, steamID64, respondModule, context, resInfo
+ * @property {function(CommandHandler, string, function(object, object, string): void, object, object): void} [resume] Optional: Function that continues a request of this command which was interrupted by a restart. The activeRequests entry has already been restored when it is called. Arguments: commandHandler, id, respondModule, context, resInfo
  */
 
 /**
@@ -34,9 +42,43 @@ const Controller = require("../controller/controller.js"); // eslint-disable-lin
  * @type {object}
  * @property {string} name Name of this argument. Use common phrases like "ID" or "amount" if possible. If a specific word is expected, put the word inside quotation marks.
  * @property {string} description Description of this argument
- * @property {string} type Expected datatype of this argument. If read from a chat it will usually be "string"
- * @property {boolean} isOptional True if this argument is optional, false if it must be provided. Make sure to check for missing arguments and return an error if false.
+ * @property {string} type Expected datatype of this argument. The commandHandler converts and validates the provided value before running the command. Supported: "string", "number", "boolean", "array" and "steamID" (resolved to a steamID64)
+ * @property {boolean} isOptional True if this argument is optional, false if it must be provided. The command is rejected if a required argument is missing.
  * @property {boolean} ownersOnly True if this argument is only allowed to be provided by owners set in the config. If the command itself is `ownersOnly`, set this property to `true` as well.
+ * @property {string} [role] Optional: Minimum role a user needs to provide this argument: "user", "trusted", "moderator" or "owner". Takes precedence over `ownersOnly` if set.
+ * @property {boolean} [isRest] Optional: Set to true to pass this and all following words unmodified, for example for custom text. Must be the last argument.
+ * @property {string} [idType] Optional: Type of ID a "steamID" argument must resolve to: "profile", "group" or "sharedfile". Any type is accepted if omitted.
+ * @property {number} [min] Optional: Minimum value of a "number" argument
+ * @property {boolean} [allowAll] Optional: Set to true to let a "number" argument accept "all" and "max" as well. The command receives the string "all" in this case and should replace it with the maximum amount.
+ * @property {boolean} [isSecret] Optional: Set to true if this argument contains sensitive data like a password. This and all following arguments will be hidden when messages are logged, see `censorMessage()`, and are passed to middleware as `***`.
+ */
+
+/**
+ * @typedef RateLimit Documentation of the rate limit structure of a command
+ * @type {object}
+ * @property {number} amount Amount of uses which are allowed in the timeframe
+ * @property {number} timeframe Timeframe in ms
+ * @property {number} [blockTime] Optional: Time in ms to block all further uses of this command if the limit is exceeded. Only the remaining time is told to the user if omitted.
+ */
+
+/**
+ * @typedef AllocationStrategy Documentation of the account allocation strategy structure
+ * @type {object}
+ * @property {string} description Description of how this strategy selects accounts
+ * @property {function(CommandHandler, number): number} [getAccountsNeeded] Optional: Returns how many accounts are needed for a comment request of this amount. Uses as many accounts as possible if omitted. Arguments: commandHandler, amount
+ * @property {function(CommandHandler, Array.<string>, string): Array.<string>} sortAccounts Returns the names of all available accounts, sorted in the order they should be used in. Accounts at the end of the array might be cut off. Arguments: commandHandler, accounts, requestType ("comment", "vote" or "favorite")
+ */
+
+/**
+ * @typedef BeforeMiddleware Documentation of the function structure of a middleware which runs before a command
+ * @type {function(Command, Array, resInfo): (string|boolean|Array|void)}
+ * Arguments: command, args, resInfo. Return a string to reject the command with this message, `false` to reject it without a message or an array to replace the arguments of the command. Return nothing to let the command run.
+ */
+
+/**
+ * @typedef AfterMiddleware Documentation of the function structure of a middleware which observes the responses of a command
+ * @type {function(Command, Array, resInfo, string): void}
+ * Arguments: command, args, resInfo, txt. Called for every response the command sends, before it is sent.
  */
 
 
@@ -56,6 +98,21 @@ const CommandHandler = function(controller) {
      */
     this.commands = [];
 
+    /**
+     * Object of allocation strategies registered at runtime, in addition to the default ones. The key is the name of the strategy.
+     * @type {{[key: string]: AllocationStrategy}}
+     */
+    this.allocationStrategies = {};
+
+    /**
+     * Functions registered by plugins which run before and after every command, in the order they were registered in
+     * @type {{ before: Array.<BeforeMiddleware>, after: Array.<AfterMiddleware> }}
+     */
+    this.middleware = {
+        before: [],
+        after: []
+    };
+
 };
 
 
@@ -172,6 +229,122 @@ CommandHandler.prototype.unregisterCommand = function(commandName) {
 };
 
 
+/**
+ * Registers a new account allocation strategy during runtime. It can be selected using `allocationStrategy` in the advancedconfig or per request by owners.
+ * @param {string} name Name of the strategy
+ * @param {AllocationStrategy} strategy The strategy object to register
+ * @returns {boolean} true if the strategy was successfully registered, false otherwise
+ */
+CommandHandler.prototype.registerAllocationStrategy = function(name, strategy) {
+
+    // Check for incomplete object
+    if (!name || !strategy || !strategy.sortAccounts) {
+        logger("error", "CommandHandler registerAllocationStrategy(): Cannot register allocation strategy with incomplete content! Ignoring request...");
+        return false;
+    }
+
+    // Check for duplicate strategy name
+    if (allocationStrategies.getAllocationStrategy(this, name)) {
+        logger("error", `CommandHandler registerAllocationStrategy(): There is already an allocation strategy registered with the name ${name}! Ignoring request...`);
+        return false;
+    }
+
+    // Set default for description if omitted
+    if (!strategy.description) strategy.description = "";
+
+    // Register strategy
+    this.allocationStrategies[name] = strategy;
+
+    logger("info", `CommandHandler registerAllocationStrategy(): Successfully registered the allocation strategy '${name}'!`, false, true);
+    return true;
+
+};
+
+
+/**
+ * Unregisters an account allocation strategy which was registered during runtime
+ * @param {string} name Name of the strategy to unregister
+ * @returns {boolean} `true` if the strategy was successfully unregistered, `false` otherwise
+ */
+CommandHandler.prototype.unregisterAllocationStrategy = function(name) {
+
+    if (!this.allocationStrategies[name]) {
+        logger("warn", `CommandHandler unregisterAllocationStrategy(): Allocation strategy '${name}' was not found!`);
+        return false;
+    }
+
+    delete this.allocationStrategies[name];
+
+    logger("info", `CommandHandler unregisterAllocationStrategy(): Successfully unregistered the allocation strategy '${name}'!`, false, true);
+    return true;
+
+};
+
+
+/**
+ * Registers a middleware function which runs before every command, after the owner checks have passed. It can reject the command or rewrite its arguments.
+ * @param {BeforeMiddleware} beforeFn The function to run. Arguments: command, args, resInfo
+ * @returns {boolean} `true` if the middleware was registered, `false` otherwise
+ */
+CommandHandler.prototype.use = function(beforeFn) {
+
+    if (typeof beforeFn != "function") {
+        logger("error", "CommandHandler use(): The provided middleware is not a function! Ignoring request...");
+        return false;
+    }
+
+    this.middleware.before.push(beforeFn);
+
+    logger("debug", `CommandHandler use(): Registered middleware '${beforeFn.name || "anonymous"}'. ${this.middleware.before.length} middleware(s) run before commands.`);
+    return true;
+
+};
+
+
+/**
+ * Registers a middleware function which observes every response of every command
+ * @param {AfterMiddleware} afterFn The function to run. Arguments: command, args, resInfo, txt
+ * @returns {boolean} `true` if the middleware was registered, `false` otherwise
+ */
+CommandHandler.prototype.useAfter = function(afterFn) {
+
+    if (typeof afterFn != "function") {
+        logger("error", "CommandHandler useAfter(): The provided middleware is not a function! Ignoring request...");
+        return false;
+    }
+
+    this.middleware.after.push(afterFn);
+
+    logger("debug", `CommandHandler useAfter(): Registered middleware '${afterFn.name || "anonymous"}'. ${this.middleware.after.length} middleware(s) run after commands.`);
+    return true;
+
+};
+
+
+/**
+ * Removes a middleware function which was registered using `use()` or `useAfter()`. Plugins should call this for all of their middleware on unload.
+ * @param {BeforeMiddleware|AfterMiddleware} fn The function which was registered
+ * @returns {boolean} `true` if the middleware was removed, `false` if it was not found
+ */
+CommandHandler.prototype.removeMiddleware = function(fn) {
+
+    let before = this.middleware.before.filter(e => e != fn);
+    let after  = this.middleware.after.filter(e => e != fn);
+
+    if (before.length == this.middleware.before.length && after.length == this.middleware.after.length) {
+        logger("warn", "CommandHandler removeMiddleware(): The provided middleware was not found!");
+        return false;
+    }
+
+    this.middleware.before = before;
+    this.middleware.after  = after;
+
+    logger("debug", `CommandHandler removeMiddleware(): Removed middleware '${fn.name || "anonymous"}'`);
+    return true;
+
+};
+
+
 /**
  * @typedef resInfo Documentation of the default/commonly used content the resInfo object can/should contain
  * @type {object}
@@ -180,11 +353,45 @@ CommandHandler.prototype.unregisterCommand = function(commandName) {
  * @property {Array.<string>} [ownerIDs] Can be provided to overwrite `config.ownerid` for owner privilege checks. Useful if you are implementing a different platform and so `userID` won't be a steamID64 (e.g. discord)
  * @property {number} [charLimit] Supported by the Steam Chat Message handler: Overwrites the default index from which response messages will be cut up into parts
  * @property {Array.<string>} [cutChars] Custom chars to search after for cutting string in parts to overwrite cutStringsIntelligently's default: [" ", "\n", "\r"]
+ * @property {string} [botAccountName] Set by the Steam Chat Message handler: Name of the bot account which received the command. Queued, scheduled and resumed requests respond through this account as long as it is online.
  * @property {boolean} [fromSteamChat] Set to true if your command handler is receiving messages from the Steam Chat and `userID` is therefore a `steamID64`. Will be used to enable command default behavior (e.g. commenting on the requester's profile)
+ * @property {boolean} [fromTerminal] Set by the terminal console: The user has access to the terminal of the bot and can answer prompts in it, for example the master passphrase input of the `encryptdata` command
+ * @property {string} [chatGroupID] Supported by the Steam Group Chat Message handler: ID of the chat group the command was sent in
+ * @property {string} [chatID] Supported by the Steam Group Chat Message handler: ID of the room in the chat group the command was sent in
+ * @property {boolean} [privateResponse] Supported by the Steam Group Chat Message handler: Responds to `userID` via a friend message instead of in the room
+ * @property {boolean} [skipCooldowns] Set to true to bypass all cooldowns, rate limits and the spam protection. Used when queued or scheduled requests are run again.
+ * @property {number} [queuedAt] Set when a queued request is run again: Timestamp at which the request was queued originally. Used to keep its position if it has to be queued again.
+ * @property {string} [rejectReason] Do not provide this argument, you'll receive it in your respondModule: Set if the command was rejected before running: "permission" if the user lacks the required role or "cooldown" if a cooldown or rate limit was exceeded. Can be used to translate the rejection to your platform, like a HTTP status code.
  * @property {string} [prefix] Do not provide this argument, you'll receive it from commands: Steam Chat Message prefixes like /me. Can be ignored or translated to similar prefixes your platform might support
  */
 
 
+/**
+ * Gets the minimum role a user needs to use a command, taking `role`, `ownersOnly` and `advancedconfig.restrictAdditionalCommandsToOwners` into account
+ * @param {Command} command The command object
+ * @returns {string} Name of the role: "user", "trusted", "moderator" or "owner"
+ */
+CommandHandler.prototype.getRequiredRole = function(command) {
+    if (this.controller.data.advancedconfig.restrictAdditionalCommandsToOwners.some(e => command.names.includes(e))) return "owner";
+
+    return command.role || (command.ownersOnly ? "owner" : "user");
+};
+
+
+/**
+ * Replaces all arguments starting from the first argument marked with `isSecret` with `***` to prevent middleware from leaking them
+ * @param {Command} command The command object
+ * @param {Array} args The parsed arguments of the command
+ * @returns {Array} A copy of the arguments which is safe to pass on or the original array if the command has no secret arguments
+ */
+function maskSecretArgs(command, args) {
+    let secretIndex = command.args ? command.args.findIndex(e => e.isSecret) : -1;
+    if (secretIndex == -1) return args;
+
+    return args.map((e, i) => (i >= secretIndex && e !== undefined ? "***" : e));
+}
+
+
 /**
  * Finds a loaded command by name and runs it
  * @param {string} name The name of the command
@@ -208,6 +415,7 @@ CommandHandler.prototype.runCommand = function(name, args, respondModule, contex
     if (this.controller.data.advancedconfig.restrictAdditionalCommandsToOwners.some(e => thisCmd.names.includes(e))) {
         logger("info", `CommandHandler runCommand(): Command '${name}' is included in 'restrictAdditionalCommandsToOwners' and has been restricted to owners.`);
         thisCmd.ownersOnly = true;
+        thisCmd.role       = "owner"; // Overwrite role as it takes precedence over ownersOnly
     }
 
     // Display warning if a non Steam Chat userID was provided without a custom owner ID array. Permit usage of owner only parameters of non owner only commands.
@@ -219,17 +427,91 @@ CommandHandler.prototype.runCommand = function(name, args, respondModule, contex
     let owners = this.data.cachefile.ownerid;
     if (resInfo.ownerIDs && resInfo.ownerIDs.length > 0) owners = resInfo.ownerIDs;
 
-    // If command is ownersOnly, check if user is included in owners array. If not, send error msg and return true to avoid caller sending a not found msg
-    if (thisCmd.ownersOnly && !owners.includes(resInfo.userID)) { // If no userID was provided this check will also trigger
-        respondModule(context, resInfo, this.data.lang.commandowneronly);
+    // Helper to inform the user about a rejection. Passes a new resInfo object containing the reason and everything the original resInfo obj contained
+    let reject = (txt, rejectReason) => respondModule(context, rejectReason ? { ...resInfo, rejectReason: rejectReason } : resInfo, txt);
+
+    // Check if user has the role this command requires. If not, send error msg and return true to avoid caller sending a not found msg
+    let requiredRole = this.getRequiredRole(thisCmd);
+
+    if (!this.data.hasRole(resInfo.userID, requiredRole, owners)) { // If no userID was provided this check will also trigger for every role except "user"
+        if (requiredRole == "owner") reject(this.data.lang.commandowneronly, "permission");
+            else reject(this.data.lang.commandrolerequired.replace("rolename", requiredRole), "permission");
+
         return true;
     }
 
     // Add default prefix to resInfo object if none was provided
     if (!resInfo || !resInfo.cmdprefix) resInfo["cmdprefix"] = "!";
 
-    // Run command if one was found
-    thisCmd.run(this, args, respondModule, context, resInfo);
+    // Parse and validate arguments using the args the command declares. The user has already been informed if they are invalid
+    argParser.parseArgs(this, thisCmd, args, resInfo, reject).then((parsedArgs) => {
+        if (parsedArgs === false) return;
+
+        args = parsedArgs;
+
+        // Check cooldowns & rate limits of this command and the spam protection. The user has already been informed if one of them was exceeded
+        if (!cooldownChecker.checkCooldowns(this, thisCmd, args, resInfo, reject)) return;
+
+        let checkedArgs = args; // Record the usage for the arguments the cooldowns were checked with, even if a middleware replaces them
+
+        // Run all before middlewares in the order they were registered in. Each of them can reject the command or replace its arguments
+        for (let fn of this.middleware.before) {
+            let result;
+
+            try {
+                result = fn(thisCmd, maskSecretArgs(thisCmd, args), resInfo);
+            } catch (err) {
+                logger("error", `CommandHandler runCommand(): Middleware '${fn.name || "anonymous"}' threw an error, blocking command '${name}' to be safe! ${err.stack}`);
+                return;
+            }
+
+            if (typeof result == "string") { // Rejected with message
+                logger("debug", `CommandHandler runCommand(): Middleware '${fn.name || "anonymous"}' rejected command '${name}' with message: ${result}`);
+                respondModule(context, resInfo, result);
+                return;
+            }
+
+            if (result === false) { // Rejected silently
+                logger("debug", `CommandHandler runCommand(): Middleware '${fn.name || "anonymous"}' rejected command '${name}'`);
+                return;
+            }
+
+            if (Array.isArray(result)) { // Rewrite arguments but keep secret arguments as middlewares only received them masked
+                let masked = maskSecretArgs(thisCmd, args);
+
+                args = result.map((e, i) => (masked[i] !== args[i] ? args[i] : e));
+            }
+        }
+
+        // Only count this usage now that no middleware rejected the command
+        cooldownChecker.recordCooldowns(this, thisCmd, checkedArgs, resInfo);
+
+        // Let after middlewares observe every response before it is sent
+        let respond = respondModule;
+
+        if (this.middleware.after.length > 0) {
+            let maskedArgs = maskSecretArgs(thisCmd, args);
+
+            respond = (_context, _resInfo, txt) => {
+                this.middleware.after.forEach((fn) => {
+                    try {
+                        fn(thisCmd, maskedArgs, _resInfo, txt);
+                    } catch (err) {
+                        logger("error", `CommandHandler runCommand(): After middleware '${fn.name || "anonymous"}' threw an error: ${err.stack}`);
+                    }
+                });
+
+                respondModule(_context, _resInfo, txt);
+            };
+        }
+
+        // Run command if one was found. Return its result to catch errors of async commands below
+        return thisCmd.run(this, args, respond, context, resInfo);
+
+    }).catch((err) => {
+        logger("error", `CommandHandler runCommand(): Command '${name}' failed with an error! ${err.stack || err}`);
+        respondModule(context, resInfo, this.data.lang.commanderror);
+    });
 
     // Return true if command was found
     return true;
@@ -237,6 +519,27 @@ CommandHandler.prototype.runCommand = function(name, args, respondModule, contex
 };
 
 
+/**
+ * Hides all arguments of a command message starting from the first argument marked with `isSecret`. Use this before logging messages which might contain commands.
+ * @param {string} message The message which might contain a command, for example `!addaccount myacc mypassword`
+ * @param {string} [cmdprefix] Optional: The prefix of the message handler. Default: "!"
+ * @returns {string} The message which is safe to log, for example `!addaccount myacc ***`
+ */
+CommandHandler.prototype.censorMessage = function(message, cmdprefix = "!") {
+    if (!message.startsWith(cmdprefix)) return message;
+
+    let words   = message.slice(cmdprefix.length).split(" ").filter(e => e !== ""); // Multiple spaces in a message cause empty words
+    let thisCmd = this.commands.find(e => words[0] && e.names.includes(words[0].toLowerCase()));
+
+    if (!thisCmd || !thisCmd.args) return message;
+
+    let secretIndex = thisCmd.args.findIndex(e => e.isSecret);
+    if (secretIndex == -1 || words.length <= secretIndex + 1) return message; // +1 as the first word is the command name
+
+    return cmdprefix + words.slice(0, secretIndex + 1).join(" ") + " ***";
+};
+
+
 /**
  * Reloads all core commands. Does NOT reload commands registered at runtime. Please consider reloading the pluginSystem as well.
  */
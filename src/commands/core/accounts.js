@@ -0,0 +1,248 @@
+/*
+ * File: accounts.js
+ * Project: steam-comment-service-bot
+ * Created Date: 04.08.2023 12:17:45
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 11:02:15
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const CommandHandler   = require("../commandHandler.js"); // eslint-disable-line
+const { timeToString } = require("../../controller/helpers/misc.js");
+
+
+/**
+ * Finds a bot account by its name or index
+ * @param {CommandHandler} commandHandler The commandHandler object
+ * @param {string} str Name or index of the bot account
+ * @returns {string|undefined} Name of the bot account or `undefined` if no account was found
+ */
+function findAccount(commandHandler, str) {
+    let bots = commandHandler.controller.getBots("*", true);
+
+    if (bots[str]) return str;
+
+    return Object.keys(bots).find(e => e.toLowerCase() == str.toLowerCase() || String(bots[e].index) == str);
+}
+
+
+module.exports.accounts = {
+    names: ["accounts", "accs"],
+    description: "Shows information about all bot accounts",
+    args: [
+        {
+            name: '"health"',
+            description: "Shows the health score of every bot account and why it is benched",
+            type: "string",
+            isOptional: true,
+            ownersOnly: true
+        }
+    ],
+    ownersOnly: true,
+
+    /**
+     * The accounts command
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {Array} args Array of arguments that will be passed to the command
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    run: (commandHandler, args, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
+
+        if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+
+        switch (args[0] ? args[0].toLowerCase() : "") {
+            case "health": {
+                let bots = commandHandler.controller.getBots("*", true);
+                let str  = "";
+
+                Object.keys(bots).sort((a, b) => bots[a].index - bots[b].index).forEach((e) => {
+                    let record = commandHandler.data.accountHealth[e];
+                    let score  = commandHandler.data.getAccountHealthScore(e);
+
+                    if (!record) {
+                        str += `${bots[e].index}. ${e}: ${score}% | No requests yet\n`;
+                        return;
+                    }
+
+                    let lastSuccessStr = record.lastSuccess ? `${timeToString(record.lastSuccess)} ago` : "never";
+                    let errorsStr      = Object.keys(record.errors).map(f => `${f} ${record.errors[f]}`).join(", ") || "none";
+
+                    str += `${bots[e].index}. ${e}: ${score}% | Last success: ${lastSuccessStr} | Failures in a row: ${record.consecutiveFailures} | Errors: ${errorsStr}\n`;
+
+                    if (commandHandler.data.isAccountBenched(e)) str += `    Benched for ${timeToString(record.benchedUntil)}: ${record.benchReason}\n`;
+                });
+
+                respondModule(context, { cutChars: ["\n"], ...resInfo }, commandHandler.data.lang.accountscmdhealth + "\n" + str); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+                break;
+            }
+
+            default:
+                respond(commandHandler.data.lang.accountscmdusage.replace(/cmdprefix/g, resInfo.cmdprefix));
+        }
+    }
+};
+
+
+module.exports.addaccount = {
+    names: ["addaccount", "addacc"],
+    description: "Adds a bot account at runtime, saves it to your accounts.txt or logininfo.json file and logs it in",
+    args: [
+        {
+            name: "username",
+            description: "The username of the account",
+            type: "string",
+            isOptional: false,
+            ownersOnly: true
+        },
+        {
+            name: "password",
+            description: "The password of the account",
+            type: "string",
+            isOptional: false,
+            ownersOnly: true,
+            isSecret: true
+        },
+        {
+            name: "sharedSecret",
+            description: "The shared secret of the account to generate Steam Guard codes. Use \"-\" to skip it",
+            type: "string",
+            isOptional: true,
+            ownersOnly: true,
+            isSecret: true
+        },
+        {
+            name: "proxy",
+            description: "The name or index of the proxy this account should be pinned to",
+            type: "string",
+            isOptional: true,
+            ownersOnly: true
+        }
+    ],
+    ownersOnly: true,
+
+    /**
+     * The addaccount command
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {Array} args Array of arguments that will be passed to the command
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    run: (commandHandler, args, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
+
+        if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+
+        if (!args[0] || !args[1]) return respond(commandHandler.data.lang.addaccountcmdusage.replace(/cmdprefix/g, resInfo.cmdprefix));
+
+        let sharedSecret = args[2] && args[2] != "-" ? args[2] : null;
+        let proxy        = args[3] || null;
+
+        if (proxy && commandHandler.data.getProxyIndexByName(proxy) == -1) return respond(commandHandler.data.lang.addaccountcmdproxynotfound.replace("proxyname", proxy));
+
+        let added = commandHandler.controller.addAccount({ accountName: args[0], password: args[1], sharedSecret: sharedSecret, proxy: proxy });
+
+        if (!added) return respond(commandHandler.data.lang.addaccountcmdexists.replace("accountname", args[0]));
+
+        respond(commandHandler.data.lang.addaccountcmdsuccess.replace("accountname", args[0]));
+    }
+};
+
+
+module.exports.removeaccount = {
+    names: ["removeaccount", "removeacc"],
+    description: "Logs off a bot account, removes it from your accounts.txt or logininfo.json file and drops it from the bot",
+    args: [
+        {
+            name: "account",
+            description: "The name or index of the bot account",
+            type: "string",
+            isOptional: false,
+            ownersOnly: true
+        }
+    ],
+    ownersOnly: true,
+
+    /**
+     * The removeaccount command
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {Array} args Array of arguments that will be passed to the command
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    run: (commandHandler, args, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
+
+        if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+
+        if (!args[0]) return respond(commandHandler.data.lang.removeaccountcmdusage.replace(/cmdprefix/g, resInfo.cmdprefix));
+
+        let accountName = findAccount(commandHandler, args[0]);
+
+        if (!accountName) return respond(commandHandler.data.lang.accountnotfound.replace("accountname", args[0]).replace("cmdprefix", resInfo.cmdprefix));
+        if (commandHandler.controller.bots[accountName].index == 0) return respond(commandHandler.data.lang.removeaccountcmdmain);
+
+        let removed = commandHandler.controller.removeAccount(accountName);
+
+        if (!removed) return respond(commandHandler.data.lang.removeaccountcmdbusy.replace("accountname", accountName));
+
+        respond(commandHandler.data.lang.removeaccountcmdsuccess.replace("accountname", accountName));
+    }
+};
+
+
+module.exports.relog = {
+    names: ["relog"],
+    description: "Logs off a bot account and logs it in again",
+    args: [
+        {
+            name: "account",
+            description: "The name or index of the bot account",
+            type: "string",
+            isOptional: false,
+            ownersOnly: true
+        }
+    ],
+    ownersOnly: true,
+
+    /**
+     * The relog command
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {Array} args Array of arguments that will be passed to the command
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    run: (commandHandler, args, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
+
+        if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+
+        if (!args[0]) return respond(commandHandler.data.lang.relogcmdusage.replace(/cmdprefix/g, resInfo.cmdprefix));
+
+        let accountName = findAccount(commandHandler, args[0]);
+
+        if (!accountName) return respond(commandHandler.data.lang.accountnotfound.replace("accountname", args[0]).replace("cmdprefix", resInfo.cmdprefix));
+
+        // Relogging an account which is processing a request would let it fail
+        if (Object.values(commandHandler.controller.activeRequests).some(e => e.status == "active" && e.accounts.includes(accountName))) {
+            return respond(commandHandler.data.lang.relogcmdbusy.replace("accountname", accountName));
+        }
+
+        respond(commandHandler.data.lang.relogcmdsuccess.replace("accountname", accountName)); // Respond before relogging as the main account might be the one responding
+
+        commandHandler.controller.bots[accountName].relog();
+    }
+};
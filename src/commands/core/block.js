@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 12:58:49
+ * Last Modified: 10.08.2023 11:27:48
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -27,7 +27,8 @@ module.exports.block = {
         {
             name: "ID",
             description: "The link, steamID64 or vanity of the profile to block",
-            type: "string",
+            type: "steamID",
+            idType: "profile",
             isOptional: false,
             ownersOnly: true
         }
@@ -43,27 +44,22 @@ module.exports.block = {
      * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
      */
     run: (commandHandler, args, respondModule, context, resInfo) => {
-        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
-
         if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
 
-        if (!args[0]) return respond(commandHandler.data.lang.invalidprofileid);
-
         // Get the correct ownerid array for this request
         let owners = commandHandler.data.cachefile.ownerid;
         if (resInfo.ownerIDs && resInfo.ownerIDs.length > 0) owners = resInfo.ownerIDs;
 
-        commandHandler.controller.handleSteamIdResolving(args[0], "profile", (err, res) => {
-            if (err) return respond(commandHandler.data.lang.invalidprofileid + "\n\nError: " + err);
-            if (owners.includes(res)) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.idisownererror); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+        let steamID64 = args[0]; // Already resolved by the commandHandler
 
-            commandHandler.controller.getBots().forEach((e, i) => {
-                e.user.blockUser(new SteamID(res), (err) => { if (err) logger("error", `[Bot ${i}] Error blocking user ${res}: ${err}`); });
-            });
+        if (owners.includes(steamID64)) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.idisownererror); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
 
-            respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.blockcmdsuccess.replace("profileid", res)); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
-            logger("info", `Blocked ${res} with all bot accounts.`);
+        commandHandler.controller.getBots().forEach((e, i) => {
+            e.user.blockUser(new SteamID(steamID64), (err) => { if (err) logger("error", `[Bot ${i}] Error blocking user ${steamID64}: ${err}`); });
         });
+
+        respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.blockcmdsuccess.replace("profileid", steamID64)); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+        logger("info", `Blocked ${steamID64} with all bot accounts.`);
     }
 };
 
@@ -75,7 +71,8 @@ module.exports.unblock = {
         {
             name: "ID",
             description: "The link, steamID64 or vanity of the profile to unblock",
-            type: "string",
+            type: "steamID",
+            idType: "profile",
             isOptional: false,
             ownersOnly: true
         }
@@ -91,21 +88,15 @@ module.exports.unblock = {
      * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
      */
     run: (commandHandler, args, respondModule, context, resInfo) => {
-        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
-
         if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
 
-        if (!args[0]) return respond(commandHandler.data.lang.invalidprofileid);
+        let steamID64 = args[0]; // Already resolved by the commandHandler
 
-        commandHandler.controller.handleSteamIdResolving(args[0], "profile", (err, res) => {
-            if (err) return respond(commandHandler.data.lang.invalidprofileid + "\n\nError: " + err);
-
-            commandHandler.controller.getBots().forEach((e, i) => {
-                e.user.unblockUser(new SteamID(res), (err) => { if (err) logger("error", `[Bot ${i}] Error unblocking user ${res}: ${err}`); });
-            });
-
-            respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.unblockcmdsuccess.replace("profileid", res)); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
-            logger("info", `Unblocked ${res} with all bot accounts.`);
+        commandHandler.controller.getBots().forEach((e, i) => {
+            e.user.unblockUser(new SteamID(steamID64), (err) => { if (err) logger("error", `[Bot ${i}] Error unblocking user ${steamID64}: ${err}`); });
         });
+
+        respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.unblockcmdsuccess.replace("profileid", steamID64)); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+        logger("info", `Unblocked ${steamID64} with all bot accounts.`);
     }
 };
\ No newline at end of file
@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 24.07.2023 19:41:59
+ * Last Modified: 11.08.2023 18:52:07
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -20,6 +20,7 @@ const SteamID = require("steamid");
 const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
 const { getCommentArgs }                       = require("../helpers/getCommentArgs.js");
 const { getAvailableBotsForCommenting }        = require("../helpers/getCommentBots.js");
+const { getStrategyArg }                       = require("../helpers/allocationStrategies.js");
 const { syncLoop, timeToString }               = require("../../controller/helpers/misc.js");
 const { logCommentError, handleIterationSkip } = require("../helpers/handleCommentSkips.js");
 
@@ -30,24 +31,27 @@ module.exports.comment = {
     args: [
         {
             name: "amount",
-            description: "The amount of comments to request",
-            type: "string",
-            isOptional: false,
-            ownersOnly: false
+            description: "The amount of comments to request. Use \"all\" or \"max\" to request the maximum amount you are allowed to",
+            type: "number",
+            isOptional: true, // Handled by getCommentArgs() as the behavior depends on maxComments
+            ownersOnly: false,
+            allowAll: true,
+            min: 1
         },
         {
             name: "ID",
             description: "The link, steamID64 or vanity of the profile, group or sharedfile to comment on",
-            type: "string",
+            type: "steamID",
             isOptional: true,
-            ownersOnly: true
+            ownersOnly: false // Non-owners may only provide their own ID, this is checked by getCommentArgs()
         },
         {
             name: "custom quotes",
             description: "Array of strings to use as quotes in this comment request instead of the default quotes.txt set",
             type: "string",
             isOptional: true,
-            ownersOnly: true
+            ownersOnly: true,
+            isRest: true
         }
     ],
     ownersOnly: false,
@@ -70,6 +74,7 @@ module.exports.comment = {
         let requesterSteamID64 = resInfo.userID;
         let receiverSteamID64  = requesterSteamID64;
         let ownercheck         = owners.includes(requesterSteamID64);
+        let maxComments        = commandHandler.data.getRoleLimits(requesterSteamID64, resInfo.ownerIDs).maxComments || commandHandler.data.config.maxComments; // The role of the user might overwrite maxComments
 
 
         /* --------- Various checks  --------- */
@@ -79,14 +84,18 @@ module.exports.comment = {
         }
         if (commandHandler.controller.info.readyAfter == 0)             return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
         if (commandHandler.controller.info.activeLogin)                 return respond(commandHandler.data.lang.activerelog);      // Bot is waiting for relog
-        if (commandHandler.data.config.maxComments == 0 && !ownercheck) return respond(commandHandler.data.lang.commandowneronly); // Comment command is restricted to owners only
+        if (maxComments == 0 && !ownercheck)                            return respond(commandHandler.data.lang.commandowneronly); // Comment command is restricted to owners only
 
         // Check for no id param as default behavior is unavailable when calling from outside the Steam Chat
         if (!resInfo.fromSteamChat && !args[1]) return respond(commandHandler.data.lang.noidparam);
 
 
-        /* --------- Calculate maxRequestAmount and get arguments from comment request --------- */
-        let { maxRequestAmount, numberOfComments, profileID, idType, quotesArr } = await getCommentArgs(commandHandler, args, requesterSteamID64, resInfo, respond);
+        /* --------- Get allocation strategy, calculate maxRequestAmount and get arguments from comment request --------- */
+        let strategyName = getStrategyArg(commandHandler, args, ownercheck, respond);
+
+        if (strategyName === false) return; // Looks like the helper aborted the request
+
+        let { maxRequestAmount, numberOfComments, profileID, idType, quotesArr } = getCommentArgs(commandHandler, args, requesterSteamID64, resInfo, respond) || {};
 
         if (!maxRequestAmount && !numberOfComments && !quotesArr) return; // Looks like the helper aborted the request
 
@@ -105,6 +114,14 @@ module.exports.comment = {
         if (activeReqEntry && activeReqEntry.status == "active") return respond(commandHandler.data.lang.idalreadyreceiving);
 
 
+        // Check if user already has a request waiting in the queue
+        if (commandHandler.data.advancedconfig.enableRequestQueue) {
+            let queue = await commandHandler.controller.getRequestQueue();
+
+            if (queue.some(e => e.receiver == receiverSteamID64)) return respond(commandHandler.data.lang.commentalreadyqueued.replace(/cmdprefix/g, resInfo.cmdprefix));
+        }
+
+
         // Check if user has cooldown
         let { until, untilStr } = await commandHandler.data.getUserCooldown(requesterSteamID64);
 
@@ -113,7 +130,7 @@ module.exports.comment = {
 
         // Get all currently available bot accounts. Block limited accounts from being eligible from commenting in groups
         let allowLimitedAccounts = (idType != "group");
-        let { accsNeeded, availableAccounts, accsToAdd, whenAvailableStr } = getAvailableBotsForCommenting(commandHandler, numberOfComments, allowLimitedAccounts, idType, receiverSteamID64);
+        let { accsNeeded, availableAccounts, accsToAdd, whenAvailableStr } = getAvailableBotsForCommenting(commandHandler, numberOfComments, allowLimitedAccounts, idType, receiverSteamID64, strategyName);
 
         if (availableAccounts.length == 0 && !whenAvailableStr) { // Check if this bot has no suitable accounts for this request and there won't be any available at any point
             if (!allowLimitedAccounts) respond(commandHandler.data.lang.commentnounlimitedaccs.replace(/cmdprefix/g, resInfo.cmdprefix)); // Send less generic message for requests which require unlimited accounts
@@ -132,6 +149,17 @@ module.exports.comment = {
             return;
         }
 
+        if (availableAccounts.length < accsNeeded && commandHandler.data.advancedconfig.enableRequestQueue) { // Queue request if not enough available accounts were found because of cooldown
+            logger("info", `Found only ${availableAccounts.length} available account(s) but ${accsNeeded} account(s) are needed to send ${numberOfComments} comments. Adding request to the queue...`);
+
+            let position = await commandHandler.controller.addRequestToQueue({ command: "comment", args: strategyName ? [ ...args, "strategy=" + strategyName ] : args, resInfo: resInfo, receiver: receiverSteamID64, idType: idType, amount: numberOfComments }, respondModule, context);
+
+            if (!position) return respond(commandHandler.data.lang.commentzeroavailableaccs.replace("waittime", whenAvailableStr)); // Fall back to rejecting the request if it couldn't be queued
+
+            respond(commandHandler.data.lang.commentqueued.replace("queueposition", position).replace("waittime", whenAvailableStr).replace(/cmdprefix/g, resInfo.cmdprefix));
+            return;
+        }
+
         if (availableAccounts.length < accsNeeded) { // Check if not enough available accounts were found because of cooldown
             if (availableAccounts.length > 0) respond(commandHandler.data.lang.commentnotenoughavailableaccs.replace("waittime", whenAvailableStr).replace("availablenow", availableAccounts.length)); // Using allAccounts.length works for the "spread requests on as many accounts as possible" method
                 else respond(commandHandler.data.lang.commentzeroavailableaccs.replace("waittime", whenAvailableStr));
@@ -158,39 +186,7 @@ module.exports.comment = {
 
 
         // Get the correct postComment function based on type
-        let postComment;
-        let commentArgs = {};
-
-        switch (activeRequestsObj.type) {
-            case "profileComment":
-                postComment = commandHandler.controller.main.community.postUserComment; // Context of the correct bot account is applied later
-                commentArgs = { receiverSteamID64: receiverSteamID64, quote: null };
-                break;
-            case "groupComment":
-                postComment = commandHandler.controller.main.community.postGroupComment; // Context of the correct bot account is applied later
-                commentArgs = { receiverSteamID64: receiverSteamID64, quote: null };
-                break;
-            case "sharedfileComment":
-                postComment = commandHandler.controller.main.community.postSharedFileComment; // Context of the correct bot account is applied later
-                commentArgs = { sharedfileOwnerId: null, sharedfileId: receiverSteamID64, quote: null };
-
-                // Get sharedfileOwnerId by scraping sharedfile DOM - Quick hack to await function that only supports callbacks
-                await (() => {
-                    return new Promise((resolve) => {
-                        commandHandler.controller.main.community.getSteamSharedFile(receiverSteamID64, (err, obj) => {
-                            if (err) {
-                                logger("error", "Couldn't get sharedfile even though it exists?! Aborting!\n" + err);
-                                respond("Error: Couldn't get sharedfile even though it exists?! Aborting!\n" + err);
-                                return;
-                            }
-
-                            commentArgs.sharedfileOwnerId = obj.owner.getSteamID64();
-                            resolve();
-                        });
-                    });
-                })();
-                break;
-        }
+        let { postComment, commentArgs } = await getPostCommentFunction(commandHandler, activeRequestsObj.type, receiverSteamID64, respond);
 
 
         // Check if profile is private
@@ -219,10 +215,73 @@ module.exports.comment = {
             logger("debug", "Made activeRequest entry for user, starting comment loop...");
             comment(commandHandler, resInfo, respond, postComment, commentArgs, receiverSteamID64);
         }
+    },
+
+    /**
+     * Resumes a comment request which was interrupted by a restart. The activeRequests entry must already have been restored.
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {string} id ID of the profile, group or sharedfile which receives the comments
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    resume: async (commandHandler, id, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
+
+        let { postComment, commentArgs } = await getPostCommentFunction(commandHandler, commandHandler.controller.activeRequests[id].type, id, respond);
+
+        comment(commandHandler, resInfo, respond, postComment, commentArgs, id);
     }
 };
 
 
+/**
+ * Internal: Gets the correct postComment function and its arguments for the type of this request
+ * @param {CommandHandler} commandHandler The commandHandler object
+ * @param {string} type Type of the request. Either "profileComment", "groupComment" or "sharedfileComment"
+ * @param {string} receiverSteamID64 steamID64 of the profile, group or sharedfile to receive the comments
+ * @param {function(string): void} respond The shortened respondModule call
+ * @returns {Promise.<{ postComment: Function, commentArgs: object }>} Resolves with the postComment function and all arguments it needs, without callback. The promise will never resolve if the owner of a sharedfile could not be retrieved.
+ */
+async function getPostCommentFunction(commandHandler, type, receiverSteamID64, respond) {
+    let postComment;
+    let commentArgs = {};
+
+    switch (type) {
+        case "profileComment":
+            postComment = commandHandler.controller.main.community.postUserComment; // Context of the correct bot account is applied later
+            commentArgs = { receiverSteamID64: receiverSteamID64, quote: null };
+            break;
+        case "groupComment":
+            postComment = commandHandler.controller.main.community.postGroupComment; // Context of the correct bot account is applied later
+            commentArgs = { receiverSteamID64: receiverSteamID64, quote: null };
+            break;
+        case "sharedfileComment":
+            postComment = commandHandler.controller.main.community.postSharedFileComment; // Context of the correct bot account is applied later
+            commentArgs = { sharedfileOwnerId: null, sharedfileId: receiverSteamID64, quote: null };
+
+            // Get sharedfileOwnerId by scraping sharedfile DOM - Quick hack to await function that only supports callbacks
+            await (() => {
+                return new Promise((resolve) => {
+                    commandHandler.controller.main.community.getSteamSharedFile(receiverSteamID64, (err, obj) => {
+                        if (err) {
+                            logger("error", "Couldn't get sharedfile even though it exists?! Aborting!\n" + err);
+                            respond("Error: Couldn't get sharedfile even though it exists?! Aborting!\n" + err);
+                            return;
+                        }
+
+                        commentArgs.sharedfileOwnerId = obj.owner.getSteamID64();
+                        resolve();
+                    });
+                });
+            })();
+            break;
+    }
+
+    return { postComment, commentArgs };
+}
+
+
 /**
  * Internal: Do the actual commenting, activeRequests entry with all relevant information was processed by the comment command function above.
  * @param {CommandHandler} commandHandler The commandHandler object
@@ -252,6 +311,8 @@ function comment(commandHandler, resInfo, respond, postComment, commentArgs, rec
         // Give requesting user cooldown. Set timestamp to now if cooldown is disabled to avoid issues when a process is aborted but cooldown can't be cleared
         if (commandHandler.data.config.commentcooldown == 0) commandHandler.data.setUserCooldown(activeReqEntry.requestedby, Date.now());
             else commandHandler.data.setUserCooldown(activeReqEntry.requestedby, activeReqEntry.until);
+
+        commandHandler.controller.events.emit("requestStarted", receiverSteamID64, activeReqEntry);
     }
 
 
@@ -261,9 +322,12 @@ function comment(commandHandler, resInfo, respond, postComment, commentArgs, rec
         setTimeout(async () => {
 
             /* --------- Get the correct account for this iteration and update iteration in activeRequests obj --------- */
-            let bot = commandHandler.controller.getBots("*", true)[activeReqEntry.accounts[i % activeReqEntry.accounts.length]]; // Iteration modulo amount of accounts gives us index of account to use inside the accounts array. This returns the bot account name which we can lookup in the bots object.
+            let bot = commandHandler.controller.getBots("*", true)[activeReqEntry.accounts[(activeReqEntry.thisIteration + 1) % activeReqEntry.accounts.length]]; // Iteration modulo amount of accounts gives us index of account to use inside the accounts array. This returns the bot account name which we can lookup in the bots object.
             activeReqEntry.thisIteration++;
 
+            // Save progress to disk to be able to resume this request should the bot restart or crash
+            commandHandler.controller.saveActiveRequest(receiverSteamID64, resInfo);
+
 
             /* --------- Check for critical errors and decide if this iteration should still run --------- */
             if (!handleIterationSkip(commandHandler, loop, bot, receiverSteamID64)) return; // Skip iteration if false was returned
@@ -279,8 +343,12 @@ function comment(commandHandler, resInfo, respond, postComment, commentArgs, rec
                 if (error) {
                     logCommentError(error, commandHandler, bot, receiverSteamID64);
                 } else {
+                    commandHandler.data.recordAccountSuccess(bot.loginData.logOnOptions.accountName);
+
                     if (commandHandler.data.proxies.length > 1) logger("info", `[${bot.logPrefix}] Comment ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} ${whereStr} with proxy ${bot.loginData.proxyIndex}: ${String(quote).split("\n")[0]}`);
                         else logger("info", `[${bot.logPrefix}] Comment ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} ${whereStr}: ${String(quote).split("\n")[0]}`); // Splitting \n to only get first line of multi line comments
+
+                    commandHandler.controller.events.emit("iterationSucceeded", receiverSteamID64, activeReqEntry, bot);
                 }
 
                 // Continue with the next iteration
@@ -302,6 +370,9 @@ function comment(commandHandler, resInfo, respond, postComment, commentArgs, rec
             activeReqEntry.status = "cooldown";
             commandHandler.controller.info.commentCounter += 1;
 
+            commandHandler.controller.saveActiveRequest(receiverSteamID64, resInfo); // Removes the entry from the disk as the request is finished
+
+            commandHandler.controller.events.emit("requestFinished", receiverSteamID64, activeReqEntry);
             return;
         }
 
@@ -318,12 +389,16 @@ function comment(commandHandler, resInfo, respond, postComment, commentArgs, rec
             respond(commandHandler.data.lang.commentretrying.replace("failedamount", Object.keys(activeReqEntry.failed).length).replace("numberOfComments", activeReqEntry.amount - activeReqEntry.amountBeforeRetry).replace("untilStr", untilStr).replace("thisattempt", activeReqEntry.retryAttempt).replace("maxattempt", commandHandler.data.advancedconfig.retryFailedCommentsAttempts));
             logger("info", `${Object.keys(activeReqEntry.failed).length}/${activeReqEntry.amount - activeReqEntry.amountBeforeRetry} comments failed for ${receiverSteamID64}. Retrying in ${untilStr} (Attempt ${activeReqEntry.retryAttempt}/${commandHandler.data.advancedconfig.retryFailedCommentsAttempts})`, false, false, logger.animation("waiting"));
 
+            commandHandler.controller.events.emit("requestRetrying", receiverSteamID64, activeReqEntry);
+
             // Wait retryFailedCommentsDelay ms before retrying failed comments
             setTimeout(() => {
                 // Check if comment process was aborted, send finished message and avoid increasing cooldown etc.
                 if (!activeReqEntry || activeReqEntry.status == "aborted") {
                     respond(commandHandler.data.lang.requestaborted.replace("successAmount", "0").replace("totalAmount", Object.keys(activeReqEntry.failed).length));
                     logger("info", `Comment process for ${receiverSteamID64} was aborted while waiting for retry attempt ${activeReqEntry.retryAttempt}. Stopping...`);
+
+                    commandHandler.controller.events.emit("requestFinished", receiverSteamID64, activeReqEntry);
                     return;
                 }
 
@@ -341,7 +416,7 @@ function comment(commandHandler, resInfo, respond, postComment, commentArgs, rec
                 activeReqEntry.failed = {};
 
                 // Call comment function again
-                comment(commandHandler, respond, receiverSteamID64);
+                comment(commandHandler, resInfo, respond, postComment, commentArgs, receiverSteamID64);
             }, commandHandler.data.advancedconfig.retryFailedCommentsDelay);
 
             return;
@@ -381,5 +456,9 @@ function comment(commandHandler, resInfo, respond, postComment, commentArgs, rec
 
         commandHandler.controller.info.commentCounter += activeReqEntry.amount - activeReqEntry.amountBeforeRetry - Object.keys(activeReqEntry.failed).length; // Add numberOfComments of this attempt minus failedamount to commentCounter
 
+        commandHandler.controller.saveActiveRequest(receiverSteamID64, resInfo); // Removes the entry from the disk as the request is finished
+
+        commandHandler.controller.events.emit("requestFinished", receiverSteamID64, activeReqEntry);
+
     });
 }
\ No newline at end of file
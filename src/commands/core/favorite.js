@@ -4,7 +4,7 @@
  * Created Date: 02.06.2023 13:23:01
  * Author: 3urobeat
  *
- * Last Modified: 24.07.2023 19:42:37
+ * Last Modified: 11.08.2023 18:52:07
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -16,8 +16,8 @@
 
 
 const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
-const { getSharedfileArgs }             = require("../helpers/getSharedfileArgs.js");
 const { getAvailableBotsForFavorizing } = require("../helpers/getFavoriteBots.js");
+const { getStrategyArg }                = require("../helpers/allocationStrategies.js");
 const { syncLoop, timeToString }        = require("../../controller/helpers/misc.js");
 const { handleFavoriteIterationSkip, logFavoriteError } = require("../helpers/handleSharedfileErrors.js");
 
@@ -28,15 +28,18 @@ module.exports.favorite = {
     args: [
         {
             name: "amount",
-            description: "The amount of favorites to request",
-            type: "string",
+            description: "The amount of favorites to request. Use \"all\" or \"max\" to request as many as possible",
+            type: "number",
             isOptional: false,
-            ownersOnly: false
+            ownersOnly: false,
+            allowAll: true,
+            min: 1
         },
         {
             name: "ID",
             description: "The link or sharedfile ID to vote on",
-            type: "string",
+            type: "steamID",
+            idType: "sharedfile",
             isOptional: false,
             ownersOnly: false
         }
@@ -72,10 +75,12 @@ module.exports.favorite = {
         if (commandHandler.data.config.maxComments == 0 && !ownercheck) return respond(commandHandler.data.lang.commandowneronly); // Command is restricted to owners only
 
 
-        // Check and get arguments from user
-        let { amountRaw, id } = await getSharedfileArgs(commandHandler, args, "favorite", resInfo, respond); // We can use the voteArgs function here as it uses the same arguments
+        // Get allocation strategy and check and get arguments from user
+        let strategyName = getStrategyArg(commandHandler, args, ownercheck, respond);
+
+        if (strategyName === false) return; // Looks like the helper aborted the request
 
-        if (!amountRaw && !id) return; // Looks like the helper aborted the request
+        let [ amountRaw, id ] = args; // Parsed by the commandHandler. amountRaw is either a number or "all", which getFavoriteBots.js updates to how many accounts are available
 
 
         // Check if this id is already receiving something right now
@@ -91,7 +96,7 @@ module.exports.favorite = {
 
 
         // Get all available bot accounts
-        let { amount, availableAccounts, whenAvailableStr } = await getAvailableBotsForFavorizing(commandHandler, amountRaw, id, "favorite");
+        let { amount, availableAccounts, whenAvailableStr } = await getAvailableBotsForFavorizing(commandHandler, amountRaw, id, "favorite", strategyName);
 
         if ((availableAccounts.length < amount || availableAccounts.length == 0) && !whenAvailableStr) { // Check if this bot has not enough accounts suitable for this request and there won't be more available at any point.
             if (availableAccounts.length == 0) respond(commandHandler.data.lang.favoritenoaccounts);     // The < || == 0 check is intentional, as providing "all" will set amount to 0 if 0 accounts have been found
@@ -127,86 +132,37 @@ module.exports.favorite = {
                 failed: {}
             };
 
-            let activeReqEntry = commandHandler.controller.activeRequests[id]; // Make using the obj shorter
 
+            // Start favorizing with all available accounts
+            favorite(commandHandler, resInfo, respond, id, sharedfile.appID);
+        });
+    },
 
-            // Log request start and give user cooldown on the first iteration
-            if (activeReqEntry.thisIteration == -1) {
-                logger("info", `${logger.colors.fggreen}[${commandHandler.controller.main.logPrefix}] ${activeReqEntry.amount} Favorite(s) requested. Starting to favorize ${id}...`);
+    /**
+     * Resumes a favorite request which was interrupted by a restart. The activeRequests entry must already have been restored.
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {string} id ID of the sharedfile which receives the favorites
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    resume: (commandHandler, id, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
 
-                // Only send estimated wait time message for multiple favorites
-                if (activeReqEntry.amount > 1) {
-                    let waitTime = timeToString(Date.now() + ((activeReqEntry.amount - 1) * commandHandler.data.config.commentdelay)); // Amount - 1 because the first fav is instant. Multiply by delay and add to current time to get timestamp when last fav was sent
+        // Get the sharedfile again as the appID is required to favorite
+        commandHandler.controller.main.community.getSteamSharedFile(id, (err, sharedfile) => {
+            if (err) {
+                commandHandler.controller.activeRequests[id].status = "aborted";
+                commandHandler.controller.saveActiveRequest(id, resInfo);
 
-                    respond(commandHandler.data.lang.favoriteprocessstarted.replace("numberOfFavs", activeReqEntry.amount).replace("waittime", waitTime));
-                }
+                commandHandler.controller.events.emit("requestAborted", id, commandHandler.controller.activeRequests[id], null, err);
+                commandHandler.controller.events.emit("requestFinished", id, commandHandler.controller.activeRequests[id]);
 
-                // Give requesting user cooldown. Set timestamp to now if cooldown is disabled to avoid issues when a process is aborted but cooldown can't be cleared
-                if (commandHandler.data.config.commentcooldown == 0) commandHandler.data.setUserCooldown(activeReqEntry.requestedby, Date.now());
-                    else commandHandler.data.setUserCooldown(activeReqEntry.requestedby, activeReqEntry.until);
+                respond(commandHandler.data.lang.errloadingsharedfile + err);
+                return;
             }
 
-
-            // Start voting with all available accounts
-            syncLoop(amount, (loop, i) => {
-                setTimeout(() => {
-
-                    let bot = commandHandler.controller.bots[availableAccounts[i]];
-                    activeReqEntry.thisIteration++;
-
-                    if (!handleFavoriteIterationSkip(commandHandler, loop, bot, id)) return; // Skip iteration if false was returned
-
-                    /* --------- Try to favorite --------- */
-                    bot.community.favoriteSharedFile(sharedfile.id, sharedfile.appID, (error) => {
-
-                        /* --------- Handle errors thrown by this favorite attempt or update ratingHistory db and log success message --------- */
-                        if (error) {
-                            logFavoriteError(error, commandHandler, bot, sharedfile.id);
-
-                        } else {
-
-                            // Add favorite entry
-                            commandHandler.data.ratingHistoryDB.insert({ id: id, accountName: activeReqEntry.accounts[i], type: "favorite", time: Date.now() }, (err) => {
-                                if (err) logger("warn", `Failed to insert 'favorite' entry for '${activeReqEntry.accounts[i]}' on '${id}' into ratingHistory database! Error: ` + err);
-                            });
-
-                            // Log success message
-                            if (commandHandler.data.proxies.length > 1) logger("info", `[${bot.logPrefix}] Favorizing ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} ${id} with proxy ${bot.loginData.proxyIndex}...`);
-                                else logger("info", `[${bot.logPrefix}] Favorizing ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} ${id}...`);
-                        }
-
-                        // Continue with the next iteration
-                        loop.next();
-
-                    });
-
-                }, commandHandler.data.config.commentdelay * (i > 0)); // We use commentdelay here for now, not sure if I'm going to add a separate setting
-
-            }, () => { // Function that will run on exit, aka the last iteration: Respond to the user
-
-                /* ------------- Send finished message for corresponding status -------------  */
-                if (activeReqEntry.status == "aborted") {
-
-                    respond(commandHandler.data.lang.requestaborted.replace("successAmount", activeReqEntry.amount - Object.keys(activeReqEntry.failed).length).replace("totalAmount", activeReqEntry.amount));
-
-                } else {
-
-                    // Add reference to !failed command to finished message if at least one favorite failed
-                    let failedcmdreference = "";
-
-                    if (Object.keys(commandHandler.controller.activeRequests[id].failed).length > 0) {
-                        failedcmdreference = `\nTo get detailed information why which request failed please type '${resInfo.cmdprefix}failed'. You can read why your error was probably caused here: https://github.com/3urobeat/steam-comment-service-bot/blob/master/docs/wiki/errors_doc.md`;
-                    }
-
-                    // Send finished message
-                    respond(`${commandHandler.data.lang.favoritesuccess.replace("failedamount", Object.keys(activeReqEntry.failed).length).replace("numberOfFavs", activeReqEntry.amount)}\n${failedcmdreference}`);
-
-                    // Set status of this request to cooldown and add amount of successful comments to our global commentCounter
-                    activeReqEntry.status = "cooldown";
-
-                }
-
-            });
+            favorite(commandHandler, resInfo, respond, id, sharedfile.appID);
         });
     }
 };
@@ -226,7 +182,8 @@ module.exports.unfavorite = {
         {
             name: "ID",
             description: "The link or sharedfile ID to vote on",
-            type: "string",
+            type: "steamID",
+            idType: "sharedfile",
             isOptional: false,
             ownersOnly: true
         }
@@ -262,10 +219,12 @@ module.exports.unfavorite = {
         if (commandHandler.data.config.maxComments == 0 && !ownercheck) return respond(commandHandler.data.lang.commandowneronly); // Command is restricted to owners only
 
 
-        // Check and get arguments from user
-        let { amountRaw, id } = await getSharedfileArgs(commandHandler, args, "unfavorite", resInfo, respond); // We can use the voteArgs function here as it uses the same arguments
+        // Get allocation strategy and check and get arguments from user
+        let strategyName = getStrategyArg(commandHandler, args, ownercheck, respond);
+
+        if (strategyName === false) return; // Looks like the helper aborted the request
 
-        if (!amountRaw && !id) return; // Looks like the helper aborted the request
+        let [ amountRaw, id ] = args; // Parsed by the commandHandler. amountRaw is either a number or "all", which getFavoriteBots.js updates to how many accounts are available
 
 
         // Check if this id is already receiving something right now
@@ -281,7 +240,7 @@ module.exports.unfavorite = {
 
 
         // Get all available bot accounts
-        let { amount, availableAccounts, whenAvailableStr } = await getAvailableBotsForFavorizing(commandHandler, amountRaw, id, "unfavorite");
+        let { amount, availableAccounts, whenAvailableStr } = await getAvailableBotsForFavorizing(commandHandler, amountRaw, id, "unfavorite", strategyName);
 
         if ((availableAccounts.length < amount || availableAccounts.length == 0) && !whenAvailableStr) { // Check if this bot has not enough accounts suitable for this request and there won't be more available at any point.
             if (availableAccounts.length == 0) respond(commandHandler.data.lang.favoritenoaccounts);     // The < || == 0 check is intentional, as providing "all" will set amount to 0 if 0 accounts have been found
@@ -317,86 +276,156 @@ module.exports.unfavorite = {
                 failed: {}
             };
 
-            let activeReqEntry = commandHandler.controller.activeRequests[id]; // Make using the obj shorter
 
+            // Start unfavorizing with all available accounts
+            favorite(commandHandler, resInfo, respond, id, sharedfile.appID);
+        });
+    },
 
-            // Log request start and give user cooldown on the first iteration
-            if (activeReqEntry.thisIteration == -1) {
-                logger("info", `${logger.colors.fggreen}[${commandHandler.controller.main.logPrefix}] ${activeReqEntry.amount} Unfavorite(s) requested. Starting to unfavorize ${id}...`);
+    /**
+     * Resumes an unfavorite request which was interrupted by a restart. The activeRequests entry must already have been restored.
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {string} id ID of the sharedfile which receives the unfavorites
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    resume: (commandHandler, id, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
 
-                // Only send estimated wait time message for multiple favorites
-                if (activeReqEntry.amount > 1) {
-                    let waitTime = timeToString(Date.now() + ((activeReqEntry.amount - 1) * commandHandler.data.config.commentdelay)); // Amount - 1 because the first fav is instant. Multiply by delay and add to current time to get timestamp when last fav was sent
+        // Get the sharedfile again as the appID is required to unfavorite
+        commandHandler.controller.main.community.getSteamSharedFile(id, (err, sharedfile) => {
+            if (err) {
+                commandHandler.controller.activeRequests[id].status = "aborted";
+                commandHandler.controller.saveActiveRequest(id, resInfo);
 
-                    respond(commandHandler.data.lang.favoriteprocessstarted.replace("numberOfFavs", activeReqEntry.amount).replace("waittime", waitTime));
-                }
+                commandHandler.controller.events.emit("requestAborted", id, commandHandler.controller.activeRequests[id], null, err);
+                commandHandler.controller.events.emit("requestFinished", id, commandHandler.controller.activeRequests[id]);
 
-                // Give requesting user cooldown. Set timestamp to now if cooldown is disabled to avoid issues when a process is aborted but cooldown can't be cleared
-                if (commandHandler.data.config.commentcooldown == 0) commandHandler.data.setUserCooldown(activeReqEntry.requestedby, Date.now());
-                    else commandHandler.data.setUserCooldown(activeReqEntry.requestedby, activeReqEntry.until);
+                respond(commandHandler.data.lang.errloadingsharedfile + err);
+                return;
             }
 
+            favorite(commandHandler, resInfo, respond, id, sharedfile.appID);
+        });
+    }
+};
 
-            // Start voting with all available accounts
-            syncLoop(amount, (loop, i) => {
-                setTimeout(() => {
 
-                    let bot = commandHandler.controller.bots[availableAccounts[i]];
-                    activeReqEntry.thisIteration++;
+/**
+ * Internal: Do the actual favorizing or unfavorizing, activeRequests entry with all relevant information was processed by the favorite or unfavorite command function above.
+ * @param {CommandHandler} commandHandler The commandHandler object
+ * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+ * @param {function(string): void} respond The shortened respondModule call
+ * @param {string} id ID of the sharedfile which receives the favorites or unfavorites
+ * @param {number} appID ID of the app the sharedfile belongs to
+ */
+function favorite(commandHandler, resInfo, respond, id, appID) {
+    let activeReqEntry = commandHandler.controller.activeRequests[id]; // Make using the obj shorter
 
-                    if (!handleFavoriteIterationSkip(commandHandler, loop, bot, id)) return; // Skip iteration if false was returned
+    let isFavorite = activeReqEntry.type == "favorite";
+    let favStr     = isFavorite ? "Favorite" : "Unfavorite";     // Capitalized type for the log messages below
+    let favingStr  = isFavorite ? "Favorizing" : "Unfavorizing";
 
-                    /* --------- Try to unfavorite --------- */
-                    bot.community.unfavoriteSharedFile(sharedfile.id, sharedfile.appID, (error) => {
 
-                        /* --------- Handle errors thrown by this unfavorite attempt or update ratingHistory db and log success message --------- */
-                        if (error) {
-                            logFavoriteError(error, commandHandler, bot, sharedfile.id);
+    // Log request start and give user cooldown on the first iteration
+    if (activeReqEntry.thisIteration == -1) {
+        logger("info", `${logger.colors.fggreen}[${commandHandler.controller.main.logPrefix}] ${activeReqEntry.amount} ${favStr}(s) requested. Starting to ${favingStr.toLowerCase().replace("izing", "ize")} ${id}...`);
 
-                        } else {
+        // Only send estimated wait time message for multiple favorites
+        if (activeReqEntry.amount > 1) {
+            let waitTime = timeToString(Date.now() + ((activeReqEntry.amount - 1) * commandHandler.data.config.commentdelay)); // Amount - 1 because the first fav is instant. Multiply by delay and add to current time to get timestamp when last fav was sent
 
-                            // Remove favorite entry
-                            commandHandler.data.ratingHistoryDB.remove({ id: id, accountName: activeReqEntry.accounts[i], type: "favorite" }, (err) => {
-                                if (err) logger("warn", `Failed to remove 'favorite' entry for '${activeReqEntry.accounts[i]}' on '${id}' from ratingHistory database! Error: ` + err);
-                            });
+            respond(commandHandler.data.lang.favoriteprocessstarted.replace("numberOfFavs", activeReqEntry.amount).replace("waittime", waitTime));
+        }
 
-                            // Log success message
-                            if (commandHandler.data.proxies.length > 1) logger("info", `[${bot.logPrefix}] Unfavorizing ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} ${id} with proxy ${bot.loginData.proxyIndex}...`);
-                                else logger("info", `[${bot.logPrefix}] Unfavorizing ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} ${id}...`);
-                        }
+        // Give requesting user cooldown. Set timestamp to now if cooldown is disabled to avoid issues when a process is aborted but cooldown can't be cleared
+        if (commandHandler.data.config.commentcooldown == 0) commandHandler.data.setUserCooldown(activeReqEntry.requestedby, Date.now());
+            else commandHandler.data.setUserCooldown(activeReqEntry.requestedby, activeReqEntry.until);
 
-                        // Continue with the next iteration
-                        loop.next();
+        commandHandler.controller.events.emit("requestStarted", id, activeReqEntry);
+    }
 
-                    });
 
-                }, commandHandler.data.config.commentdelay * (i > 0)); // We use commentdelay here for now, not sure if I'm going to add a separate setting
+    // Favorize with all available accounts, starting after the last iteration to support resuming
+    syncLoop(activeReqEntry.amount - (activeReqEntry.thisIteration + 1), (loop, i) => {
+        setTimeout(() => {
 
-            }, () => { // Function that will run on exit, aka the last iteration: Respond to the user
+            let accountName = activeReqEntry.accounts[activeReqEntry.thisIteration + 1];
+            let bot = commandHandler.controller.bots[accountName];
+            activeReqEntry.thisIteration++;
 
-                /* ------------- Send finished message for corresponding status -------------  */
-                if (activeReqEntry.status == "aborted") {
+            // Save progress to disk to be able to resume this request should the bot restart or crash
+            commandHandler.controller.saveActiveRequest(id, resInfo);
 
-                    respond(commandHandler.data.lang.requestaborted.replace("successAmount", activeReqEntry.amount - Object.keys(activeReqEntry.failed).length).replace("totalAmount", activeReqEntry.amount));
+            if (!handleFavoriteIterationSkip(commandHandler, loop, bot, id)) return; // Skip iteration if false was returned
 
-                } else {
+            /* --------- Try to favorite or unfavorite --------- */
+            let favSharedFile = isFavorite ? bot.community.favoriteSharedFile : bot.community.unfavoriteSharedFile;
 
-                    // Add reference to !failed command to finished message if at least one unfavorite failed
-                    let failedcmdreference = "";
+            favSharedFile.call(bot.community, id, appID, (error) => { // Using call() to keep the context of this bot's community instance
 
-                    if (Object.keys(commandHandler.controller.activeRequests[id].failed).length > 0) {
-                        failedcmdreference = `\nTo get detailed information why which request failed please type '${resInfo.cmdprefix}failed'. You can read why your error was probably caused here: https://github.com/3urobeat/steam-comment-service-bot/blob/master/docs/wiki/errors_doc.md`;
+                /* --------- Handle errors thrown by this attempt or update ratingHistory db and log success message --------- */
+                if (error) {
+                    logFavoriteError(error, commandHandler, bot, id);
+
+                } else {
+
+                    // Add or remove favorite entry
+                    if (isFavorite) {
+                        commandHandler.data.ratingHistoryDB.insert({ id: id, accountName: accountName, type: "favorite", time: Date.now() }, (err) => {
+                            if (err) logger("warn", `Failed to insert 'favorite' entry for '${accountName}' on '${id}' into ratingHistory database! Error: ` + err);
+                        });
+                    } else {
+                        commandHandler.data.ratingHistoryDB.remove({ id: id, accountName: accountName, type: "favorite" }, (err) => {
+                            if (err) logger("warn", `Failed to remove 'favorite' entry for '${accountName}' on '${id}' from ratingHistory database! Error: ` + err);
+                        });
                     }
 
-                    // Send finished message
-                    respond(`${commandHandler.data.lang.favoritesuccess.replace("failedamount", Object.keys(activeReqEntry.failed).length).replace("numberOfFavs", activeReqEntry.amount)}\n${failedcmdreference}`);
+                    // Update health record of this account
+                    commandHandler.data.recordAccountSuccess(accountName);
 
-                    // Set status of this request to cooldown and add amount of successful comments to our global commentCounter
-                    activeReqEntry.status = "cooldown";
+                    // Log success message
+                    if (commandHandler.data.proxies.length > 1) logger("info", `[${bot.logPrefix}] ${favingStr} ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} ${id} with proxy ${bot.loginData.proxyIndex}...`);
+                        else logger("info", `[${bot.logPrefix}] ${favingStr} ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} ${id}...`);
 
+                    commandHandler.controller.events.emit("iterationSucceeded", id, activeReqEntry, bot);
                 }
 
+                // Continue with the next iteration
+                loop.next();
+
             });
-        });
-    }
-};
\ No newline at end of file
+
+        }, commandHandler.data.config.commentdelay * (i > 0)); // We use commentdelay here for now, not sure if I'm going to add a separate setting
+
+    }, () => { // Function that will run on exit, aka the last iteration: Respond to the user
+
+        /* ------------- Send finished message for corresponding status -------------  */
+        if (activeReqEntry.status == "aborted") {
+
+            respond(commandHandler.data.lang.requestaborted.replace("successAmount", activeReqEntry.amount - Object.keys(activeReqEntry.failed).length).replace("totalAmount", activeReqEntry.amount));
+
+        } else {
+
+            // Add reference to !failed command to finished message if at least one request failed
+            let failedcmdreference = "";
+
+            if (Object.keys(commandHandler.controller.activeRequests[id].failed).length > 0) {
+                failedcmdreference = `\nTo get detailed information why which request failed please type '${resInfo.cmdprefix}failed'. You can read why your error was probably caused here: https://github.com/3urobeat/steam-comment-service-bot/blob/master/docs/wiki/errors_doc.md`;
+            }
+
+            // Send finished message
+            respond(`${commandHandler.data.lang.favoritesuccess.replace("failedamount", Object.keys(activeReqEntry.failed).length).replace("numberOfFavs", activeReqEntry.amount)}\n${failedcmdreference}`);
+
+            // Set status of this request to cooldown and add amount of successful comments to our global commentCounter
+            activeReqEntry.status = "cooldown";
+
+        }
+
+        commandHandler.controller.saveActiveRequest(id, resInfo); // Removes the entry from the disk as the request is finished
+
+        commandHandler.controller.events.emit("requestFinished", id, activeReqEntry);
+
+    });
+}
\ No newline at end of file
@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 13:02:11
+ * Last Modified: 10.08.2023 11:27:48
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -27,7 +27,8 @@ module.exports.addFriend = {
         {
             name: "ID",
             description: "The link, steamID64 or vanity of the profile to add",
-            type: "string",
+            type: "steamID",
+            idType: "profile",
             isOptional: false,
             ownersOnly: true
         }
@@ -47,42 +48,38 @@ module.exports.addFriend = {
 
         if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
 
-        if (!args[0]) return respond(commandHandler.data.lang.invalidprofileid);
+        let steamID64 = args[0]; // Already resolved by the commandHandler
+
+        // Check if first bot account is limited to be able to display error message instantly
+        if (commandHandler.controller.main.user.limitations && commandHandler.controller.main.user.limitations.limited == true) {
+            respond(commandHandler.data.lang.addfriendcmdacclimited.replace("profileid", steamID64));
+            return;
+        }
 
-        commandHandler.controller.handleSteamIdResolving(args[0], "profile", (err, res) => {
-            if (err) return respond(commandHandler.data.lang.invalidprofileid + "\n\nError: " + err);
+        respond(commandHandler.data.lang.addfriendcmdsuccess.replace("profileid", steamID64).replace("estimatedtime", 5 * commandHandler.controller.getBots().length));
+        logger("info", `Adding friend ${steamID64} with all bot accounts... This will take ~${5 * commandHandler.controller.getBots().length} seconds.`);
 
-            // Check if first bot account is limited to be able to display error message instantly
-            if (commandHandler.controller.main.user.limitations && commandHandler.controller.main.user.limitations.limited == true) {
-                respond(commandHandler.data.lang.addfriendcmdacclimited.replace("profileid", res));
+        commandHandler.controller.getBots().forEach((e, i) => {
+            // Check if this bot account is limited
+            if (e.user.limitations && e.user.limitations.limited == true) {
+                logger("error", `Can't add friend ${steamID64} with bot${e.index} because the bot account is limited.`);
                 return;
             }
 
-            respond(commandHandler.data.lang.addfriendcmdsuccess.replace("profileid", res).replace("estimatedtime", 5 * commandHandler.controller.getBots().length));
-            logger("info", `Adding friend ${res} with all bot accounts... This will take ~${5 * commandHandler.controller.getBots().length} seconds.`);
-
-            commandHandler.controller.getBots().forEach((e, i) => {
-                // Check if this bot account is limited
-                if (e.user.limitations && e.user.limitations.limited == true) {
-                    logger("error", `Can't add friend ${res} with bot${e.index} because the bot account is limited.`);
-                    return;
-                }
-
-                if (e.user.myFriends[res] != 3 && e.user.myFriends[res] != 1) { // Check if provided user is not friend and not blocked
-                    setTimeout(() => {
-                        e.user.addFriend(new SteamID(res), (err) => {
-                            if (err) logger("error", `Error adding ${res} with bot${e.index}: ${err}`);
-                                else logger("info", `Added ${res} with bot${e.index} as friend.`);
-                        });
-
-                        commandHandler.controller.friendListCapacityCheck(e, (remaining) => { // Check remaining friendlist space
-                            if (remaining < 25) logger("warn", `The friendlist space of bot${e.index} is running low! (${remaining} remaining)`);
-                        });
-                    }, 5000 * i);
-                } else {
-                    logger("warn", `bot${e.index} is already friend with ${res} or the account was blocked/blocked you.`); // Somehow logs steamIDs in separate row?!
-                }
-            });
+            if (e.user.myFriends[steamID64] != 3 && e.user.myFriends[steamID64] != 1) { // Check if provided user is not friend and not blocked
+                setTimeout(() => {
+                    e.user.addFriend(new SteamID(steamID64), (err) => {
+                        if (err) logger("error", `Error adding ${steamID64} with bot${e.index}: ${err}`);
+                            else logger("info", `Added ${steamID64} with bot${e.index} as friend.`);
+                    });
+
+                    commandHandler.controller.friendListCapacityCheck(e, (remaining) => { // Check remaining friendlist space
+                        if (remaining < 25) logger("warn", `The friendlist space of bot${e.index} is running low! (${remaining} remaining)`);
+                    });
+                }, 5000 * i);
+            } else {
+                logger("warn", `bot${e.index} is already friend with ${steamID64} or the account was blocked/blocked you.`); // Somehow logs steamIDs in separate row?!
+            }
         });
     }
 };
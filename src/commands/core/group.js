@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 21:25:38
+ * Last Modified: 10.08.2023 11:27:48
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -62,7 +62,8 @@ module.exports.joinGroup = {
         {
             name: "ID",
             description: "The link or groupID64 of the group to join",
-            type: "string",
+            type: "steamID",
+            idType: "group",
             isOptional: false,
             ownersOnly: true
         }
@@ -82,20 +83,16 @@ module.exports.joinGroup = {
 
         if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
 
-        if (isNaN(args[0]) && !String(args[0]).startsWith("https://steamcommunity.com/groups/")) return respond(commandHandler.data.lang.invalidgroupid);
-
-        commandHandler.controller.handleSteamIdResolving(args[0], "group", (err, id) => {
-            if (err) return respond(commandHandler.data.lang.invalidgroupid + "\n\nError: " + err);
+        let groupID64 = args[0]; // Already resolved by the commandHandler
 
-            commandHandler.controller.getBots().forEach((e, i) => {
-                setTimeout(() => {
-                    if (e.user.myGroups[id] !== 3) e.community.joinGroup(new SteamID(id));
-                }, 1000 * i); // Delay every iteration so that we don't make a ton of requests at once
-            });
-
-            respond(commandHandler.data.lang.joingroupcmdsuccess.replace("groupid", id));
-            logger("info", `Joining group '${id}' with all bot accounts...`);
+        commandHandler.controller.getBots().forEach((e, i) => {
+            setTimeout(() => {
+                if (e.user.myGroups[groupID64] !== 3) e.community.joinGroup(new SteamID(groupID64));
+            }, 1000 * i); // Delay every iteration so that we don't make a ton of requests at once
         });
+
+        respond(commandHandler.data.lang.joingroupcmdsuccess.replace("groupid", groupID64));
+        logger("info", `Joining group '${groupID64}' with all bot accounts...`);
     }
 };
 
@@ -107,7 +104,8 @@ module.exports.leaveGroup = {
         {
             name: "ID",
             description: "The link or groupID64 of the group to leave",
-            type: "string",
+            type: "steamID",
+            idType: "group",
             isOptional: false,
             ownersOnly: true
         }
@@ -127,20 +125,16 @@ module.exports.leaveGroup = {
 
         if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
 
-        if (isNaN(args[0]) && !String(args[0]).startsWith("https://steamcommunity.com/groups/")) return respond(commandHandler.data.lang.invalidgroupid);
-
-        commandHandler.controller.handleSteamIdResolving(args[0], "group", (err, id) => {
-            if (err) return respond(commandHandler.data.lang.invalidgroupid + "\n\nError: " + err);
+        let groupID64 = args[0]; // Already resolved by the commandHandler
 
-            commandHandler.controller.getBots().forEach((e, i) => {
-                setTimeout(() => {
-                    if (e.user.myGroups[id] === 3) e.community.leaveGroup(new SteamID(id));
-                }, 1000 * i); // Delay every iteration so that we don't make a ton of requests at once
-            });
-
-            respond(commandHandler.data.lang.leavegroupcmdsuccess.replace("groupid", id));
-            logger("info", `Leaving group ${id} with all bot accounts.`);
+        commandHandler.controller.getBots().forEach((e, i) => {
+            setTimeout(() => {
+                if (e.user.myGroups[groupID64] === 3) e.community.leaveGroup(new SteamID(groupID64));
+            }, 1000 * i); // Delay every iteration so that we don't make a ton of requests at once
         });
+
+        respond(commandHandler.data.lang.leavegroupcmdsuccess.replace("groupid", groupID64));
+        logger("info", `Leaving group ${groupID64} with all bot accounts.`);
     }
 };
 
@@ -0,0 +1,64 @@
+/*
+ * File: proxies.js
+ * Project: steam-comment-service-bot
+ * Created Date: 05.08.2023 12:20:51
+ * Author: 3urobeat
+ *
+ * Last Modified: 05.08.2023 16:08:53
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const CommandHandler   = require("../commandHandler.js"); // eslint-disable-line
+const { timeToString } = require("../../controller/helpers/misc.js");
+
+
+module.exports.proxies = {
+    names: ["proxies", "proxy"],
+    description: "Shows all proxies, their health and which bot accounts are assigned to them",
+    args: [],
+    ownersOnly: true,
+
+    /**
+     * The proxies command
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {Array} args Array of arguments that will be passed to the command
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    run: (commandHandler, args, respondModule, context, resInfo) => {
+        if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+
+        let str = "";
+
+        commandHandler.controller.getBotsPerProxy("*").forEach((e) => {
+            let record   = commandHandler.data.proxyHealth[e.proxyIndex];
+            let proxyStr = e.proxy ? e.proxy.replace(/\/\/[^/]*@/, "//") : "Local IP"; // Don't send credentials of proxies to the chat
+
+            if (commandHandler.data.proxyNames[e.proxyIndex]) proxyStr = `${commandHandler.data.proxyNames[e.proxyIndex]} (${proxyStr})`;
+
+            let healthStr = "Not checked yet";
+
+            if (record && record.lastCheck > 0) {
+                let latencyStr = record.latency != null ? `${record.latency}ms` : "unreachable";
+
+                if (record.unhealthyChecks == 0) healthStr = `Healthy (${latencyStr}, checked ${timeToString(record.lastCheck)} ago)`;
+                    else healthStr = `Unhealthy for ${record.unhealthyChecks} check(s) (${latencyStr}, checked ${timeToString(record.lastCheck)} ago)`;
+            }
+
+            let errorsStr = record ? `429s: ${record.rateLimits} | Connection failures: ${record.connectionFailures}` : "429s: 0 | Connection failures: 0";
+            let botsStr   = e.bots.map(f => f.index).sort((a, b) => a - b).join(", ") || "none";
+
+            str += `${e.proxyIndex}. ${proxyStr}: ${healthStr} | ${errorsStr} | Accounts: ${botsStr}\n`;
+        });
+
+        respondModule(context, { cutChars: ["\n"], ...resInfo }, commandHandler.data.lang.proxiescmdhealth + "\n" + str); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+    }
+};
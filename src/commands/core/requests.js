@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 13:04:06
+ * Last Modified: 11.08.2023 15:31:44
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -21,14 +21,14 @@ const { failedCommentsObjToString } = require("../helpers/handleCommentSkips.js"
 
 module.exports.abort = {
     names: ["abort"],
-    description: "Abort your own comment process or one on another ID you have started. Owners can also abort requests started by other users",
+    description: "Abort your own comment process or one on another ID you have started, including interrupted ones, or remove it from the request queue. Owners and moderators can also abort requests started by other users",
     args: [
         {
             name: "ID",
             description: "The link, steamID64 or vanity of the profile, group or sharedfile to abort the request of",
             type: "string",
             isOptional: true,
-            ownersOnly: false // Providing an ID for a request of another user is ownerOnly
+            ownersOnly: false // Providing an ID for a request of another user requires the moderator role
         },
     ],
     ownersOnly: false,
@@ -50,25 +50,40 @@ module.exports.abort = {
         // Check for no userID and no id param as both can be missing if called from outside the Steam Chat
         if (!userID && !args[0]) return respond(commandHandler.data.lang.noidparam);
 
-        commandHandler.controller.handleSteamIdResolving(args[0], null, (err, res) => {
+        commandHandler.controller.handleSteamIdResolving(args[0], null, async (err, res) => {
             if (res) {
                 let activeReqEntry = commandHandler.controller.activeRequests[res];
 
-                // Get the correct ownerid array for this request
-                let owners = commandHandler.data.cachefile.ownerid;
-                if (resInfo.ownerIDs && resInfo.ownerIDs.length > 0) owners = resInfo.ownerIDs;
-
-                // Refuse if user is not an owner and the request is not from them
-                if (!owners.includes(resInfo.userID) && (activeReqEntry && activeReqEntry.requestedby != resInfo.userID)) return respond(commandHandler.data.lang.commandowneronly);
-                    else logger("debug", "CommandHandler abort cmd: Non-owner provided ID as parameter but is requester of that request. Permitting abort...");
+                // Refuse if user is not at least a moderator and the request is not from them
+                if (!commandHandler.data.hasRole(resInfo.userID, "moderator", resInfo.ownerIDs) && (activeReqEntry && activeReqEntry.requestedby != resInfo.userID)) return respondModule(context, { ...resInfo, rejectReason: "permission" }, commandHandler.data.lang.commandrolerequired.replace("rolename", "moderator"));
+                    else logger("debug", "CommandHandler abort cmd: Non-moderator provided ID as parameter but is requester of that request. Permitting abort...");
 
                 userID = res; // If user provided an id as argument then use that instead of their id
             }
 
-            if (!commandHandler.controller.activeRequests[userID] || commandHandler.controller.activeRequests[userID].status != "active") return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.abortcmdnoprocess); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+            if (!commandHandler.controller.activeRequests[userID] || (commandHandler.controller.activeRequests[userID].status != "active" && commandHandler.controller.activeRequests[userID].status != "interrupted")) {
+
+                // Check if a request for this ID is waiting in the queue and remove it instead
+                let queuedReq = (await commandHandler.controller.getRequestQueue()).find(e => e.receiver == userID);
+
+                if (queuedReq) {
+                    // Refuse if user is not at least a moderator and the queued request is not from them
+                    if (!commandHandler.data.hasRole(resInfo.userID, "moderator", resInfo.ownerIDs) && queuedReq.requestedby != resInfo.userID) return respondModule(context, { ...resInfo, rejectReason: "permission" }, commandHandler.data.lang.commandrolerequired.replace("rolename", "moderator"));
+
+                    await commandHandler.controller.removeRequestFromQueue(userID);
+
+                    logger("info", `Removed queued request for ID ${userID} from the request queue.`);
+                    return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.abortcmdqueueremoved); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+                }
+
+                return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.abortcmdnoprocess); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+            }
 
-            // Set new status for this request
+            // Set new status for this request and remove it from the disk, which is otherwise done by the request itself when it is finished but interrupted requests aren't running
             commandHandler.controller.activeRequests[userID].status = "aborted";
+            commandHandler.controller.saveActiveRequest(userID, resInfo);
+
+            commandHandler.controller.events.emit("requestAborted", userID, commandHandler.controller.activeRequests[userID]);
 
             logger("info", `Aborting active process for ID ${userID}...`);
             respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.abortcmdsuccess); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
@@ -77,6 +92,72 @@ module.exports.abort = {
 };
 
 
+module.exports.resume = {
+    names: ["resume"],
+    description: "Resume your own request or one on another ID you have started which was interrupted by a restart. Owners can also resume requests started by other users",
+    args: [
+        {
+            name: "ID",
+            description: "The link, steamID64 or vanity of the profile, group or sharedfile to resume the request of",
+            type: "string",
+            isOptional: true,
+            ownersOnly: false // Providing an ID for a request of another user is ownerOnly
+        },
+    ],
+    ownersOnly: false,
+
+    /**
+     * The resume command
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {Array} args Array of arguments that will be passed to the command
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    run: (commandHandler, args, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
+        if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+        if (commandHandler.controller.info.activeLogin)     return respond(commandHandler.data.lang.activerelog); // Bot is waiting for relog
+
+        let userID = resInfo.userID;
+
+        // Check for no userID and no id param as both can be missing if called from outside the Steam Chat
+        if (!userID && !args[0]) return respond(commandHandler.data.lang.noidparam);
+
+        commandHandler.controller.handleSteamIdResolving(args[0], null, (err, res) => {
+            if (res) userID = res; // If user provided an id as argument then use that instead of their id
+
+            let activeReqEntry = commandHandler.controller.activeRequests[userID];
+
+            if (!activeReqEntry || activeReqEntry.status != "interrupted") return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.resumecmdnoprocess); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+
+            // Get the correct ownerid array for this request
+            let owners = commandHandler.data.cachefile.ownerid;
+            if (resInfo.ownerIDs && resInfo.ownerIDs.length > 0) owners = resInfo.ownerIDs;
+
+            // Refuse if user is not an owner and the request is not from them
+            if (!owners.includes(resInfo.userID) && activeReqEntry.requestedby != resInfo.userID) return respond(commandHandler.data.lang.commandowneronly);
+
+            // Refuse if no command is able to resume requests of this type, for example because a plugin providing it was removed
+            let thisCmd = commandHandler.controller.getResumableCommand(activeReqEntry.type);
+
+            if (!thisCmd) return respond(commandHandler.data.lang.resumecmdnotresumable);
+
+            let remaining = activeReqEntry.amount - (activeReqEntry.thisIteration + 1);
+
+            // Set new status for this request, update the estimated time it will take and continue it using the command which started it
+            activeReqEntry.status = "active";
+            activeReqEntry.until  = Date.now() + ((remaining - 1) * commandHandler.data.config.commentdelay);
+
+            logger("info", `Resuming interrupted ${activeReqEntry.type} request for ID ${userID} with ${remaining} remaining iteration(s)...`);
+            respond(commandHandler.data.lang.requestresumed.replace("remaining", remaining).replace("totalAmount", activeReqEntry.amount));
+
+            thisCmd.resume(commandHandler, userID, respondModule, context, resInfo);
+        });
+    }
+};
+
+
 module.exports.resetCooldown = {
     names: ["resetcooldown", "rc"],
     description: "Clear your, the ID's or the comment cooldown of all bot accounts (global)",
@@ -86,10 +167,12 @@ module.exports.resetCooldown = {
             description: "The link, steamID64 or vanity of the profile to clear the cooldown of or the word global to clear the cooldown of all bot accounts",
             type: "string",
             isOptional: true,
-            ownersOnly: true
+            ownersOnly: false,
+            role: "moderator"
         }
     ],
-    ownersOnly: true,
+    ownersOnly: false,
+    role: "moderator",
 
     /**
      * The resetcooldown command
@@ -136,14 +219,14 @@ module.exports.resetCooldown = {
 
 module.exports.failed = {
     names: ["failed"],
-    description: "See the exact errors of the last comment request on your profile or provide an ID to see the errors of the last request you started. Owners can also view errors for requests started by other users",
+    description: "See the exact errors of the last comment request on your profile or provide an ID to see the errors of the last request you started. Owners and moderators can also view errors for requests started by other users",
     args: [
         {
             name: "ID",
             description: "The link, steamID64 or vanity of the profile, group or sharedfile to view the errors of",
             type: "string",
             isOptional: true,
-            ownersOnly: false // Providing an ID for a request of another user is ownerOnly
+            ownersOnly: false // Providing an ID for a request of another user requires the moderator role
         }
     ],
     ownersOnly: false,
@@ -168,13 +251,9 @@ module.exports.failed = {
             if (res) {
                 let activeReqEntry = commandHandler.controller.activeRequests[res];
 
-                // Get the correct ownerid array for this request
-                let owners = commandHandler.data.cachefile.ownerid;
-                if (resInfo.ownerIDs && resInfo.ownerIDs.length > 0) owners = resInfo.ownerIDs;
-
-                // Refuse if user is not an owner and the request is not from them
-                if (!owners.includes(userID) && (activeReqEntry && activeReqEntry.requestedby != userID)) return respond(commandHandler.data.lang.commandowneronly);
-                    else logger("debug", "CommandHandler failed cmd: Non-owner provided ID as parameter but is requester of that request. Permitting data retrieval...");
+                // Refuse if user is not at least a moderator and the request is not from them
+                if (!commandHandler.data.hasRole(userID, "moderator", resInfo.ownerIDs) && (activeReqEntry && activeReqEntry.requestedby != userID)) return respondModule(context, { ...resInfo, rejectReason: "permission" }, commandHandler.data.lang.commandrolerequired.replace("rolename", "moderator"));
+                    else logger("debug", "CommandHandler failed cmd: Non-moderator provided ID as parameter but is requester of that request. Permitting data retrieval...");
 
                 userID = res; // If user provided an id as argument then use that instead of their id
             }
@@ -199,7 +278,7 @@ module.exports.failed = {
 
 module.exports.sessions = {
     names: ["sessions"],
-    description: "Displays all active requests",
+    description: "Displays all active and queued requests",
     args: [],
     ownersOnly: true,
 
@@ -211,39 +290,38 @@ module.exports.sessions = {
      * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
      * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
      */
-    run: (commandHandler, args, respondModule, context, resInfo) => {
+    run: async (commandHandler, args, respondModule, context, resInfo) => {
         let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
 
         let str = "";
+        let amount = 0;
+
+        Object.keys(commandHandler.controller.activeRequests).forEach((e) => {
+            if (Date.now() < commandHandler.controller.activeRequests[e].until + (commandHandler.data.config.botaccountcooldown * 60000)) { // Check if entry is not finished yet
+                str += `- Status: ${commandHandler.controller.activeRequests[e].status} | ${commandHandler.controller.activeRequests[e].amount} iterations with ${commandHandler.controller.activeRequests[e].accounts.length} accounts by ${commandHandler.controller.activeRequests[e].requestedby} for ${commandHandler.controller.activeRequests[e].type} ${e}\n`;
+                amount++;
+            } else {
+                delete commandHandler.controller.activeRequests[e]; // Remove entry from object if it is finished to keep the object clean
+            }
+        });
 
-        if (Object.keys(commandHandler.controller.activeRequests).length > 0) { // Only loop through object if it isn't empty
-            let objlength = Object.keys(commandHandler.controller.activeRequests).length; // Save this before the loop as deleting entries will change this number and lead to the loop finished check never triggering
+        // Add all requests which are waiting in the request queue
+        let queue = await commandHandler.controller.getRequestQueue();
 
-            Object.keys(commandHandler.controller.activeRequests).forEach((e, i) => {
-                if (Date.now() < commandHandler.controller.activeRequests[e].until + (commandHandler.data.config.botaccountcooldown * 60000)) { // Check if entry is not finished yet
-                    str += `- Status: ${commandHandler.controller.activeRequests[e].status} | ${commandHandler.controller.activeRequests[e].amount} iterations with ${commandHandler.controller.activeRequests[e].accounts.length} accounts by ${commandHandler.controller.activeRequests[e].requestedby} for ${commandHandler.controller.activeRequests[e].type} ${Object.keys(commandHandler.controller.activeRequests)[i]}\n`;
-                } else {
-                    delete commandHandler.controller.activeRequests[e]; // Remove entry from object if it is finished to keep the object clean
-                }
+        queue.forEach((e, i) => {
+            str += `- Status: queued (position ${i + 1}) | ${e.amount} iterations by ${e.requestedby} for ${e.idType}Comment ${e.receiver}\n`;
+            amount++;
+        });
 
-                if (i == objlength - 1) {
-                    if (Object.keys(commandHandler.controller.activeRequests).length > 0) { // Check if obj is still not empty
-                        respond(commandHandler.data.lang.sessionscmdmsg.replace("amount", Object.keys(commandHandler.controller.activeRequests).length) + "\n" + str);
-                    } else {
-                        respond(commandHandler.data.lang.sessionscmdnosessions);
-                    }
-                }
-            });
-        } else {
-            respond(commandHandler.data.lang.sessionscmdnosessions);
-        }
+        if (amount > 0) respond(commandHandler.data.lang.sessionscmdmsg.replace("amount", amount) + "\n" + str);
+            else respond(commandHandler.data.lang.sessionscmdnosessions);
     }
 };
 
 
 module.exports.mySessions = {
     names: ["mysessions"],
-    description: "Displays all active requests that you have started",
+    description: "Displays all active and queued requests that you have started",
     args: [],
     ownersOnly: false,
 
@@ -255,35 +333,36 @@ module.exports.mySessions = {
      * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
      * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
      */
-    run: (commandHandler, args, respondModule, context, resInfo) => {
+    run: async (commandHandler, args, respondModule, context, resInfo) => {
         let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
         let str = "";
+        let amount = 0;
 
         // Check for no userID as the default behavior might be unavailable when calling from outside of the Steam Chat
         if (!resInfo.userID) return respond(commandHandler.data.lang.nouserid); // In this case the cmd doesn't have an ID param so send this message instead of noidparam
 
-        if (Object.keys(commandHandler.controller.activeRequests).length > 0) { // Only loop through object if it isn't empty
-            let objlength = Object.keys(commandHandler.controller.activeRequests).length; // Save this before the loop as deleting entries will change this number and lead to the loop finished check never triggering
+        Object.keys(commandHandler.controller.activeRequests).forEach((e) => {
+            if (Date.now() < commandHandler.controller.activeRequests[e].until + (commandHandler.data.config.botaccountcooldown * 60000)) { // Check if entry is not finished yet
+                if (commandHandler.controller.activeRequests[e].requestedby != resInfo.userID) return;
 
-            Object.keys(commandHandler.controller.activeRequests).forEach((e, i) => {
-                if (Date.now() < commandHandler.controller.activeRequests[e].until + (commandHandler.data.config.botaccountcooldown * 60000)) { // Check if entry is not finished yet
-                    if (commandHandler.controller.activeRequests[e].requestedby == resInfo.userID) str += `- Status: ${commandHandler.controller.activeRequests[e].status} | ${commandHandler.controller.activeRequests[e].amount} iterations with ${commandHandler.controller.activeRequests[e].accounts.length} accounts by ${commandHandler.controller.activeRequests[e].requestedby} for ${commandHandler.controller.activeRequests[e].type} ${Object.keys(commandHandler.controller.activeRequests)[i]}`;
-                } else {
-                    delete commandHandler.controller.activeRequests[e]; // Remove entry from object if it is finished to keep the object clean
-                }
+                str += `- Status: ${commandHandler.controller.activeRequests[e].status} | ${commandHandler.controller.activeRequests[e].amount} iterations with ${commandHandler.controller.activeRequests[e].accounts.length} accounts by ${commandHandler.controller.activeRequests[e].requestedby} for ${commandHandler.controller.activeRequests[e].type} ${e}\n`;
+                amount++;
+            } else {
+                delete commandHandler.controller.activeRequests[e]; // Remove entry from object if it is finished to keep the object clean
+            }
+        });
 
-                if (i == objlength - 1) {
-                    if (i == objlength - 1) {
-                        if (Object.keys(commandHandler.controller.activeRequests).length > 0) { // Check if obj is still not empty
-                            respond(commandHandler.data.lang.sessionscmdmsg.replace("amount", Object.keys(commandHandler.controller.activeRequests).length) + "\n" + str);
-                        } else {
-                            respond(commandHandler.data.lang.mysessionscmdnosessions);
-                        }
-                    }
-                }
-            });
-        } else {
-            respond(commandHandler.data.lang.mysessionscmdnosessions);
-        }
+        // Add all requests of this user which are waiting in the request queue
+        let queue = await commandHandler.controller.getRequestQueue();
+
+        queue.forEach((e, i) => {
+            if (e.requestedby != resInfo.userID) return;
+
+            str += `- Status: queued (position ${i + 1}) | ${e.amount} iterations by ${e.requestedby} for ${e.idType}Comment ${e.receiver}\n`;
+            amount++;
+        });
+
+        if (amount > 0) respond(commandHandler.data.lang.sessionscmdmsg.replace("amount", amount) + "\n" + str);
+            else respond(commandHandler.data.lang.mysessionscmdnosessions);
     }
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+/*
+ * File: roles.js
+ * Project: steam-comment-service-bot
+ * Created Date: 10.08.2023 14:22:57
+ * Author: 3urobeat
+ *
+ * Last Modified: 10.08.2023 15:08:14
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
+
+
+module.exports.role = {
+    names: ["role", "roles"],
+    description: "Assigns the role trusted or moderator to a user, removes it or lists all users with a role",
+    args: [
+        {
+            name: '"add", "remove" or "list"',
+            description: "What to do. Lists all users with a role if omitted",
+            type: "string",
+            isOptional: true,
+            ownersOnly: true
+        },
+        {
+            name: "ID",
+            description: "When adding or removing: The link, steamID64 or vanity of the profile of the user",
+            type: "steamID",
+            idType: "profile",
+            isOptional: true,
+            ownersOnly: true
+        },
+        {
+            name: '"trusted" or "moderator"',
+            description: "When adding: The role to assign",
+            type: "string",
+            isOptional: true,
+            ownersOnly: true
+        }
+    ],
+    ownersOnly: true,
+
+    /**
+     * The role command
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {Array} args Array of arguments that will be passed to the command
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    run: async (commandHandler, args, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
+
+        switch (args[0] ? args[0].toLowerCase() : "list") {
+            case "add": {
+                if (!args[1] || !args[2]) return respond(commandHandler.data.lang.rolecmdusage.replace(/cmdprefix/g, resInfo.cmdprefix));
+
+                let role = args[2].toLowerCase();
+
+                // Only allow roles between user and owner, owners are set in the config
+                if (role == "user" || role == "owner" || !commandHandler.data.getRoleHierarchy().includes(role)) return respond(commandHandler.data.lang.rolecmdinvalidrole.replace("rolename", args[2]));
+                if (commandHandler.data.getUserRole(args[1], resInfo.ownerIDs) == "owner") return respond(commandHandler.data.lang.rolecmdowner);
+
+                let success = await commandHandler.data.setUserRole(args[1], role);
+                if (!success) return respond(commandHandler.data.lang.rolecmderror);
+
+                logger("info", `Assigned role '${role}' to user '${args[1]}'.`);
+                respond(commandHandler.data.lang.rolecmdadded.replace("profileid", args[1]).replace("rolename", role));
+                break;
+            }
+
+            case "remove": {
+                if (!args[1]) return respond(commandHandler.data.lang.rolecmdusage.replace(/cmdprefix/g, resInfo.cmdprefix));
+                if (commandHandler.data.getUserRole(args[1], resInfo.ownerIDs) == "owner") return respond(commandHandler.data.lang.rolecmdowner);
+                if (!commandHandler.data.userRoles[args[1]]) return respond(commandHandler.data.lang.rolecmdnorole.replace("profileid", args[1]));
+
+                let success = await commandHandler.data.setUserRole(args[1], "user");
+                if (!success) return respond(commandHandler.data.lang.rolecmderror);
+
+                logger("info", `Removed role of user '${args[1]}'.`);
+                respond(commandHandler.data.lang.rolecmdremoved.replace("profileid", args[1]));
+                break;
+            }
+
+            case "list": {
+                let users = Object.keys(commandHandler.data.userRoles);
+
+                if (users.length == 0) return respond(commandHandler.data.lang.rolecmdnoroles.replace(/cmdprefix/g, resInfo.cmdprefix));
+
+                let str = users.map((e) => `${e}: ${commandHandler.data.userRoles[e]}`).join("\n");
+
+                respondModule(context, { cutChars: ["\n"], ...resInfo }, commandHandler.data.lang.rolecmdlist + "\n" + str); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+                break;
+            }
+
+            default:
+                respond(commandHandler.data.lang.rolecmdusage.replace(/cmdprefix/g, resInfo.cmdprefix));
+        }
+    }
+};
@@ -0,0 +1,125 @@
+/*
+ * File: schedule.js
+ * Project: steam-comment-service-bot
+ * Created Date: 29.07.2023 15:12:51
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 11:36:50
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
+
+
+module.exports.schedule = {
+    names: ["schedule"],
+    description: "Schedules a one-off or recurring comment request, lists all schedules or removes one",
+    args: [
+        {
+            name: '"add", "list" or "remove"',
+            description: "What to do. Lists all schedules if omitted",
+            type: "string",
+            isOptional: true,
+            ownersOnly: true
+        },
+        {
+            name: "when",
+            description: 'When adding: "once", "daily", a weekday like "sunday" or a date like DD.MM.YYYY. When removing: The number of the schedule shown by the list action',
+            type: "string",
+            isOptional: true,
+            ownersOnly: true
+        },
+        {
+            name: "time",
+            description: "When adding: Time of day in the format HH:MM",
+            type: "string",
+            isOptional: true,
+            ownersOnly: true
+        },
+        {
+            name: "comment arguments",
+            description: "When adding: All arguments the comment command should be run with, starting with the amount",
+            type: "string",
+            isOptional: true,
+            ownersOnly: true,
+            isRest: true
+        }
+    ],
+    ownersOnly: true,
+
+    /**
+     * The schedule command
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {Array} args Array of arguments that will be passed to the command
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    run: async (commandHandler, args, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
+
+        if (commandHandler.controller.info.readyAfter == 0) return respondModule(context, { prefix: "/me", ...resInfo }, commandHandler.data.lang.botnotready); // Check if bot isn't fully started yet - Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+
+        let schedules = await commandHandler.controller.getSchedules();
+
+        switch (args[0] ? args[0].toLowerCase() : "list") {
+            case "add": {
+                if (!args[1] || !args[2] || !args[3]) return respond(commandHandler.data.lang.schedulecmdusage.replace(/cmdprefix/g, resInfo.cmdprefix));
+
+                // Check for no id param as default behavior is unavailable when calling from outside the Steam Chat
+                if (!resInfo.fromSteamChat && !args[4]) return respond(commandHandler.data.lang.noidparam);
+
+                // Check if amount is valid. Everything else will be checked by the comment command when the schedule runs
+                if (args[3].toLowerCase() != "all" && args[3].toLowerCase() != "max" && (isNaN(args[3]) || Number(args[3]) < 1)) return respond(commandHandler.data.lang.schedulecmdusage.replace(/cmdprefix/g, resInfo.cmdprefix));
+
+                // Only store the properties of resInfo we need to respond later on, the rest could be lost after a restart anyway
+                let newSchedule = await commandHandler.controller.addSchedule({
+                    when: args[1].toLowerCase(),
+                    time: args[2],
+                    args: args.slice(3),
+                    resInfo: { cmdprefix: resInfo.cmdprefix, userID: resInfo.userID, ownerIDs: resInfo.ownerIDs, fromSteamChat: resInfo.fromSteamChat, botAccountName: resInfo.botAccountName }
+                });
+
+                if (!newSchedule) return respond(commandHandler.data.lang.schedulecmdinvalid.replace(/cmdprefix/g, resInfo.cmdprefix));
+
+                respond(commandHandler.data.lang.schedulecmdadded.replace("nextrun", new Date(newSchedule.nextRun).toLocaleString()));
+                break;
+            }
+
+            case "remove": {
+                let index = Number(args[1]) - 1;
+
+                if (isNaN(index) || !schedules[index]) return respond(commandHandler.data.lang.schedulecmdnotfound.replace(/cmdprefix/g, resInfo.cmdprefix));
+
+                await commandHandler.controller.removeSchedule(schedules[index]._id);
+
+                logger("info", `Removed schedule '${schedules[index].command} ${schedules[index].args.join(" ")}' (${schedules[index].when} at ${schedules[index].time}).`);
+                respond(commandHandler.data.lang.schedulecmdremoved);
+                break;
+            }
+
+            case "list": {
+                if (schedules.length == 0) return respond(commandHandler.data.lang.schedulecmdnoschedules.replace(/cmdprefix/g, resInfo.cmdprefix));
+
+                let str = "";
+
+                schedules.forEach((e, i) => {
+                    str += `${i + 1}. ${e.when} at ${e.time} | ${resInfo.cmdprefix}${e.command} ${e.args.join(" ")} | By ${e.requestedby} | Next run: ${new Date(e.nextRun).toLocaleString()}\n`;
+                });
+
+                respondModule(context, { cutChars: ["\n"], ...resInfo }, commandHandler.data.lang.schedulecmdlist.replace("amount", schedules.length) + "\n" + str); // Pass new resInfo object which contains prefix and everything the original resInfo obj contained
+                break;
+            }
+
+            default:
+                respond(commandHandler.data.lang.schedulecmdusage.replace(/cmdprefix/g, resInfo.cmdprefix));
+        }
+    }
+};
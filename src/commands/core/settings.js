@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 26.07.2023 19:05:38
+ * Last Modified: 10.08.2023 11:27:48
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -18,6 +18,7 @@
 const fs = require("fs");
 
 const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
+const { convertArg, getCommandUsage } = require("../helpers/parseArgs.js");
 
 
 module.exports.settings = {
@@ -26,17 +27,18 @@ module.exports.settings = {
     args: [
         {
             name: "config key",
-            description: "Name of the config key to update",
+            description: "Name of the config key to update. Shows the current config if omitted",
             type: "string",
-            isOptional: false,
+            isOptional: true,
             ownersOnly: true
         },
         {
             name: "new value",
-            description: "New value of the config key",
+            description: "New value of the config key. Arrays must be wrapped in brackets, for example [1, 2, \"text\"]",
             type: "string",
             isOptional: false,
-            ownersOnly: true
+            ownersOnly: true,
+            isRest: true
         }
     ],
     ownersOnly: true,
@@ -74,8 +76,7 @@ module.exports.settings = {
         }
 
 
-        // Seems like at least one argument was provided so the user probably wants to change a setting
-        if (!args[1]) return respond("Please provide a new value for the key you want to change!");
+        // Seems like at least one argument was provided so the user probably wants to change a setting. The commandHandler already made sure that a new value was provided
 
         // Block those 3 values to don't allow another owner to take over ownership
         if (args[0] == "enableevalcmd" || args[0] == "ownerid" || args[0] == "owner") {
@@ -84,34 +85,20 @@ module.exports.settings = {
 
         let keyvalue = config[args[0]]; // Save old value to be able to reset changes
 
-        // I'm not proud of this code but whatever -> used to convert array into usable array
-        if (Array.isArray(keyvalue)) {
-            let newarr = [];
-
-            args.forEach((e, i) => {
-                if (i == 0) return; // Skip args[0]
-                if (i == 1) e = e.slice(1); // Remove first char which is a [
-                if (i == args.length - 1) e = e.slice(0, -1); // Remove last char which is a ]
+        if (keyvalue == undefined) return respond(commandHandler.data.lang.settingscmdkeynotfound);
 
-                e = e.replace(/,/g, ""); // Remove ,
-                if (e.startsWith('"')) newarr[i - 1] = String(e.replace(/"/g, ""));
-                    else newarr[i - 1] = Number(e);
-            });
+        // Convert new value to the type of the old value as input is always a String. The value may contain spaces, for example when providing an array
+        let newValueStr = args.slice(1).join(" ");
+        let type        = Array.isArray(keyvalue) ? "array" : typeof(keyvalue);
+        let converted   = convertArg(newValueStr, type);
 
-            args[1] = newarr;
-        }
+        if (!converted) return respond(commandHandler.data.lang.arginvalidtype.replace("argname", "new value").replace("argtype", type).replace("argvalue", newValueStr).replace("cmdusage", getCommandUsage(module.exports.settings, resInfo.cmdprefix)));
 
-        // Convert to number or boolean as input is always a String
-        if (typeof(keyvalue) == "number") args[1] = Number(args[1]);
-        if (typeof(keyvalue) == "boolean") { // Prepare for stupid code because doing Boolean(value) will always return true
-            if (args[1] == "true") args[1] = true;
-            if (args[1] == "false") args[1] = false; // Could have been worse tbh
-        }
+        args[1] = converted.value;
 
         // Round maxComments value in order to avoid the possibility of weird amounts
         if (args[0] == "maxComments" || args[0] == "maxOwnerComments") args[1] = Math.round(args[1]);
 
-        if (keyvalue == undefined) return respond(commandHandler.data.lang.settingscmdkeynotfound);
         if (keyvalue == args[1]) return respond(commandHandler.data.lang.settingscmdsamevalue.replace("value", args[1]));
 
         config[args[0]] = args[1]; // Apply changes
@@ -128,8 +115,8 @@ module.exports.settings = {
         if (args[0] == "playinggames") {
             logger("info", "Refreshing game status of all bot accounts...");
             commandHandler.controller.getBots().forEach((e) => {
-                if (e.index == 0) e.user.gamesPlayed(config.playinggames); // Set game only for the main bot
-                if (e.index != 0 && config.childaccsplaygames) e.user.gamesPlayed(config.playinggames.slice(1, config.playinggames.length)); // Play game with child bots but remove the custom game
+                if (e == commandHandler.controller.main) e.user.gamesPlayed(config.playinggames); // Set game only for the main bot
+                if (e != commandHandler.controller.main && config.childaccsplaygames) e.user.gamesPlayed(config.playinggames.slice(1, config.playinggames.length)); // Play game with child bots but remove the custom game
             });
         }
 
@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 26.07.2023 16:42:30
+ * Last Modified: 11.08.2023 16:38:02
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -64,6 +64,40 @@ module.exports.stop = {
 };
 
 
+module.exports.encryptdata = {
+    names: ["encryptdata"],
+    description: "Encrypts your accounts.txt or logininfo.json file and all stored login tokens with a master passphrase. The passphrase needs to be provided on every start",
+    args: [],
+    ownersOnly: true,
+
+    /**
+     * The encryptdata command
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {Array} args Array of arguments that will be passed to the command
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    run: async (commandHandler, args, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
+
+        if (commandHandler.data.isEncryptionEnabled()) return respond(commandHandler.data.lang.encryptdatacmdalreadyencrypted);
+
+        // The passphrase is never sent through the chat, ask for it in the terminal if no env var, key file or headless policy provides it. Refuse if the user can't answer the prompt in the terminal
+        if (!process.env.STEAM_COMMENT_BOT_PASSPHRASE && !commandHandler.data.advancedconfig.masterPassphraseFile && !logger.isHeadless()) {
+            if (!resInfo.fromTerminal) return respond(commandHandler.data.lang.encryptdatacmdnoterminal);
+
+            respond(commandHandler.data.lang.encryptdatacmdenterpassphrase);
+        }
+
+        let success = await commandHandler.data.encryptAccountData();
+
+        if (success) respond(commandHandler.data.lang.encryptdatacmdsuccess);
+            else respond(commandHandler.data.lang.encryptdatacmdaborted);
+    }
+};
+
+
 module.exports.reload = {
     names: ["reload", "rl"],
     description: "Reloads all commands and plugins without needing to restart. Please only use it for testing/development",
@@ -168,7 +202,8 @@ module.exports.eval = {
             description: "The code to run",
             type: "string",
             isOptional: false,
-            ownersOnly: true
+            ownersOnly: true,
+            isRest: true
         }
     ],
     ownersOnly: true,
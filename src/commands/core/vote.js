@@ -4,7 +4,7 @@
  * Created Date: 28.05.2023 12:02:24
  * Author: 3urobeat
  *
- * Last Modified: 24.07.2023 19:42:37
+ * Last Modified: 11.08.2023 18:52:07
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -16,8 +16,8 @@
 
 
 const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
-const { getSharedfileArgs }         = require("../helpers/getSharedfileArgs.js");
 const { getAvailableBotsForVoting } = require("../helpers/getVoteBots.js");
+const { getStrategyArg }            = require("../helpers/allocationStrategies.js");
 const { syncLoop, timeToString }    = require("../../controller/helpers/misc.js");
 const { handleVoteIterationSkip, logVoteError } = require("../helpers/handleSharedfileErrors.js");
 
@@ -28,15 +28,18 @@ module.exports.upvote = {
     args: [
         {
             name: "amount",
-            description: "The amount of upvotes to request",
-            type: "string",
+            description: "The amount of upvotes to request. Use \"all\" or \"max\" to request as many as possible",
+            type: "number",
             isOptional: false,
-            ownersOnly: false
+            ownersOnly: false,
+            allowAll: true,
+            min: 1
         },
         {
             name: "ID",
             description: "The link or sharedfile ID to vote on",
-            type: "string",
+            type: "steamID",
+            idType: "sharedfile",
             isOptional: false,
             ownersOnly: false
         }
@@ -72,10 +75,12 @@ module.exports.upvote = {
         if (commandHandler.data.config.maxComments == 0 && !ownercheck) return respond(commandHandler.data.lang.commandowneronly); // Command is restricted to owners only
 
 
-        // Check and get arguments from user
-        let { amountRaw, id } = await getSharedfileArgs(commandHandler, args, "upvote", resInfo, respond);
+        // Get allocation strategy and check and get arguments from user
+        let strategyName = getStrategyArg(commandHandler, args, ownercheck, respond);
 
-        if (!amountRaw && !id) return; // Looks like the helper aborted the request
+        if (strategyName === false) return; // Looks like the helper aborted the request
+
+        let [ amountRaw, id ] = args; // Parsed by the commandHandler. amountRaw is either a number or "all", which getVoteBots.js updates to how many accounts are available
 
 
         // Check if this id is already receiving something right now
@@ -91,7 +96,7 @@ module.exports.upvote = {
 
 
         // Get all available bot accounts
-        let { amount, availableAccounts, whenAvailableStr } = await getAvailableBotsForVoting(commandHandler, amountRaw, id, "upvote");
+        let { amount, availableAccounts, whenAvailableStr } = await getAvailableBotsForVoting(commandHandler, amountRaw, id, "upvote", strategyName);
 
         if ((availableAccounts.length < amount || availableAccounts.length == 0) && !whenAvailableStr) { // Check if this bot has not enough accounts suitable for this request and there won't be more available at any point.
             if (availableAccounts.length == 0) respond(commandHandler.data.lang.votenoaccounts);         // The < || == 0 check is intentional, as providing "all" will set amount to 0 if 0 accounts have been found
@@ -107,7 +112,7 @@ module.exports.upvote = {
 
 
         // Get the sharedfile
-        commandHandler.controller.main.community.getSteamSharedFile(id, (err, sharedfile) => {
+        commandHandler.controller.main.community.getSteamSharedFile(id, (err) => {
             if (err) {
                 respond(commandHandler.data.lang.errloadingsharedfile + err);
                 return;
@@ -127,92 +132,24 @@ module.exports.upvote = {
                 failed: {}
             };
 
-            let activeReqEntry = commandHandler.controller.activeRequests[id]; // Make using the obj shorter
-
-
-            // Log request start and give user cooldown on the first iteration
-            if (activeReqEntry.thisIteration == -1) {
-                logger("info", `${logger.colors.fggreen}[${commandHandler.controller.main.logPrefix}] ${activeReqEntry.amount} Upvote(s) requested. Starting to vote on ${id}...`);
-
-                // Only send estimated wait time message for multiple votes
-                if (activeReqEntry.amount > 1) {
-                    let waitTime = timeToString(Date.now() + ((activeReqEntry.amount - 1) * commandHandler.data.config.commentdelay)); // Amount - 1 because the first vote is instant. Multiply by delay and add to current time to get timestamp when last vote was sent
-
-                    respond(commandHandler.data.lang.voteprocessstarted.replace("numberOfVotes", activeReqEntry.amount).replace("waittime", waitTime));
-                }
-
-                // Give requesting user cooldown. Set timestamp to now if cooldown is disabled to avoid issues when a process is aborted but cooldown can't be cleared
-                if (commandHandler.data.config.commentcooldown == 0) commandHandler.data.setUserCooldown(activeReqEntry.requestedby, Date.now());
-                    else commandHandler.data.setUserCooldown(activeReqEntry.requestedby, activeReqEntry.until);
-            }
-
 
             // Start voting with all available accounts
-            syncLoop(amount, (loop, i) => {
-                setTimeout(() => {
-
-                    let bot = commandHandler.controller.bots[availableAccounts[i]];
-                    activeReqEntry.thisIteration++;
-
-                    if (!handleVoteIterationSkip(commandHandler, loop, bot, id)) return; // Skip iteration if false was returned
-
-                    /* --------- Try to vote --------- */
-                    bot.community.voteUpSharedFile(sharedfile.id, (error) => {
-
-                        /* --------- Handle errors thrown by this vote attempt or update ratingHistory db and log success message --------- */
-                        if (error) {
-                            logVoteError(error, commandHandler, bot, sharedfile.id);
-
-                        } else {
-
-                            // Add upvote entry
-                            commandHandler.data.ratingHistoryDB.insert({ id: id, accountName: activeReqEntry.accounts[i], type: "upvote", time: Date.now() }, (err) => {
-                                if (err) logger("warn", `Failed to insert 'upvote' entry for '${activeReqEntry.accounts[i]}' on '${id}' into ratingHistory database! Error: ` + err);
-                            });
-
-                            // Remove downvote entry
-                            commandHandler.data.ratingHistoryDB.remove({ id: id, accountName: activeReqEntry.accounts[i], type: "downvote" }, (err) => {
-                                if (err) logger("warn", `Failed to remove 'downvote' entry for '${activeReqEntry.accounts[i]}' on '${id}' from ratingHistory database! Error: ` + err);
-                            });
-
-                            // Log success msg
-                            if (commandHandler.data.proxies.length > 1) logger("info", `[${bot.logPrefix}] Upvoting ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id} with proxy ${bot.loginData.proxyIndex}...`);
-                                else logger("info", `[${bot.logPrefix}] Upvoting ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id}...`);
-                        }
-
-                        // Continue with the next iteration
-                        loop.next();
-
-                    });
-
-                }, commandHandler.data.config.commentdelay * (i > 0)); // We use commentdelay here for now, not sure if I'm going to add a separate setting
-
-            }, () => { // Function that will run on exit, aka the last iteration: Respond to the user
-
-                /* ------------- Send finished message for corresponding status -------------  */
-                if (activeReqEntry.status == "aborted") {
-
-                    respond(commandHandler.data.lang.requestaborted.replace("successAmount", activeReqEntry.amount - Object.keys(activeReqEntry.failed).length).replace("totalAmount", activeReqEntry.amount));
-
-                } else {
-
-                    // Add reference to !failed command to finished message if at least one vote failed
-                    let failedcmdreference = "";
-
-                    if (Object.keys(commandHandler.controller.activeRequests[id].failed).length > 0) {
-                        failedcmdreference = `\nTo get detailed information why which request failed please type '${resInfo.cmdprefix}failed'. You can read why your error was probably caused here: https://github.com/3urobeat/steam-comment-service-bot/blob/master/docs/wiki/errors_doc.md`;
-                    }
-
-                    // Send finished message
-                    respond(`${commandHandler.data.lang.votesuccess.replace("failedamount", Object.keys(activeReqEntry.failed).length).replace("numberOfVotes", activeReqEntry.amount)}\n${failedcmdreference}`);
-
-                    // Set status of this request to cooldown and add amount of successful comments to our global commentCounter
-                    activeReqEntry.status = "cooldown";
+            vote(commandHandler, resInfo, respond, id);
+        });
+    },
 
-                }
+    /**
+     * Resumes an upvote request which was interrupted by a restart. The activeRequests entry must already have been restored.
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {string} id ID of the sharedfile which receives the votes
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    resume: (commandHandler, id, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
 
-            });
-        });
+        vote(commandHandler, resInfo, respond, id);
     }
 };
 
@@ -231,7 +168,8 @@ module.exports.downvote = {
         {
             name: "ID",
             description: "The link or sharedfile ID to vote on",
-            type: "string",
+            type: "steamID",
+            idType: "sharedfile",
             isOptional: false,
             ownersOnly: true
         }
@@ -267,10 +205,12 @@ module.exports.downvote = {
         if (commandHandler.data.config.maxComments == 0 && !ownercheck) return respond(commandHandler.data.lang.commandowneronly); // Command is restricted to owners only
 
 
-        // Check and get arguments from user
-        let { amountRaw, id } = await getSharedfileArgs(commandHandler, args, "downvote", resInfo, respond);
+        // Get allocation strategy and check and get arguments from user
+        let strategyName = getStrategyArg(commandHandler, args, ownercheck, respond);
+
+        if (strategyName === false) return; // Looks like the helper aborted the request
 
-        if (!amountRaw && !id) return; // Looks like the helper aborted the request
+        let [ amountRaw, id ] = args; // Parsed by the commandHandler. amountRaw is either a number or "all", which getVoteBots.js updates to how many accounts are available
 
 
         // Check if this id is already receiving something right now
@@ -286,7 +226,7 @@ module.exports.downvote = {
 
 
         // Get all available bot accounts
-        let { amount, availableAccounts, whenAvailableStr } = await getAvailableBotsForVoting(commandHandler, amountRaw, id, "downvote");
+        let { amount, availableAccounts, whenAvailableStr } = await getAvailableBotsForVoting(commandHandler, amountRaw, id, "downvote", strategyName);
 
         if ((availableAccounts.length < amount || availableAccounts.length == 0) && !whenAvailableStr) { // Check if this bot has not enough accounts suitable for this request and there won't be more available at any point.
             if (availableAccounts.length == 0) respond(commandHandler.data.lang.votenoaccounts);         // The < || == 0 check is intentional, as providing "all" will set amount to 0 if 0 accounts have been found
@@ -302,7 +242,7 @@ module.exports.downvote = {
 
 
         // Get the sharedfile
-        commandHandler.controller.main.community.getSteamSharedFile(id, (err, sharedfile) => {
+        commandHandler.controller.main.community.getSteamSharedFile(id, (err) => {
             if (err) {
                 respond(commandHandler.data.lang.errloadingsharedfile + err);
                 return;
@@ -322,91 +262,140 @@ module.exports.downvote = {
                 failed: {}
             };
 
-            let activeReqEntry = commandHandler.controller.activeRequests[id]; // Make using the obj shorter
 
+            // Start voting with all available accounts
+            vote(commandHandler, resInfo, respond, id);
+        });
+    },
 
-            // Log request start and give user cooldown on the first iteration
-            if (activeReqEntry.thisIteration == -1) {
-                logger("info", `${logger.colors.fggreen}[${commandHandler.controller.main.logPrefix}] ${activeReqEntry.amount} Downvote(s) requested. Starting to vote on ${id}...`);
-
-                // Only send estimated wait time message for multiple votes
-                if (activeReqEntry.amount > 1) {
-                    let waitTime = timeToString(Date.now() + ((activeReqEntry.amount - 1) * commandHandler.data.config.commentdelay)); // Amount - 1 because the first vote is instant. Multiply by delay and add to current time to get timestamp when last vote was sent
+    /**
+     * Resumes a downvote request which was interrupted by a restart. The activeRequests entry must already have been restored.
+     * @param {CommandHandler} commandHandler The commandHandler object
+     * @param {string} id ID of the sharedfile which receives the votes
+     * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+     * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+     * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+     */
+    resume: (commandHandler, id, respondModule, context, resInfo) => {
+        let respond = ((txt) => respondModule(context, resInfo, txt)); // Shorten each call
 
-                    respond(commandHandler.data.lang.voteprocessstarted.replace("numberOfVotes", activeReqEntry.amount).replace("waittime", waitTime));
-                }
+        vote(commandHandler, resInfo, respond, id);
+    }
+};
 
-                // Give requesting user cooldown. Set timestamp to now if cooldown is disabled to avoid issues when a process is aborted but cooldown can't be cleared
-                if (commandHandler.data.config.commentcooldown == 0) commandHandler.data.setUserCooldown(activeReqEntry.requestedby, Date.now());
-                    else commandHandler.data.setUserCooldown(activeReqEntry.requestedby, activeReqEntry.until);
-            }
 
+/**
+ * Internal: Do the actual voting, activeRequests entry with all relevant information was processed by the upvote or downvote command function above.
+ * @param {CommandHandler} commandHandler The commandHandler object
+ * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
+ * @param {function(string): void} respond The shortened respondModule call
+ * @param {string} id ID of the sharedfile which receives the votes
+ */
+function vote(commandHandler, resInfo, respond, id) {
+    let activeReqEntry = commandHandler.controller.activeRequests[id]; // Make using the obj shorter
 
-            // Start voting with all available accounts
-            syncLoop(amount, (loop, i) => {
-                setTimeout(() => {
+    let voteType     = activeReqEntry.type;                              // Either "upvote" or "downvote"
+    let oppositeType = voteType == "upvote" ? "downvote" : "upvote";
+    let voteStr      = voteType.charAt(0).toUpperCase() + voteType.slice(1); // Capitalized type for the log messages below
 
-                    let bot = commandHandler.controller.bots[availableAccounts[i]];
-                    activeReqEntry.thisIteration++;
 
-                    if (!handleVoteIterationSkip(commandHandler, loop, bot, id)) return; // Skip iteration if false was returned
+    // Log request start and give user cooldown on the first iteration
+    if (activeReqEntry.thisIteration == -1) {
+        logger("info", `${logger.colors.fggreen}[${commandHandler.controller.main.logPrefix}] ${activeReqEntry.amount} ${voteStr}(s) requested. Starting to vote on ${id}...`);
 
-                    /* --------- Try to vote --------- */
-                    bot.community.voteDownSharedFile(sharedfile.id, (error) => {
+        // Only send estimated wait time message for multiple votes
+        if (activeReqEntry.amount > 1) {
+            let waitTime = timeToString(Date.now() + ((activeReqEntry.amount - 1) * commandHandler.data.config.commentdelay)); // Amount - 1 because the first vote is instant. Multiply by delay and add to current time to get timestamp when last vote was sent
 
-                        /* --------- Handle errors thrown by this vote attempt or update ratingHistory db and log success message --------- */
-                        if (error) {
-                            logVoteError(error, commandHandler, bot, sharedfile.id);
+            respond(commandHandler.data.lang.voteprocessstarted.replace("numberOfVotes", activeReqEntry.amount).replace("waittime", waitTime));
+        }
 
-                        } else {
+        // Give requesting user cooldown. Set timestamp to now if cooldown is disabled to avoid issues when a process is aborted but cooldown can't be cleared
+        if (commandHandler.data.config.commentcooldown == 0) commandHandler.data.setUserCooldown(activeReqEntry.requestedby, Date.now());
+            else commandHandler.data.setUserCooldown(activeReqEntry.requestedby, activeReqEntry.until);
 
-                            // Add downvote entry
-                            commandHandler.data.ratingHistoryDB.insert({ id: id, accountName: activeReqEntry.accounts[i], type: "downvote", time: Date.now() }, (err) => {
-                                if (err) logger("warn", `Failed to insert 'downvote' entry for '${activeReqEntry.accounts[i]}' on '${id}' into ratingHistory database! Error: ` + err);
-                            });
+        commandHandler.controller.events.emit("requestStarted", id, activeReqEntry);
+    }
 
-                            // Remove upvote entry
-                            commandHandler.data.ratingHistoryDB.remove({ id: id, accountName: activeReqEntry.accounts[i], type: "upvote" }, (err) => {
-                                if (err) logger("warn", `Failed to remove 'upvote' entry for '${activeReqEntry.accounts[i]}' on '${id}' from ratingHistory database! Error: ` + err);
-                            });
 
-                            // Log success msg
-                            if (commandHandler.data.proxies.length > 1) logger("info", `[${bot.logPrefix}] Downvoting ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id} with proxy ${bot.loginData.proxyIndex}...`);
-                                else logger("info", `[${bot.logPrefix}] Downvoting ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id}...`);
-                        }
+    // Vote with all available accounts, starting after the last iteration to support resuming
+    syncLoop(activeReqEntry.amount - (activeReqEntry.thisIteration + 1), (loop, i) => {
+        setTimeout(() => {
 
-                        // Continue with the next iteration
-                        loop.next();
+            let accountName = activeReqEntry.accounts[activeReqEntry.thisIteration + 1];
+            let bot = commandHandler.controller.bots[accountName];
+            activeReqEntry.thisIteration++;
 
-                    });
+            // Save progress to disk to be able to resume this request should the bot restart or crash
+            commandHandler.controller.saveActiveRequest(id, resInfo);
 
-                }, commandHandler.data.config.commentdelay * (i > 0)); // We use commentdelay here for now, not sure if I'm going to add a separate setting
+            if (!handleVoteIterationSkip(commandHandler, loop, bot, id)) return; // Skip iteration if false was returned
 
-            }, () => { // Function that will run on exit, aka the last iteration: Respond to the user
+            /* --------- Try to vote --------- */
+            let voteSharedFile = voteType == "upvote" ? bot.community.voteUpSharedFile : bot.community.voteDownSharedFile;
 
-                /* ------------- Send finished message for corresponding status -------------  */
-                if (activeReqEntry.status == "aborted") {
+            voteSharedFile.call(bot.community, id, (error) => { // Using call() to keep the context of this bot's community instance
 
-                    respond(commandHandler.data.lang.requestaborted.replace("successAmount", activeReqEntry.amount - Object.keys(activeReqEntry.failed).length).replace("totalAmount", activeReqEntry.amount));
+                /* --------- Handle errors thrown by this vote attempt or update ratingHistory db and log success message --------- */
+                if (error) {
+                    logVoteError(error, commandHandler, bot, id);
 
                 } else {
 
-                    // Add reference to !failed command to finished message if at least one vote failed
-                    let failedcmdreference = "";
+                    // Add entry for this vote type
+                    commandHandler.data.ratingHistoryDB.insert({ id: id, accountName: accountName, type: voteType, time: Date.now() }, (err) => {
+                        if (err) logger("warn", `Failed to insert '${voteType}' entry for '${accountName}' on '${id}' into ratingHistory database! Error: ` + err);
+                    });
 
-                    if (Object.keys(commandHandler.controller.activeRequests[id].failed).length > 0) {
-                        failedcmdreference = `\nTo get detailed information why which request failed please type '${resInfo.cmdprefix}failed'. You can read why your error was probably caused here: https://github.com/3urobeat/steam-comment-service-bot/blob/master/docs/wiki/errors_doc.md`;
-                    }
+                    // Remove entry of the opposite vote type
+                    commandHandler.data.ratingHistoryDB.remove({ id: id, accountName: accountName, type: oppositeType }, (err) => {
+                        if (err) logger("warn", `Failed to remove '${oppositeType}' entry for '${accountName}' on '${id}' from ratingHistory database! Error: ` + err);
+                    });
 
-                    // Send finished message
-                    respond(`${commandHandler.data.lang.votesuccess.replace("failedamount", Object.keys(activeReqEntry.failed).length).replace("numberOfVotes", activeReqEntry.amount)}\n${failedcmdreference}`);
+                    // Update health record of this account
+                    commandHandler.data.recordAccountSuccess(accountName);
 
-                    // Set status of this request to cooldown and add amount of successful comments to our global commentCounter
-                    activeReqEntry.status = "cooldown";
+                    // Log success msg
+                    if (commandHandler.data.proxies.length > 1) logger("info", `[${bot.logPrefix}] ${voteStr.replace("vote", "voting")} ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id} with proxy ${bot.loginData.proxyIndex}...`);
+                        else logger("info", `[${bot.logPrefix}] ${voteStr.replace("vote", "voting")} ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id}...`);
 
+                    commandHandler.controller.events.emit("iterationSucceeded", id, activeReqEntry, bot);
                 }
 
+                // Continue with the next iteration
+                loop.next();
+
             });
-        });
-    }
-};
\ No newline at end of file
+
+        }, commandHandler.data.config.commentdelay * (i > 0)); // We use commentdelay here for now, not sure if I'm going to add a separate setting
+
+    }, () => { // Function that will run on exit, aka the last iteration: Respond to the user
+
+        /* ------------- Send finished message for corresponding status -------------  */
+        if (activeReqEntry.status == "aborted") {
+
+            respond(commandHandler.data.lang.requestaborted.replace("successAmount", activeReqEntry.amount - Object.keys(activeReqEntry.failed).length).replace("totalAmount", activeReqEntry.amount));
+
+        } else {
+
+            // Add reference to !failed command to finished message if at least one vote failed
+            let failedcmdreference = "";
+
+            if (Object.keys(commandHandler.controller.activeRequests[id].failed).length > 0) {
+                failedcmdreference = `\nTo get detailed information why which request failed please type '${resInfo.cmdprefix}failed'. You can read why your error was probably caused here: https://github.com/3urobeat/steam-comment-service-bot/blob/master/docs/wiki/errors_doc.md`;
+            }
+
+            // Send finished message
+            respond(`${commandHandler.data.lang.votesuccess.replace("failedamount", Object.keys(activeReqEntry.failed).length).replace("numberOfVotes", activeReqEntry.amount)}\n${failedcmdreference}`);
+
+            // Set status of this request to cooldown and add amount of successful comments to our global commentCounter
+            activeReqEntry.status = "cooldown";
+
+        }
+
+        commandHandler.controller.saveActiveRequest(id, resInfo); // Removes the entry from the disk as the request is finished
+
+        commandHandler.controller.events.emit("requestFinished", id, activeReqEntry);
+
+    });
+}
\ No newline at end of file
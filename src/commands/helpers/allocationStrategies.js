@@ -0,0 +1,146 @@
+/*
+ * File: allocationStrategies.js
+ * Project: steam-comment-service-bot
+ * Created Date: 02.08.2023 13:26:07
+ * Author: 3urobeat
+ *
+ * Last Modified: 04.08.2023 13:05:52
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
+
+
+/**
+ * Strategies shipped with the bot. Plugins can add their own using `commandHandler.registerAllocationStrategy()`.
+ * @type {{[key: string]: CommandHandler.AllocationStrategy}}
+ */
+module.exports.defaultAllocationStrategies = {
+
+    spread: {
+        description: "Uses as many accounts as possible to maximize the spread of a request (Default)",
+
+        getAccountsNeeded: (commandHandler, amount) => {
+            return Math.min(amount, commandHandler.controller.getBots().length); // Cap at amount of accounts because if amount is greater we will start at account 1 again
+        },
+
+        sortAccounts: (commandHandler, accounts) => accounts
+    },
+
+    pack: {
+        description: "Uses as few accounts as possible to maximize the amount of parallel requests",
+
+        getAccountsNeeded: (commandHandler, amount) => {
+            let botsAmount = commandHandler.controller.getBots().length;
+
+            // Get the amount of comments each account is allowed to send, like the ready event does
+            let maxCommentsOverall = Math.max(commandHandler.data.config.maxComments, commandHandler.data.config.maxOwnerComments);
+            let commentsPerAccount = Math.max(Math.ceil(maxCommentsOverall / botsAmount), 1);
+
+            return Math.min(Math.ceil(amount / commentsPerAccount), botsAmount);
+        },
+
+        sortAccounts: (commandHandler, accounts) => { // Always prefer the same accounts so that the others stay available for other requests
+            return [ ...accounts ].sort((a, b) => commandHandler.controller.bots[a].index - commandHandler.controller.bots[b].index);
+        }
+    },
+
+    leastRecentlyUsed: {
+        description: "Prefers the accounts which have not been used for the longest time",
+
+        sortAccounts: (commandHandler, accounts) => {
+            let lastUsed = {};
+
+            // Get the timestamp at which each account was last used by looking at the requests it was part of
+            Object.values(commandHandler.controller.activeRequests).forEach((e) => {
+                e.accounts.forEach((f) => {
+                    if (!lastUsed[f] || lastUsed[f] < e.until) lastUsed[f] = e.until;
+                });
+            });
+
+            return [ ...accounts ].sort((a, b) => (lastUsed[a] || 0) - (lastUsed[b] || 0));
+        }
+    },
+
+    healthWeighted: {
+        description: "Randomly picks accounts, weighted by their health score",
+
+        sortAccounts: (commandHandler, accounts) => {
+
+            // Weighted random shuffle: Every account gets a random key which is more likely to be high for healthy accounts - credit: Efraimidis & Spirakis
+            let keys = {};
+
+            accounts.forEach((e) => {
+                let weight = Math.max(commandHandler.data.getAccountHealthScore(e), 1) / 100; // Give accounts with a score of 0 a tiny chance as well
+
+                keys[e] = Math.pow(Math.random(), 1 / weight);
+            });
+
+            return [ ...accounts ].sort((a, b) => keys[b] - keys[a]);
+        }
+    }
+
+};
+
+
+/**
+ * Gets an allocation strategy by name. Falls back to the strategy set in the advancedconfig if no name was provided, or to "spread" if that one does not exist.
+ * @param {CommandHandler} commandHandler The commandHandler object
+ * @param {string} [name] Name of the strategy, not case sensitive
+ * @returns {CommandHandler.AllocationStrategy|undefined} The strategy object or `undefined` if a name was provided but no strategy with this name exists
+ */
+module.exports.getAllocationStrategy = (commandHandler, name) => {
+    let strategies = { ...module.exports.defaultAllocationStrategies, ...commandHandler.allocationStrategies };
+    let findByName = (str) => strategies[Object.keys(strategies).find(e => e.toLowerCase() == String(str).toLowerCase())];
+
+    if (name) return findByName(name);
+
+    // Get default strategy from the advancedconfig
+    let strategy = findByName(commandHandler.data.advancedconfig.allocationStrategy);
+
+    if (!strategy) {
+        logger("warn", `Allocation strategy '${commandHandler.data.advancedconfig.allocationStrategy}' set in advancedconfig.json was not found! Falling back to 'spread'...`);
+        strategy = strategies.spread;
+    }
+
+    return strategy;
+};
+
+
+/**
+ * Gets the allocation strategy of a request from an argument like "strategy=pack" and removes it from the arguments array. Only owners are allowed to provide this argument.
+ * @param {CommandHandler} commandHandler The commandHandler object
+ * @param {Array} args The command arguments. The strategy argument will be removed from it.
+ * @param {boolean} ownercheck If the requesting user is an owner
+ * @param {function(string): void} respond The shortened respondModule call
+ * @returns {string|null|false} The name of the strategy, `null` if none was provided or `false` if the request should be aborted. The user has already been informed in this case.
+ */
+module.exports.getStrategyArg = (commandHandler, args, ownercheck, respond) => {
+    let index = args.findIndex(e => typeof e == "string" && e.toLowerCase().startsWith("strategy="));
+
+    if (index == -1) return null;
+
+    let name = args.splice(index, 1)[0].split("=")[1];
+
+    if (!ownercheck) {
+        logger("debug", "CommandHandler getStrategyArg(): Non-Owner tried to provide an allocation strategy. Stopping...");
+        respond(commandHandler.data.lang.commandowneronly);
+        return false;
+    }
+
+    if (!name || !module.exports.getAllocationStrategy(commandHandler, name)) {
+        let available = [ ...Object.keys(module.exports.defaultAllocationStrategies), ...Object.keys(commandHandler.allocationStrategies) ];
+
+        respond(commandHandler.data.lang.allocationstrategynotfound.replace("strategyname", name).replace("strategies", available.join(", ")));
+        return false;
+    }
+
+    return name;
+};
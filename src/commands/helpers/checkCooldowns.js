@@ -0,0 +1,128 @@
+/*
+ * File: checkCooldowns.js
+ * Project: steam-comment-service-bot
+ * Created Date: 10.08.2023 16:58:40
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 18:16:51
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
+const { timeToString } = require("../../controller/helpers/misc.js");
+
+
+/**
+ * Collects all cooldowns and rate limits which apply to this command usage. A `cooldown` is a rate limit which allows one use per timeframe.
+ * @param {CommandHandler} commandHandler The commandHandler object
+ * @param {CommandHandler.Command} command The command which is about to run
+ * @param {Array} args The parsed arguments of the command
+ * @param {CommandHandler.resInfo} resInfo Object containing additional information
+ * @returns {Array.<{ key: string, amount: number, timeframe: number, blockTime?: number }>} All policies with the key of the entry they are tracked in
+ */
+function getPolicies(commandHandler, command, args, resInfo) {
+    let policies = [];
+
+    // Get the ID of the profile, group or sharedfile this command targets. Fall back to the user if the command does not take an ID
+    let idIndex = command.args ? command.args.findIndex(e => e.name == "ID") : -1;
+    let target  = (idIndex >= 0 && args[idIndex]) || resInfo.userID;
+
+    let ids = { user: resInfo.userID, target: target, global: "global" };
+
+    // Helper to add a policy if the user or target could be determined
+    let add = (name, scope, limit) => {
+        if (!ids[scope] || !limit.amount || !limit.timeframe) return;
+
+        policies.push({ key: `${name}:${scope}:${ids[scope]}`, ...limit });
+    };
+
+    // The spam protection is a rate limit of all commands together. It blocks users who exceed it for a while instead of only rejecting the command
+    if (commandHandler.data.advancedconfig.commandCooldown > 0) {
+        add("*", "user", { amount: 5, timeframe: commandHandler.data.advancedconfig.commandCooldown, blockTime: 90000 });
+    }
+
+    Object.keys(ids).forEach((scope) => {
+        if (command.cooldown && command.cooldown[scope])   add(command.names[0], scope, { amount: 1, timeframe: command.cooldown[scope] });
+        if (command.rateLimit && command.rateLimit[scope]) add(command.names[0], scope, command.rateLimit[scope]);
+    });
+
+    return policies;
+}
+
+
+/**
+ * Checks the cooldowns and rate limits of a command. Owners are exempt. The user is informed if the command is rejected. Call `recordCooldowns()` once the command is actually going to run.
+ * @param {CommandHandler} commandHandler The commandHandler object
+ * @param {CommandHandler.Command} command The command which is about to run
+ * @param {Array} args The parsed arguments of the command
+ * @param {CommandHandler.resInfo} resInfo Object containing additional information
+ * @param {function(string, string): void} respond The shortened respondModule call. Receives "cooldown" as the reason of the rejection as second parameter.
+ * @returns {boolean} `true` if the command is allowed to run, `false` if it was rejected
+ */
+module.exports.checkCooldowns = (commandHandler, command, args, resInfo, respond) => {
+    if (resInfo.skipCooldowns || commandHandler.data.hasRole(resInfo.userID, "owner", resInfo.ownerIDs)) return true;
+
+    let now      = Date.now();
+    let policies = getPolicies(commandHandler, command, args, resInfo);
+
+    for (let policy of policies) {
+        let entry = commandHandler.data.getCommandCooldown(policy.key);
+
+        if (entry.blockedUntil > now) { // Don't respond to blocked users
+            logger("debug", `CommandHandler checkCooldowns(): Ignoring command '${command.names[0]}' as '${policy.key}' is blocked for ${timeToString(entry.blockedUntil)}`);
+            return false;
+        }
+
+        let uses = entry.uses.filter(e => e > now - policy.timeframe);
+
+        if (uses.length < policy.amount) continue;
+
+        if (policy.blockTime) {
+            entry.uses         = [];
+            entry.blockedUntil = now + policy.blockTime;
+            entry.expiresAt    = entry.blockedUntil;
+
+            commandHandler.data.saveCommandCooldown(policy.key);
+
+            logger("info", `${resInfo.userID} has been blocked for ${timeToString(entry.blockedUntil)} for spamming.`);
+            respond(commandHandler.data.lang.userspamblock.replace("remainingtime", timeToString(entry.blockedUntil)), "cooldown");
+        } else {
+            logger("debug", `CommandHandler checkCooldowns(): Rejecting command '${command.names[0]}' because of cooldown '${policy.key}'`);
+            respond(commandHandler.data.lang.commandcooldown.replace("remainingtime", timeToString(uses[0] + policy.timeframe)), "cooldown"); // The oldest use expires first
+        }
+
+        return false;
+    }
+
+    return true;
+};
+
+
+/**
+ * Records this usage of a command for all of its cooldowns and rate limits. Owners are exempt. Only call this for usages which passed `checkCooldowns()` and are going to run, rejected usages must not count.
+ * @param {CommandHandler} commandHandler The commandHandler object
+ * @param {CommandHandler.Command} command The command which is about to run
+ * @param {Array} args The parsed arguments of the command
+ * @param {CommandHandler.resInfo} resInfo Object containing additional information
+ */
+module.exports.recordCooldowns = (commandHandler, command, args, resInfo) => {
+    if (resInfo.skipCooldowns || commandHandler.data.hasRole(resInfo.userID, "owner", resInfo.ownerIDs)) return;
+
+    let now = Date.now();
+
+    getPolicies(commandHandler, command, args, resInfo).forEach((policy) => {
+        let entry = commandHandler.data.getCommandCooldown(policy.key);
+
+        entry.uses      = entry.uses.filter(e => e > now - policy.timeframe).concat(now);
+        entry.expiresAt = Math.max(entry.blockedUntil, now + policy.timeframe);
+
+        commandHandler.data.saveCommandCooldown(policy.key);
+    });
+};
@@ -4,7 +4,7 @@
  * Created Date: 28.02.2022 11:55:06
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 12:51:53
+ * Last Modified: 11.08.2023 18:52:07
  * Modified By: 3urobeat
  *
  * Copyright (c) 2022 3urobeat <https://github.com/3urobeat>
@@ -15,136 +15,96 @@
  */
 
 
+const SteamID = require("steamid");
+
 const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
 
 
 /**
- * Retrieves arguments from a comment request. If request is invalid (for example too many comments requested) an error message will be sent
+ * Retrieves arguments from a comment request. The arguments have already been parsed and resolved by the commandHandler, this only checks if the request is allowed. If request is invalid (for example too many comments requested) an error message will be sent
  * @param {CommandHandler} commandHandler The commandHandler object
- * @param {Array} args The command arguments
+ * @param {Array} args The parsed command arguments
  * @param {string} requesterSteamID64 The steamID64 of the requesting user
  * @param {CommandHandler.resInfo} resInfo Object containing additional information your respondModule might need to process the response (for example the userID who executed the command).
  * @param {function(string): void} respond The shortened respondModule call
- * @returns {Promise.<{ maxRequestAmount: number, commentcmdUsage: string, numberOfComments: number, profileID: string, idType: string, quotesArr: Array.<string> }>} Resolves promise with object containing all relevant data when done
+ * @returns {{ maxRequestAmount: number, commentcmdUsage: string, numberOfComments: number, profileID: string, idType: string, quotesArr: Array.<string> }|false} Object containing all relevant data or `false` if the request was rejected
  */
 module.exports.getCommentArgs = (commandHandler, args, requesterSteamID64, resInfo, respond) => {
-    return new Promise((resolve) => {
-
-        // Get the correct ownerid array for this request
-        let owners = commandHandler.data.cachefile.ownerid;
-        if (resInfo.ownerIDs && resInfo.ownerIDs.length > 0) owners = resInfo.ownerIDs;
-
-        let maxRequestAmount = commandHandler.data.config.maxComments; // Set to default value and if the requesting user is an owner it gets changed below
-        let numberOfComments = 0;
-        let quotesArr        = commandHandler.data.quotes;
-
-        let profileID;
-        let idType = "profile"; // Set profile as default because that makes sense (because it can only be a group/sharedfile when param was provided yk)
 
+    // Get the correct ownerid array for this request
+    let owners = commandHandler.data.cachefile.ownerid;
+    if (resInfo.ownerIDs && resInfo.ownerIDs.length > 0) owners = resInfo.ownerIDs;
 
-        /* --------- Define command usage messages & maxRequestAmount for each user's privileges --------- */
-        let commentcmdUsage;
+    let maxRequestAmount = commandHandler.data.getRoleLimits(requesterSteamID64, resInfo.ownerIDs).maxComments || commandHandler.data.config.maxComments; // Set to default value or the limit of the user's role and if the requesting user is an owner it gets changed below
+    let numberOfComments = args[0];
+    let profileID        = args[1] || requesterSteamID64; // Comment on the requester's profile if no ID was provided
+    let quotesArr        = commandHandler.data.quotes;
 
-        if (owners.includes(requesterSteamID64)) {
-            maxRequestAmount = commandHandler.data.config.maxOwnerComments;
-
-            if (maxRequestAmount > 1) commentcmdUsage = commandHandler.data.lang.commentcmdusageowner.replace(/cmdprefix/g, resInfo.cmdprefix).replace("maxRequestAmount", maxRequestAmount);
-                else commentcmdUsage = commandHandler.data.lang.commentcmdusageowner2.replace(/cmdprefix/g, resInfo.cmdprefix);
-        } else {
-            if (maxRequestAmount > 1) commentcmdUsage = commandHandler.data.lang.commentcmdusage.replace(/cmdprefix/g, resInfo.cmdprefix).replace("maxRequestAmount", maxRequestAmount);
-                else commentcmdUsage = commandHandler.data.lang.commentcmdusage2.replace(/cmdprefix/g, resInfo.cmdprefix);
-        }
 
+    /* --------- Define command usage messages & maxRequestAmount for each user's privileges --------- */
+    let commentcmdUsage;
 
-        /* --------- Check numberOfComments argument if it was provided --------- */
-        if (args[0] !== undefined) {
-            if (isNaN(args[0])) { // Isn't a number?
-                if (args[0].toLowerCase() == "all" || args[0].toLowerCase() == "max") {
-                    args[0] = maxRequestAmount; // Replace the argument with the max amount of comments this user is allowed to request
-                } else {
-                    logger("debug", `CommandHandler getCommentArgs(): User provided invalid request amount "${args[0]}". Stopping...`);
+    if (owners.includes(requesterSteamID64)) {
+        maxRequestAmount = commandHandler.data.config.maxOwnerComments;
 
-                    respond(commandHandler.data.lang.invalidnumber.replace("cmdusage", commentcmdUsage));
-                    return resolve(false);
-                }
-            }
+        if (maxRequestAmount > 1) commentcmdUsage = commandHandler.data.lang.commentcmdusageowner.replace(/cmdprefix/g, resInfo.cmdprefix).replace("maxRequestAmount", maxRequestAmount);
+            else commentcmdUsage = commandHandler.data.lang.commentcmdusageowner2.replace(/cmdprefix/g, resInfo.cmdprefix);
+    } else {
+        if (maxRequestAmount > 1) commentcmdUsage = commandHandler.data.lang.commentcmdusage.replace(/cmdprefix/g, resInfo.cmdprefix).replace("maxRequestAmount", maxRequestAmount);
+            else commentcmdUsage = commandHandler.data.lang.commentcmdusage2.replace(/cmdprefix/g, resInfo.cmdprefix);
+    }
 
-            if (args[0] > maxRequestAmount) { // Number is greater than maxRequestAmount?
-                logger("debug", `CommandHandler getCommentArgs(): User requested ${args[0]} but is only allowed ${maxRequestAmount} comments. Stopping...`);
 
-                respond(commandHandler.data.lang.commentrequesttoohigh.replace("maxRequestAmount", maxRequestAmount).replace("commentcmdusage", commentcmdUsage));
-                return resolve(false);
-            }
+    /* --------- Check if user did not provide numberOfComments --------- */
+    if (numberOfComments == undefined) { // No numberOfComments given? Ask again if maxRequestAmount > 1
+        if (commandHandler.controller.getBots().length == 1 && maxRequestAmount == 1) {
+            logger("debug", "CommandHandler getCommentArgs(): User didn't provide numberOfComments but maxRequestAmount is 1. Accepting request as numberOfComments = 1.");
 
-            numberOfComments = args[0];
-
-
-            /* --------- Check profileid argument if it was provided --------- */
-            if (args[1]) {
-                if (owners.includes(requesterSteamID64) || args[1] == requesterSteamID64) { // Check if user is a bot owner or if he provided his own profile id
-                    let arg = args[1];
-
-                    commandHandler.controller.handleSteamIdResolving(arg, null, (err, res, type) => {
-                        if (err) {
-                            respond(commandHandler.data.lang.commentinvalidid.replace("commentcmdusage", commentcmdUsage) + "\n\nError: " + err);
-                            return resolve(false);
-                        }
+            numberOfComments = 1; // If only one account is active, set 1 automatically
+        } else {
+            logger("debug", `CommandHandler getCommentArgs(): User didn't provide numberOfComments and maxRequestAmount is ${maxRequestAmount} (> 1). Rejecting request.`);
 
-                        profileID = res; // Will be null on err
-                        idType = type; // Update idType with what handleSteamIdResolving determined
-                    });
+            respond(commandHandler.data.lang.commentmissingnumberofcomments.replace("maxRequestAmount", maxRequestAmount).replace("commentcmdusage", commentcmdUsage));
+            return false;
+        }
+    }
 
-                } else {
-                    logger("debug", "CommandHandler getCommentArgs(): Non-Owner tried to provide profileid for another profile. Stopping...");
 
-                    profileID = null;
-                    respond(commandHandler.data.lang.commentprofileidowneronly);
-                    return resolve(false);
-                }
-            } else {
-                logger("debug", "CommandHandler getCommentArgs(): No profileID parameter received, setting profileID to requesterSteamID64...");
+    /* --------- Check numberOfComments argument --------- */
+    if (numberOfComments == "all") numberOfComments = maxRequestAmount; // Replace the argument with the max amount of comments this user is allowed to request
 
-                profileID = requesterSteamID64;
-                idType = "profile";
-            }
+    if (numberOfComments > maxRequestAmount) { // Number is greater than maxRequestAmount?
+        logger("debug", `CommandHandler getCommentArgs(): User requested ${numberOfComments} but is only allowed ${maxRequestAmount} comments. Stopping...`);
 
+        respond(commandHandler.data.lang.commentrequesttoohigh.replace("maxRequestAmount", maxRequestAmount).replace("commentcmdusage", commentcmdUsage));
+        return false;
+    }
 
-            /* --------- Check if custom quotes were provided --------- */
-            if (args[2] !== undefined) {
-                quotesArr = args.slice(2).join(" ").replace(/^\[|\]$/g, "").split(", "); // Change default quotes to custom quotes
-            }
 
-        } // Arg[0] if statement ends here
+    /* --------- Check profileid argument --------- */
+    if (!owners.includes(requesterSteamID64) && profileID != requesterSteamID64) { // Check if user is a bot owner or if he provided his own profile id
+        logger("debug", "CommandHandler getCommentArgs(): Non-Owner tried to provide profileid for another profile. Stopping...");
 
+        respond(commandHandler.data.lang.commentprofileidowneronly);
+        return false;
+    }
 
-        /* --------- Check if user did not provide numberOfComments --------- */
-        if (numberOfComments == 0) { // No numberOfComments given? Ask again if maxRequestAmount > 1 (numberOfComments default value at the top is 0)
-            if (commandHandler.controller.getBots().length == 1 && maxRequestAmount == 1) {
-                logger("debug", "CommandHandler getCommentArgs(): User didn't provide numberOfComments but maxRequestAmount is 1. Accepting request as numberOfComments = 1.");
+    // Determine the type of ID the parser resolved. Sharedfile IDs are no valid steamIDs
+    let idType = "sharedfile";
+    let sid    = new SteamID(profileID);
 
-                numberOfComments = 1;     // If only one account is active, set 1 automatically
-                profileID = requesterSteamID64; // Define profileID so that the interval below resolves
-            } else {
-                logger("debug", `CommandHandler getCommentArgs(): User didn't provide numberOfComments and maxRequestAmount is ${maxRequestAmount} (> 1). Rejecting request.`);
+    if (sid.isValid() && sid.type == SteamID.Type.INDIVIDUAL) idType = "profile";
+    if (sid.isValid() && sid.type == SteamID.Type.CLAN)       idType = "group";
 
-                respond(commandHandler.data.lang.commentmissingnumberofcomments.replace("maxRequestAmount", maxRequestAmount).replace("commentcmdusage", commentcmdUsage));
-                return resolve(false);
-            }
-        }
 
+    /* --------- Check if custom quotes were provided --------- */
+    if (args[2] !== undefined) {
+        quotesArr = args.slice(2).join(" ").replace(/^\[|\]$/g, "").split(", "); // Change default quotes to custom quotes
+    }
 
-        /* --------- Resolve promise with calculated values when profileID is defined --------- */
-        let profileIDDefinedInterval = setInterval(() => { // Check if profileID is defined every 250ms and only then return values
-            if (profileID != undefined) {
-                clearInterval(profileIDDefinedInterval);
 
-                // Log debug values
-                logger("debug", `CommandHandler getCommentArgs() success. maxRequestAmount: ${maxRequestAmount} | numberOfComments: ${numberOfComments} | ID: ${profileID} | idType: ${idType} | quotesArr.length: ${quotesArr.length}`);
+    // Log debug values
+    logger("debug", `CommandHandler getCommentArgs() success. maxRequestAmount: ${maxRequestAmount} | numberOfComments: ${numberOfComments} | ID: ${profileID} | idType: ${idType} | quotesArr.length: ${quotesArr.length}`);
 
-                // Return obj if profileID is not null, otherwise return false as an error has occurred, the user was informed and execution should be stopped
-                if (profileID) resolve({ maxRequestAmount, numberOfComments, profileID, idType, quotesArr });
-                    else return resolve(false);
-            }
-        }, 250);
-    });
-};
\ No newline at end of file
+    return { maxRequestAmount, commentcmdUsage, numberOfComments, profileID, idType, quotesArr };
+};
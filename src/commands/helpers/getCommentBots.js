@@ -4,7 +4,7 @@
  * Created Date: 09.04.2023 12:49:53
  * Author: 3urobeat
  *
- * Last Modified: 04.07.2023 19:30:59
+ * Last Modified: 04.08.2023 13:05:52
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -17,6 +17,7 @@
 
 const CommandHandler   = require("../commandHandler.js"); // eslint-disable-line
 const { timeToString } = require("../../controller/helpers/misc.js");
+const { getAllocationStrategy, defaultAllocationStrategies } = require("./allocationStrategies.js");
 
 
 /**
@@ -26,19 +27,14 @@ const { timeToString } = require("../../controller/helpers/misc.js");
  * @param {boolean} canBeLimited If the accounts are allowed to be limited
  * @param {string} idType Type of the request. This can either be "profile", "group" or "sharedfile". This is used to determine if limited accs need to be added first.
  * @param {string} receiverSteamID Optional: steamID64 of the receiving user. If set, accounts that are friend with the user will be prioritized and accsToAdd will be calculated.
+ * @param {string} strategyName Optional: Name of the allocation strategy to use for this request. If not set, `allocationStrategy` from the advancedconfig will be used.
  * @returns {{ accsNeeded: number, availableAccounts: Array.<string>, accsToAdd: Array.<string>, whenAvailable: number, whenAvailableStr: string }} `availableAccounts` contains all account names from bot object, `accsToAdd` account names which are limited and not friend, `whenAvailable` is a timestamp representing how long to wait until accsNeeded accounts will be available and `whenAvailableStr` is formatted human-readable as time from now
  */
-module.exports.getAvailableBotsForCommenting = function(commandHandler, numberOfComments, canBeLimited, idType, receiverSteamID = null) {
+module.exports.getAvailableBotsForCommenting = function(commandHandler, numberOfComments, canBeLimited, idType, receiverSteamID = null, strategyName = null) {
 
-    // Calculate the amount of accounts needed for this request
-    let accountsNeeded;
-
-    // Method 1: Use as many accounts as possible to maximize the spread (Default)
-    if (numberOfComments <= commandHandler.controller.getBots().length) accountsNeeded = numberOfComments;
-        else accountsNeeded = commandHandler.controller.getBots().length; // Cap accountsNeeded at amount of accounts because if numberOfComments is greater we will start at account 1 again
-
-    // Method 2: Use as few accounts as possible to maximize the amount of parallel requests (Not implemented yet, probably coming in 2.12)
-    // TODO
+    // Get the allocation strategy for this request and calculate the amount of accounts needed. Strategies without their own calculation use as many accounts as possible
+    let strategy       = getAllocationStrategy(commandHandler, strategyName) || defaultAllocationStrategies.spread;
+    let accountsNeeded = (strategy.getAccountsNeeded || defaultAllocationStrategies.spread.getAccountsNeeded)(commandHandler, numberOfComments);
 
 
     // Sort activeRequests by highest until value, decreasing, so that we can tell the user how long he/she has to wait if not enough accounts were found
@@ -64,6 +60,13 @@ module.exports.getAvailableBotsForCommenting = function(commandHandler, numberOf
     }
 
 
+    // Remove accounts which are benched because of too many consecutive failures
+    let previousLengthBenched = allAccounts.length;
+    allAccounts               = allAccounts.filter(e => !commandHandler.data.isAccountBenched(e));
+
+    if (previousLengthBenched - allAccounts.length > 0) logger("info", `${previousLengthBenched - allAccounts.length} of ${previousLengthBenched} bot accounts were removed from available accounts as they are currently benched because of too many failures!`);
+
+
     // Loop over activeRequests and remove all active entries from allAccounts
     if (allAccounts.length > 0 && Object.keys(commandHandler.controller.activeRequests).length > 0) {
         Object.keys(commandHandler.controller.activeRequests).forEach((e) => {
@@ -90,6 +93,10 @@ module.exports.getAvailableBotsForCommenting = function(commandHandler, numberOf
     if (commandHandler.data.config.randomizeAccounts) allAccounts.sort(() => Math.random() - 0.5);
 
 
+    // Sort accounts by the allocation strategy of this request
+    allAccounts = strategy.sortAccounts(commandHandler, allAccounts, "comment");
+
+
     // Prioritize accounts the user is friend with
     if (receiverSteamID) {
         allAccounts = [
@@ -4,7 +4,7 @@
  * Created Date: 02.06.2023 14:07:27
  * Author: 3urobeat
  *
- * Last Modified: 04.07.2023 19:31:26
+ * Last Modified: 04.08.2023 13:05:52
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -17,6 +17,7 @@
 
 const CommandHandler   = require("../commandHandler.js"); // eslint-disable-line
 const { timeToString } = require("../../controller/helpers/misc.js");
+const { getAllocationStrategy, defaultAllocationStrategies } = require("./allocationStrategies.js");
 
 
 /**
@@ -25,9 +26,10 @@ const { timeToString } = require("../../controller/helpers/misc.js");
  * @param {number|"all"} amount Amount of favs requested or "all" to get the max available amount
  * @param {string} id The sharedfile id to favorize
  * @param {string} favType Either "favorite" or "unfavorite", depending on which request this is
+ * @param {string} strategyName Optional: Name of the allocation strategy to use for this request. If not set, `allocationStrategy` from the advancedconfig will be used.
  * @returns {Promise.<{ amount: number, availableAccounts: Array.<string>, whenAvailable: number, whenAvailableStr: string }>} Resolves with obj: `availableAccounts` contains all account names from bot object, `whenAvailable` is a timestamp representing how long to wait until accsNeeded accounts will be available and `whenAvailableStr` is formatted human-readable as time from now
  */
-module.exports.getAvailableBotsForFavorizing = async (commandHandler, amount, id, favType) => {
+module.exports.getAvailableBotsForFavorizing = async (commandHandler, amount, id, favType, strategyName = null) => {
 
     /* --------- Get all bots which haven't favorized this id yet and aren't currently in another favorite request --------- */
     let whenAvailable; // We will save the until value of the account that the user has to wait for here
@@ -36,6 +38,13 @@ module.exports.getAvailableBotsForFavorizing = async (commandHandler, amount, id
     let allAccounts = [ ... Object.keys(allAccsOnline) ]; // Clone keys array (bot usernames) of bots object
 
 
+    // Remove accounts which are benched because of too many consecutive failures
+    let previousLengthBenched = allAccounts.length;
+    allAccounts               = allAccounts.filter(e => !commandHandler.data.isAccountBenched(e));
+
+    if (previousLengthBenched - allAccounts.length > 0) logger("info", `${previousLengthBenched - allAccounts.length} of ${previousLengthBenched} bot accounts were removed from available accounts as they are currently benched because of too many failures!`);
+
+
     // Remove bot accounts from allAccounts which have already favorized this id, or only allow them for type unfavorite
     let previousLengthFavorized = allAccounts.length;
     let alreadyFavorized        = await commandHandler.data.ratingHistoryDB.findAsync({ id: id, type: "favorite" }, {});
@@ -82,6 +91,12 @@ module.exports.getAvailableBotsForFavorizing = async (commandHandler, amount, id
     }
 
 
+    // Sort accounts by the allocation strategy of this request
+    let strategy = getAllocationStrategy(commandHandler, strategyName) || defaultAllocationStrategies.spread;
+
+    allAccounts = strategy.sortAccounts(commandHandler, allAccounts, "favorite");
+
+
     // Cut result to only include needed accounts
     if (allAccounts.length > amount) allAccounts = allAccounts.slice(0, amount);
 
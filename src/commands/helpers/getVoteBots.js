@@ -4,7 +4,7 @@
  * Created Date: 28.05.2023 12:21:02
  * Author: 3urobeat
  *
- * Last Modified: 04.07.2023 19:31:54
+ * Last Modified: 04.08.2023 13:05:52
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -17,6 +17,7 @@
 
 const CommandHandler   = require("../commandHandler.js"); // eslint-disable-line
 const { timeToString } = require("../../controller/helpers/misc.js");
+const { getAllocationStrategy, defaultAllocationStrategies } = require("./allocationStrategies.js");
 
 
 /**
@@ -25,9 +26,10 @@ const { timeToString } = require("../../controller/helpers/misc.js");
  * @param {number|"all"} amount Amount of votes requested or "all" to get the max available amount
  * @param {string} id The sharedfile id to vote on
  * @param {string} voteType "upvote" or "downvote", depending on which request this is
+ * @param {string} strategyName Optional: Name of the allocation strategy to use for this request. If not set, `allocationStrategy` from the advancedconfig will be used.
  * @returns {Promise.<{ amount: number, availableAccounts: Array.<string>, whenAvailable: number, whenAvailableStr: string }>} Resolves with obj: `availableAccounts` contains all account names from bot object, `whenAvailable` is a timestamp representing how long to wait until accsNeeded accounts will be available and `whenAvailableStr` is formatted human-readable as time from now
  */
-module.exports.getAvailableBotsForVoting = async (commandHandler, amount, id, voteType) => {
+module.exports.getAvailableBotsForVoting = async (commandHandler, amount, id, voteType, strategyName = null) => {
 
     /* --------- Get all bots which haven't voted on this id yet and aren't currently in another vote request --------- */
     let whenAvailable; // We will save the until value of the account that the user has to wait for here
@@ -42,6 +44,13 @@ module.exports.getAvailableBotsForVoting = async (commandHandler, amount, id, vo
     if (previousLengthLimited - allAccounts.length > 0) logger("info", `${previousLengthLimited - allAccounts.length} of ${previousLengthLimited} bot accounts were removed from available accounts as they are limited and can't be used for this request!`);
 
 
+    // Remove accounts which are benched because of too many consecutive failures
+    let previousLengthBenched = allAccounts.length;
+    allAccounts               = allAccounts.filter(e => !commandHandler.data.isAccountBenched(e));
+
+    if (previousLengthBenched - allAccounts.length > 0) logger("info", `${previousLengthBenched - allAccounts.length} of ${previousLengthBenched} bot accounts were removed from available accounts as they are currently benched because of too many failures!`);
+
+
     // Remove bot accounts from allAccounts which have already voted on this id with this voteType
     let previousLengthVoted = allAccounts.length;
     let alreadyVoted        = await commandHandler.data.ratingHistoryDB.findAsync({ id: id, type: voteType }, {});
@@ -82,6 +91,12 @@ module.exports.getAvailableBotsForVoting = async (commandHandler, amount, id, vo
     }
 
 
+    // Sort accounts by the allocation strategy of this request
+    let strategy = getAllocationStrategy(commandHandler, strategyName) || defaultAllocationStrategies.spread;
+
+    allAccounts = strategy.sortAccounts(commandHandler, allAccounts, "vote");
+
+
     // Cut result to only include needed accounts
     if (allAccounts.length > amount) allAccounts = allAccounts.slice(0, amount);
 
@@ -4,7 +4,7 @@
  * Created Date: 28.02.2022 12:22:48
  * Author: 3urobeat
  *
- * Last Modified: 04.07.2023 19:33:05
+ * Last Modified: 11.08.2023 13:04:11
  * Modified By: 3urobeat
  *
  * Copyright (c) 2022 3urobeat <https://github.com/3urobeat>
@@ -21,7 +21,7 @@ const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
 
 /**
  * Checks if the following comment process iteration should be skipped
- * Aborts comment process on critical error.
+ * Aborts comment process on critical error. Emits the iterationFailed event for skipped iterations and the requestAborted event when stopping because of an error.
  * @param {CommandHandler} commandHandler The commandHandler object
  * @param {{ next: function(): void, break: function(): void, index: function(): number }} loop Object returned by misc.js syncLoop() helper
  * @param {Bot} bot Bot object of the account posting this comment
@@ -35,7 +35,8 @@ module.exports.handleIterationSkip = (commandHandler, loop, bot, receiverSteamID
     if (!bot) {
         activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b? p?`] = "Skipped because bot account does not exist";
 
-        logger("error", `[Bot ?] Error posting comment ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} to ${receiverSteamID64}: Bot account '${activeReqEntry.accounts[loop.index() % activeReqEntry.accounts.length]}' does not exist?! Skipping...`);
+        logger("error", `[Bot ?] Error posting comment ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} to ${receiverSteamID64}: Bot account '${activeReqEntry.accounts[activeReqEntry.thisIteration % activeReqEntry.accounts.length]}' does not exist?! Skipping...`);
+        commandHandler.controller.events.emit("iterationFailed", receiverSteamID64, activeReqEntry, null, "Skipped because bot account does not exist");
         loop.next();
         return false;
     }
@@ -45,6 +46,7 @@ module.exports.handleIterationSkip = (commandHandler, loop, bot, receiverSteamID
         activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b${bot.index} p${bot.loginData.proxyIndex}`] = "Skipped because bot account is offline";
 
         logger("error", `[${bot.logPrefix}] Error posting comment ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} to ${receiverSteamID64}: Skipped because bot account is offline`);
+        commandHandler.controller.events.emit("iterationFailed", receiverSteamID64, activeReqEntry, bot, "Skipped because bot account is offline");
         loop.next();
         return false;
     }
@@ -80,7 +82,9 @@ module.exports.handleIterationSkip = (commandHandler, loop, bot, receiverSteamID
         // Update status to error
         activeReqEntry.status = "error";
 
-        // Break the loop and return false
+        commandHandler.controller.events.emit("requestAborted", receiverSteamID64, activeReqEntry, bot, "All proxies had a HTTP 429 (IP cooldown) error");
+
+        // Break the loop and return false. The exit function of the loop emits the requestFinished event
         loop.break();
         return false;
     }
@@ -88,6 +92,7 @@ module.exports.handleIterationSkip = (commandHandler, loop, bot, receiverSteamID
     // Check if this iteration would use a blocked proxy by checking for existing failed obj entry for this iteration
     if (activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b${bot.index} p${bot.loginData.proxyIndex}`]) {
         logger("debug", "CommandHandler handleIterationSkip(): Iteration would use a failed proxy, skipping...");
+        commandHandler.controller.events.emit("iterationFailed", receiverSteamID64, activeReqEntry, bot, activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b${bot.index} p${bot.loginData.proxyIndex}`]);
         loop.next();
         return false;
     }
@@ -98,7 +103,7 @@ module.exports.handleIterationSkip = (commandHandler, loop, bot, receiverSteamID
 
 
 /**
- * Adds a description to comment errors and applies additional cooldowns for certain errors
+ * Adds a description to comment errors, applies additional cooldowns for certain errors and emits the iterationFailed event
  * @param {string} error The error string returned by steamcommunity
  * @param {CommandHandler} commandHandler The commandHandler object
  * @param {Bot} bot Bot object of the account posting this comment
@@ -168,9 +173,17 @@ module.exports.logCommentError = (error, commandHandler, bot, receiverSteamID64)
 
     activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b${bot.index} p${bot.loginData.proxyIndex}`] = `${error} [${description}]`;
 
+    // Update health record of this account
+    commandHandler.data.recordAccountError(bot.loginData.logOnOptions.accountName, error);
+
+    // Update health record of the proxy of this account if its IP is on cooldown
+    if (String(error).toLowerCase() == "error: http error 429") commandHandler.data.recordProxyError(bot.loginData.proxyIndex, "rateLimit");
+
 
     // Sort failed object to make it easier to read
     activeReqEntry.failed = sortFailedCommentsObject(activeReqEntry.failed);
+
+    commandHandler.controller.events.emit("iterationFailed", receiverSteamID64, activeReqEntry, bot, error);
 };
 
 
@@ -4,7 +4,7 @@
  * Created Date: 31.05.2023 16:57:21
  * Author: 3urobeat
  *
- * Last Modified: 04.07.2023 19:51:58
+ * Last Modified: 09.08.2023 18:31:09
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -33,7 +33,8 @@ module.exports.handleVoteIterationSkip = function(commandHandler, loop, bot, id)
     if (!bot) {
         activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b? p?`] = "Skipped because bot account does not exist";
 
-        logger("error", `[Bot ?] Error while voting ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id}: Bot account '${activeReqEntry.accounts[loop.index() % activeReqEntry.accounts.length]}' does not exist?! Skipping...`);
+        logger("error", `[Bot ?] Error while voting ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id}: Bot account '${activeReqEntry.accounts[activeReqEntry.thisIteration % activeReqEntry.accounts.length]}' does not exist?! Skipping...`);
+        commandHandler.controller.events.emit("iterationFailed", id, activeReqEntry, null, "Skipped because bot account does not exist");
         loop.next();
         return false;
     }
@@ -43,6 +44,7 @@ module.exports.handleVoteIterationSkip = function(commandHandler, loop, bot, id)
         activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b${bot.index} p${bot.loginData.proxyIndex}`] = "Skipped because bot account is offline";
 
         logger("error", `[${bot.logPrefix}] Error while voting ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id}: Skipped because bot account is offline`);
+        commandHandler.controller.events.emit("iterationFailed", id, activeReqEntry, bot, "Skipped because bot account is offline");
         loop.next();
         return false;
     }
@@ -67,7 +69,8 @@ module.exports.handleFavoriteIterationSkip = function(commandHandler, loop, bot,
     if (!bot) {
         activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b? p?`] = "Skipped because bot account does not exist";
 
-        logger("error", `[Bot ?] Error while un-/favorizing ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id}: Bot account '${activeReqEntry.accounts[loop.index() % activeReqEntry.accounts.length]}' does not exist?! Skipping...`);
+        logger("error", `[Bot ?] Error while un-/favorizing ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id}: Bot account '${activeReqEntry.accounts[activeReqEntry.thisIteration % activeReqEntry.accounts.length]}' does not exist?! Skipping...`);
+        commandHandler.controller.events.emit("iterationFailed", id, activeReqEntry, null, "Skipped because bot account does not exist");
         loop.next();
         return false;
     }
@@ -77,6 +80,7 @@ module.exports.handleFavoriteIterationSkip = function(commandHandler, loop, bot,
         activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b${bot.index} p${bot.loginData.proxyIndex}`] = "Skipped because bot account is offline";
 
         logger("error", `[${bot.logPrefix}] Error while un-/favorizing ${activeReqEntry.thisIteration + 1}/${activeReqEntry.amount} on ${id}: Skipped because bot account is offline`);
+        commandHandler.controller.events.emit("iterationFailed", id, activeReqEntry, bot, "Skipped because bot account is offline");
         loop.next();
         return false;
     }
@@ -87,7 +91,7 @@ module.exports.handleFavoriteIterationSkip = function(commandHandler, loop, bot,
 
 
 /**
- * Logs vote errors
+ * Logs vote errors and emits the iterationFailed event
  * @param {string} error The error string returned by steam-community
  * @param {CommandHandler} commandHandler The commandHandler object
  * @param {Bot} bot Bot object of the account making this request
@@ -106,14 +110,22 @@ module.exports.logVoteError = (error, commandHandler, bot, id) => {
 
     activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b${bot.index} p${bot.loginData.proxyIndex}`] = `${error}`;
 
+    // Update health record of this account
+    commandHandler.data.recordAccountError(bot.loginData.logOnOptions.accountName, error);
+
+    // Update health record of the proxy of this account if its IP is on cooldown
+    if (String(error).toLowerCase() == "error: http error 429") commandHandler.data.recordProxyError(bot.loginData.proxyIndex, "rateLimit");
+
 
     // Sort failed object to make it easier to read
     activeReqEntry.failed = sortFailedCommentsObject(activeReqEntry.failed);
+
+    commandHandler.controller.events.emit("iterationFailed", id, activeReqEntry, bot, error);
 };
 
 
 /**
- * Logs favorite errors
+ * Logs favorite errors and emits the iterationFailed event
  * @param {string} error The error string returned by steam-community
  * @param {CommandHandler} commandHandler The commandHandler object
  * @param {Bot} bot Bot object of the account making this request
@@ -132,9 +144,17 @@ module.exports.logFavoriteError = (error, commandHandler, bot, id) => {
 
     activeReqEntry.failed[`c${activeReqEntry.thisIteration + 1} b${bot.index} p${bot.loginData.proxyIndex}`] = `${error}`;
 
+    // Update health record of this account
+    commandHandler.data.recordAccountError(bot.loginData.logOnOptions.accountName, error);
+
+    // Update health record of the proxy of this account if its IP is on cooldown
+    if (String(error).toLowerCase() == "error: http error 429") commandHandler.data.recordProxyError(bot.loginData.proxyIndex, "rateLimit");
+
 
     // Sort failed object to make it easier to read
     activeReqEntry.failed = sortFailedCommentsObject(activeReqEntry.failed);
+
+    commandHandler.controller.events.emit("iterationFailed", id, activeReqEntry, bot, error);
 };
 
 
@@ -0,0 +1,192 @@
+/*
+ * File: parseArgs.js
+ * Project: steam-comment-service-bot
+ * Created Date: 10.08.2023 10:04:37
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 18:52:07
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const CommandHandler = require("../commandHandler.js"); // eslint-disable-line
+
+
+/**
+ * Generates the usage string of a command from its args, for example `!comment (amount) [ID]`. Required args are wrapped in round, optional args in square brackets.
+ * @param {CommandHandler.Command} command The command object
+ * @param {string} cmdprefix The prefix of the message handler
+ * @returns {string} The usage of this command
+ */
+module.exports.getCommandUsage = (command, cmdprefix) => {
+    let argsStr = command.args.map(e => e.isOptional ? `[${e.name}]` : `(${e.name})`).join(" ");
+
+    return `'${cmdprefix}${command.names[0]}${argsStr ? " " + argsStr : ""}'`;
+};
+
+
+/**
+ * Converts the value of an argument to the type it should have
+ * @param {*} value The value to convert. Usually a string, values which already have the correct type are returned unmodified.
+ * @param {string} type The expected type: "string", "number", "boolean" or "array". Other types return the value unmodified.
+ * @returns {{ value: * }|null} Object containing the converted value or `null` if the value is invalid for this type
+ */
+module.exports.convertArg = (value, type) => {
+    switch (type) {
+        case "number": {
+            if (typeof value == "number") return { value };
+
+            let num = Number(value);
+
+            if (String(value).trim() == "" || isNaN(num)) return null;
+
+            return { value: num };
+        }
+
+        case "boolean": {
+            if (typeof value == "boolean") return { value };
+
+            let str = String(value).toLowerCase();
+
+            if (["true", "yes", "on", "1"].includes(str))  return { value: true };
+            if (["false", "no", "off", "0"].includes(str)) return { value: false };
+
+            return null;
+        }
+
+        case "array": {
+            if (Array.isArray(value)) return { value };
+
+            let content = String(value).trim().replace(/^\[|\]$/g, "").trim(); // Brackets are optional
+
+            if (content == "") return { value: [] };
+
+            // Quoted elements are kept as strings, unquoted numbers are converted
+            let arr = content.split(",").map((e) => {
+                e = e.trim();
+
+                if (/^".*"$/.test(e)) return e.slice(1, -1);
+                if (e != "" && !isNaN(e)) return Number(e);
+
+                return e;
+            });
+
+            return { value: arr };
+        }
+
+        default:
+            return { value };
+    }
+};
+
+
+/**
+ * Takes the raw value of one argument from the array of words a message was split into. Quoted strings and arrays containing spaces are joined back together.
+ * @param {Array.<string>} tokens The remaining words. The value will be removed from it.
+ * @param {string} type The expected type of this argument
+ * @returns {string} The raw value of this argument
+ */
+function takeRawValue(tokens, type) {
+    let first = String(tokens[0]);
+    let end;
+
+    if (type == "array" && first.startsWith("[")) end = tokens.findIndex(e => String(e).endsWith("]"));
+        else if (first.startsWith("\"")) end = tokens.findIndex((e, i) => String(e).endsWith("\"") && (i > 0 || e.length > 1));
+
+    // Take only this word if it is not quoted or the closing part is missing
+    if (end == undefined || end == -1) return tokens.shift();
+
+    let value = tokens.splice(0, end + 1).join(" ");
+
+    if (value.startsWith("\"")) value = value.slice(1, -1); // Remove quotes
+
+    return value;
+}
+
+
+/**
+ * Parses and validates the arguments of a command using the `args` it declares. Missing required arguments, arguments provided by users without the required role and invalid values are rejected and the user is informed.
+ * Arguments of commands which do not declare any args are passed on unmodified.
+ * @param {CommandHandler} commandHandler The commandHandler object
+ * @param {CommandHandler.Command} command The command which is about to run
+ * @param {Array} args The arguments provided by the user
+ * @param {CommandHandler.resInfo} resInfo Object containing additional information
+ * @param {function(string, string=): void} respond The shortened respondModule call. Receives the reason as second parameter if the request was rejected because of a missing role.
+ * @returns {Promise.<Array|false>} Resolves with the parsed arguments or `false` if the request was rejected. The user has already been informed in this case.
+ */
+module.exports.parseArgs = (commandHandler, command, args, resInfo, respond) => {
+    return new Promise((resolve) => {
+        if (!command.args || command.args.length == 0) return resolve(args);
+
+        let usage  = module.exports.getCommandUsage(command, resInfo.cmdprefix);
+        let tokens = [ ...args ].filter(e => e !== ""); // Multiple spaces in a message cause empty words
+        let parsed = [];
+
+        // Helper to reject the request
+        let reject = (msg, arg, value, reason) => {
+            logger("debug", `CommandHandler parseArgs(): Rejecting command '${command.names[0]}' because of argument '${arg.name}': ${msg}`);
+
+            respond(msg.replace("argname", arg.name).replace("argtype", arg.type).replace("argvalue", value).replace("cmdusage", usage), reason);
+            resolve(false);
+        };
+
+        // Process all args in order. Resolving steamIDs requires us to wait for a callback
+        let processArg = (index) => {
+            let arg = command.args[index];
+
+            if (!arg) return resolve(parsed.concat(tokens)); // Pass additional words which were not declared on unmodified
+
+            // Check if this argument is missing. Stop checking once an optional argument is missing as all following ones are missing as well
+            if (tokens.length == 0) {
+                if (!arg.isOptional) return reject(commandHandler.data.lang.argmissing, arg);
+
+                return resolve(parsed);
+            }
+
+            // Check if user has the role this argument requires
+            let requiredRole = arg.role || (arg.ownersOnly ? "owner" : "user");
+
+            if (!commandHandler.data.hasRole(resInfo.userID, requiredRole, resInfo.ownerIDs)) {
+                if (requiredRole == "owner") return reject(commandHandler.data.lang.argowneronly, arg, null, "permission");
+                    else return reject(commandHandler.data.lang.argrolerequired.replace("rolename", requiredRole), arg, null, "permission");
+            }
+
+            // Pass all remaining words unmodified for args which consume the rest of the message
+            if (arg.isRest) return resolve(parsed.concat(tokens));
+
+            let raw = takeRawValue(tokens, arg.type);
+
+            // Accept "all" and "max" instead of a number if the command supports requesting the maximum amount
+            if (arg.type == "number" && arg.allowAll && [ "all", "max" ].includes(String(raw).toLowerCase())) {
+                parsed.push("all");
+                return processArg(index + 1);
+            }
+
+            if (arg.type == "steamID") {
+                commandHandler.controller.handleSteamIdResolving(String(raw), arg.idType || null, (err, steamID64) => {
+                    if (err || !steamID64) return reject(commandHandler.data.lang.arginvalidid + (err ? "\n\nError: " + err : ""), arg, raw);
+
+                    parsed.push(steamID64);
+                    processArg(index + 1);
+                });
+                return;
+            }
+
+            let converted = module.exports.convertArg(raw, arg.type);
+
+            if (!converted) return reject(commandHandler.data.lang.arginvalidtype, arg, raw);
+            if (arg.type == "number" && arg.min != undefined && converted.value < arg.min) return reject(commandHandler.data.lang.argtoolow.replace("argmin", arg.min), arg, raw);
+
+            parsed.push(converted.value);
+            processArg(index + 1);
+        };
+
+        processArg(0);
+    });
+};
@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 08.07.2023 00:47:49
+ * Last Modified: 11.08.2023 11:36:50
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -166,7 +166,7 @@ Controller.prototype._start = async function() {
     if (process.platform == "win32") { // Set node process name to find it in task manager etc.
         process.title = `${this.data.datafile.mestr}'s Steam Comment Service Bot v${this.data.datafile.versionstr} | ${process.platform}`; // Windows allows long terminal/process names
     } else {
-        process.stdout.write(`${String.fromCharCode(27)}]0;${this.data.datafile.mestr}'s Steam Comment Service Bot v${this.data.datafile.versionstr} | ${process.platform}${String.fromCharCode(7)}`); // Sets terminal title (thanks: https://stackoverflow.com/a/30360821/12934162)
+        if (!logger.isHeadless()) process.stdout.write(`${String.fromCharCode(27)}]0;${this.data.datafile.mestr}'s Steam Comment Service Bot v${this.data.datafile.versionstr} | ${process.platform}${String.fromCharCode(7)}`); // Sets terminal title (thanks: https://stackoverflow.com/a/30360821/12934162)
         process.title = "CommentBot"; // Sets process title in task manager etc.
     }
 
@@ -269,6 +269,13 @@ Controller.prototype._preLogin = async function() {
     require("./helpers/friendlist.js");
     require("./helpers/getBots.js");
     require("./helpers/handleSteamIdResolving.js");
+    require("./helpers/requestQueue.js");
+    require("./helpers/schedule.js");
+    require("./helpers/persistActiveRequests.js");
+    require("./helpers/proxyHealth.js");
+    require("./helpers/manageAccounts.js");
+    require("./helpers/mainFailover.js");
+    require("./helpers/terminalConsole.js");
     require("./login.js");
 
 
@@ -415,6 +422,20 @@ Controller.prototype._lastcommentUnfriendCheck = function() {} // eslint-disable
  */
 Controller.prototype.getBots = function(statusFilter = EStatus.ONLINE, mapToObject = false) {}; // eslint-disable-line
 
+/**
+ * Retrieves all proxies and the bot accounts which are currently assigned to them.
+ * @param {(EStatus|EStatus[]|string)} [statusFilter=EStatus.ONLINE] Optional: EStatus or Array of EStatus's including account statuses to filter. Pass '*' to get all accounts. If omitted, only accs with status 'EStatus.ONLINE' will be returned.
+ * @returns {Array.<{ proxyIndex: number, proxy: string, bots: Array }>} An array containing one entry for every proxy, even if no bot account is assigned to it.
+ */
+Controller.prototype.getBotsPerProxy = function(statusFilter = EStatus.ONLINE) {}; // eslint-disable-line
+
+/**
+ * Gets the bot account which should send Steam Chat responses to a request that is processed later, for example a queued, scheduled or resumed one.
+ * @param {import("../commands/commandHandler").resInfo} resInfo The resInfo object of the request
+ * @returns {object} The bot account which received the command if it is still online, otherwise the main bot account
+ */
+Controller.prototype.getResponderBot = function(resInfo) {}; // eslint-disable-line
+
 /**
  * Internal: Handles process's unhandledRejection & uncaughtException error events.
  * Should a NPM related error be detected it attempts to reinstall all packages using our npminteraction helper function
@@ -429,6 +450,120 @@ Controller.prototype._handleErrors = function() {} // eslint-disable-line
  */
 Controller.prototype.handleSteamIdResolving = (str, expectedIdType, callback) => {} // eslint-disable-line
 
+/**
+ * Adds a request which can't be fulfilled right now because of bot account cooldowns to the persistent request queue
+ * @param {{ command: string, args: Array, resInfo: object, receiver: string, idType: string, amount: number }} request Information about the request. `command` and `args` will be used to run the command again once enough accounts are available.
+ * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+ * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+ * @returns {Promise.<number|null>} Resolves with the position of this request in the queue or `null` if the request could not be queued
+ */
+Controller.prototype.addRequestToQueue = function(request, respondModule, context) {}; // eslint-disable-line
+
+/**
+ * Gets all requests that are currently waiting in the request queue
+ * @returns {Promise.<Array.<{ _id: string, command: string, args: Array, resInfo: object, requestedby: string, receiver: string, idType: string, amount: number, queuedAt: number }>>} Resolves with all queued requests, sorted from oldest to newest
+ */
+Controller.prototype.getRequestQueue = function() {}; // eslint-disable-line
+
+/**
+ * Removes a request from the request queue
+ * @param {string} receiver ID of the profile, group or sharedfile the queued request is for
+ * @returns {Promise.<boolean>} Resolves with `true` if a request was removed and `false` if no request was queued for this ID
+ */
+Controller.prototype.removeRequestFromQueue = function(receiver) {}; // eslint-disable-line
+
+/**
+ * Internal: Starts the oldest queued request if enough bot accounts have become available. Called periodically after the ready event.
+ */
+Controller.prototype._processRequestQueue = async function() {}; // eslint-disable-line
+
+/**
+ * Adds a new comment request to the schedule
+ * @param {{ when: string, time: string, args: Array, resInfo: object }} schedule When and with which arguments the comment command should run. `when` can be "once", "daily", a weekday like "sunday" or a date in the format DD.MM.YYYY. `time` must be in the format HH:MM.
+ * @returns {Promise.<object|null>} Resolves with the inserted schedule document or `null` if the schedule is invalid or could not be saved
+ */
+Controller.prototype.addSchedule = function(schedule) {}; // eslint-disable-line
+
+/**
+ * Gets all schedules
+ * @returns {Promise.<Array.<{ _id: string, when: string, time: string, command: string, args: Array, resInfo: object, requestedby: string, nextRun: number, createdAt: number }>>} Resolves with all schedules, sorted from oldest to newest
+ */
+Controller.prototype.getSchedules = function() {}; // eslint-disable-line
+
+/**
+ * Removes a schedule
+ * @param {string} id The `_id` of the schedule document to remove
+ * @returns {Promise.<boolean>} Resolves with `true` if the schedule was removed and `false` otherwise
+ */
+Controller.prototype.removeSchedule = function(id) {}; // eslint-disable-line
+
+/**
+ * Internal: Runs all schedules which are due and calculates their next run. Schedules which were missed because the bot was offline are caught up or skipped, depending on `advancedconfig.catchUpMissedSchedules`. Called periodically after the ready event.
+ */
+Controller.prototype._processSchedules = function() {}; // eslint-disable-line
+
+/**
+ * Writes the current state of an activeRequests entry to the disk to be able to resume it after a restart or crash. Entries which are neither active nor interrupted anymore are removed from the disk.
+ * @param {string} id ID of the profile, group or sharedfile the request is for. This is the key of the entry in the activeRequests object
+ * @param {CommandHandler.resInfo} resInfo The resInfo object of the request. Only the properties required to respond after a restart are stored.
+ */
+Controller.prototype.saveActiveRequest = function(id, resInfo) {}; // eslint-disable-line
+
+/**
+ * Gets the command which is responsible for a request type and supports resuming
+ * @param {string} type Type of the activeRequests entry, for example "profileComment" or "upvote"
+ * @returns {object|undefined} The command object or `undefined` if no command for this type supports resuming
+ */
+Controller.prototype.getResumableCommand = function(type) {}; // eslint-disable-line
+
+/**
+ * Internal: Restores all requests which were interrupted by the last restart or crash. They are either resumed directly or marked as interrupted, depending on `advancedconfig.resumeInterruptedRequests`. Called by the ready event.
+ */
+Controller.prototype._restoreActiveRequests = function() {}; // eslint-disable-line
+
+/**
+ * Internal: Checks the latency of every proxy, updates their health records and moves the accounts of proxies which stayed unhealthy to healthy ones. Called periodically after the ready event.
+ */
+Controller.prototype._checkProxyHealth = function() {}; // eslint-disable-line
+
+/**
+ * Moves all bot accounts of a proxy to the healthy proxies with the least accounts. Accounts which are pinned to a proxy or are currently processing a request are skipped.
+ * @param {number} proxyIndex Index of the proxy in the proxies array
+ * @returns {number} Amount of accounts which were moved
+ */
+Controller.prototype.reassignProxyAccounts = function(proxyIndex) {}; // eslint-disable-line
+
+/**
+ * Internal: Checks if the main account is online and promotes or demotes accounts accordingly. The original main account (index 0) is always preferred. If it is not online, the first online account of the failover order takes over when `advancedconfig.enableMainFailover` is enabled. Called by the statusUpdate event.
+ */
+Controller.prototype._checkMainAccount = function() {}; // eslint-disable-line
+
+/**
+ * Internal: Reads commands from the terminal and runs them with owner privileges. Called by the ready event if `advancedconfig.enableTerminalConsole` is enabled.
+ */
+Controller.prototype._attachTerminalConsole = function() {}; // eslint-disable-line
+
+/**
+ * Adds a new bot account at runtime and logs it in
+ * @param {{ accountName: string, password: string, sharedSecret?: string, proxy?: string }} logOnOptions The login information of the new account. `proxy` is the optional name or index of the proxy this account should be pinned to.
+ * @param {boolean} [writeToDisk=true] If the account should be added to the accounts.txt or logininfo.json file
+ * @returns {boolean} `true` if the account was added, `false` if an account with this name already exists
+ */
+Controller.prototype.addAccount = function(logOnOptions, writeToDisk = true) {}; // eslint-disable-line
+
+/**
+ * Logs off a bot account at runtime and removes it. The main account can't be removed.
+ * @param {string} accountName Name of the bot account
+ * @param {boolean} [writeToDisk=true] If the account should be removed from the accounts.txt or logininfo.json file
+ * @returns {boolean} `true` if the account was removed, `false` if it does not exist, is the main account or is currently processing a request
+ */
+Controller.prototype.removeAccount = function(accountName, writeToDisk = true) {}; // eslint-disable-line
+
+/**
+ * Internal: Watches the accounts.txt and logininfo.json files for changes and adds or removes accounts accordingly. Called by the ready event if `advancedconfig.watchAccountsFiles` is enabled.
+ */
+Controller.prototype._watchAccountsFiles = function() {}; // eslint-disable-line
+
 /**
  * Logs text to the terminal and appends it to the output.txt file.
  * @param {string} type String that determines the type of the log message. Can be info, warn, error, debug or an empty string to not use the field.
@@ -4,7 +4,7 @@
  * Created Date: 29.03.2023 12:23:29
  * Author: 3urobeat
  *
- * Last Modified: 10.07.2023 09:33:30
+ * Last Modified: 11.08.2023 14:20:53
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -19,6 +19,7 @@ const fs        = require("fs");
 const SteamUser = require("steam-user");
 
 const Controller = require("../controller");
+const EStatus    = require("../../bot/EStatus.js");
 const { round }  = require("../helpers/misc.js");
 
 
@@ -27,6 +28,12 @@ const { round }  = require("../helpers/misc.js");
  */
 Controller.prototype._readyEvent = function() {
 
+    // The main account could have been skipped during login, abort if no other account was able to take over
+    if (this.main.status != EStatus.ONLINE) {
+        logger("error", "No bot account is online to act as the main account! Aborting...", true);
+        return this.stop();
+    }
+
     // Start logging the ready message block
     logger("", " ", true);
     logger("", "*-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-*", true, false, null, false, true);
@@ -149,6 +156,10 @@ Controller.prototype._readyEvent = function() {
     });
 
 
+    // Log when the login tokens of all accounts are going to expire
+    this.data._logTokenExpiryTable();
+
+
     // Message all owners that are friends if firststart is true that the bot just updated itself
     if (this.data.datafile.firststart) {
         this.data.cachefile.ownerid.forEach((e) => {
@@ -170,6 +181,39 @@ Controller.prototype._readyEvent = function() {
     }
 
 
+    // Check every 10 seconds if enough accounts are available to start the oldest queued request
+    if (this.data.advancedconfig.enableRequestQueue) {
+        this.getRequestQueue().then((queue) => {
+            if (queue.length > 0) logger("info", `${queue.length} queued request(s) have been restored from the last run. They will be started as soon as enough accounts are available.`);
+        });
+
+        setInterval(() => this._processRequestQueue(), 10000); // 10 seconds
+    }
+
+
+    // Check every 30 seconds for scheduled requests which are due and remove expired command cooldowns. Runs missed during downtime are handled on the first check
+    this._processSchedules();
+
+    setInterval(() => {
+        this._processSchedules();
+        this.data.pruneCommandCooldowns();
+    }, 30000); // 30 seconds
+
+
+    // Resume requests which were interrupted by the last restart or crash
+    this._restoreActiveRequests();
+
+
+    // Check the health of all proxies periodically and move accounts away from proxies which stay unhealthy
+    if (this.data.advancedconfig.proxyHealthCheckInterval > 0 && this.data.proxies.length > 1) {
+        setInterval(() => this._checkProxyHealth(), this.data.advancedconfig.proxyHealthCheckInterval * 60000);
+    }
+
+
+    // Add and remove accounts when the user edits the accounts.txt or logininfo.json file
+    if (this.data.advancedconfig.watchAccountsFiles) this._watchAccountsFiles();
+
+
     // Write logintime stuff to data.json
     logger("debug", "Writing logintime to data.json...", false, true, logger.animation("loading"));
     this.data.datafile.totallogintime = round(this.data.datafile.totallogintime, 2);
@@ -193,6 +237,9 @@ Controller.prototype._readyEvent = function() {
 
         setTimeout(() => {
             logger("", "", true, true); // Clear out last remove message
+
+            // Start reading commands from the terminal now that no progress bar or animation can overwrite the input anymore
+            if (this.data.advancedconfig.enableTerminalConsole) this._attachTerminalConsole();
         }, 5000);
     }, 2000);
 
@@ -4,7 +4,7 @@
  * Created Date: 30.03.2023 21:05:13
  * Author: 3urobeat
  *
- * Last Modified: 04.07.2023 19:36:26
+ * Last Modified: 08.08.2023 16:48:09
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -33,6 +33,9 @@ Controller.prototype._statusUpdateEvent = function(bot, newStatus) {
     // Log debug message
     logger("debug", `Controller statusUpdateEvent: bot${bot.index} changed status from ${Bot.EStatus[oldStatus]} to ${Bot.EStatus[newStatus]}`);
 
+    // Promote another account should the main account have gone offline or demote it again when the original main account is back
+    this._checkMainAccount();
+
     // Emit event
     this.events.emit("statusUpdate", bot, oldStatus, newStatus);
 };
\ No newline at end of file
@@ -4,7 +4,7 @@
  * Created Date: 02.05.2023 13:46:21
  * Author: 3urobeat
  *
- * Last Modified: 04.07.2023 19:38:06
+ * Last Modified: 11.08.2023 11:36:50
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -30,12 +30,38 @@ Controller.prototype.getBots = function(statusFilter, mapToObject) {
 
     let accs = Object.values(this.bots); // Mark all bots as candidates
 
-    if (Array.isArray(statusFilter)) accs = accs.filter(e => statusFilter.includes(e.status)); // Filter after multiple statuses
-    if (statusFilter != "*")         accs = accs.filter(e => statusFilter == e.status);        // Filter after one specified status
+    if (Array.isArray(statusFilter))   accs = accs.filter(e => statusFilter.includes(e.status)); // Filter after multiple statuses
+        else if (statusFilter != "*")  accs = accs.filter(e => statusFilter == e.status);        // Filter after one specified status
 
     // Map values back to an accountName as key object if mapToObject == true
     if (mapToObject && accs.length > 0) accs = Object.assign(...accs.map(k => ( { [k.loginData.logOnOptions.accountName]: k } ) ));
 
     // Return result
     return accs;
+};
+
+
+/**
+ * Retrieves all proxies and the bot accounts which are currently assigned to them.
+ * @param {(EStatus|EStatus[]|string)} [statusFilter=EStatus.ONLINE] Optional: EStatus or Array of EStatus's including account statuses to filter. Pass '*' to get all accounts. If omitted, only accs with status 'EStatus.ONLINE' will be returned.
+ * @returns {Array.<{ proxyIndex: number, proxy: string, bots: Array }>} An array containing one entry for every proxy, even if no bot account is assigned to it.
+ */
+Controller.prototype.getBotsPerProxy = function(statusFilter) {
+    let accs = this.getBots(statusFilter);
+
+    return this.data.proxies.map((e, i) => ({ proxyIndex: i, proxy: e, bots: accs.filter(f => f.loginData.proxyIndex == i) }));
+};
+
+
+/**
+ * Gets the bot account which should send Steam Chat responses to a request that is processed later, for example a queued, scheduled or resumed one.
+ * @param {import("../../commands/commandHandler").resInfo} resInfo The resInfo object of the request
+ * @returns {object} The bot account which received the command if it is still online, otherwise the main bot account
+ */
+Controller.prototype.getResponderBot = function(resInfo) {
+    let bot = resInfo && resInfo.botAccountName ? this.bots[resInfo.botAccountName] : null;
+
+    if (bot && bot.status == EStatus.ONLINE) return bot;
+
+    return this.main; // The user might not be friends with the main account but it is the best we can do
 };
\ No newline at end of file
@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 04.07.2023 19:39:07
+ * Last Modified: 08.08.2023 15:21:47
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -15,11 +15,28 @@
  */
 
 
+const fs     = require("fs");
 const logger = require("output-logger"); // Look Mom, it's my own library!
 
 const Controller = require("../controller.js");
 
 
+// Headless mode answers prompts from a policy instead of stdin and disables all cursor-rewriting output. Enabled by starting with --headless, which sets this env var
+const headless = process.env.STEAM_COMMENT_BOT_HEADLESS == "true";
+
+const headlessExitCode = 78; // EX_CONFIG from sysexits.h, tells starter.js to not restart the bot
+
+// Answers for prompts which are safe to answer without asking. Prompts not listed here need an answer from the policy or the bot exits in headless mode
+const headlessDefaults = {
+    updateNow: "n",
+    refreshExpiringTokens: "n",
+    maFilesPassphrase: "",
+    newMasterPassphrase: ""
+};
+
+let pendingInput = null; // Prompt waiting for stopReadInput() in headless mode
+
+
 // Configure my logging library (https://github.com/3urobeat/output-logger#options-1)  (animation speed and printDebug will be changed later in controller.js after advancedconfig import)
 logger.options({
     required_from_childprocess: true, // eslint-disable-line camelcase
@@ -60,15 +77,131 @@ Controller.prototype.logger = function(type, str, nodate, remove, animation, pri
 
     } else {
 
-        logger(type, str, nodate, remove, animation, cutToWidth);
+        log(type, str, nodate, remove, animation, cutToWidth);
 
     }
 
 };
 
+
+/**
+ * Calls output-logger and removes all parameters which would rewrite the current line in headless mode
+ * @param {string} type String that determines the type of the log message. Can be info, warn, error, debug or an empty string to not use the field.
+ * @param {string} str The text to log into the terminal
+ * @param {boolean} nodate Setting to true will hide date and time in the message
+ * @param {boolean} remove Setting to true will remove this message with the next one
+ * @param {Array.<string>} animation Array containing animation frames as elements
+ * @param {boolean} cutToWidth Cuts the string to the width of the terminal
+ * @param {number} customTimestamp Timestamp to display instead of the current time
+ */
+function log(type, str, nodate, remove, animation, cutToWidth, customTimestamp) {
+    if (headless) logger(type, str, nodate, false, null, false, customTimestamp);
+        else logger(type, str, nodate, remove, animation, cutToWidth, customTimestamp);
+}
+
+
+/**
+ * Gets the answer for a prompt from the `STEAM_COMMENT_BOT_<KEY>` env var, the headless policy file or the defaults
+ * @param {string} policyKey Key of the prompt, for example `updateNow`
+ * @returns {string|undefined} The answer or `undefined` if none was provided
+ */
+function getPolicyAnswer(policyKey) {
+    let envVar = "STEAM_COMMENT_BOT_" + policyKey.replace(/([A-Z])/g, "_$1").toUpperCase(); // Convert camelCase to SNAKE_CASE
+
+    if (process.env[envVar] != undefined) return process.env[envVar];
+
+    let policyPath = process.env.STEAM_COMMENT_BOT_HEADLESS_POLICY || srcdir + "/../headless.json";
+
+    if (fs.existsSync(policyPath)) {
+        try {
+            let policy = JSON.parse(fs.readFileSync(policyPath, "utf8"));
+
+            if (policy[policyKey] != undefined) return String(policy[policyKey]);
+        } catch (err) {
+            logger("error", `Headless mode: Failed to read your policy file '${policyPath}'! ${err}`);
+        }
+    }
+
+    return headlessDefaults[policyKey];
+}
+
+
 // Add all nested functions from output-logger to our modified logger function
 Object.assign(Controller.prototype.logger, logger);
 
+
+/**
+ * Checks if the bot runs in headless mode
+ * @returns {boolean} `true` if headless mode is enabled
+ */
+Controller.prototype.logger.isHeadless = function() {
+    return headless;
+};
+
+
+/**
+ * Logs an error and exits with a code which prevents starter.js from restarting the bot. Used in headless mode when a prompt can't be answered.
+ * @param {string} reason The reason to log
+ */
+Controller.prototype.logger.headlessExit = function(reason) {
+    logger("error", `Headless mode: ${reason} Exiting with code ${headlessExitCode}...`, true);
+    process.exit(headlessExitCode);
+};
+
+
+/**
+ * Reads input from the terminal. In headless mode the answer is taken from the policy instead, see `getPolicyAnswer()`.
+ * @param {string} question The question to display
+ * @param {number} timeout Time in ms after which `callback` will be called with `null`. Set to 0 to wait forever.
+ * @param {function(string|null): void} callback Called with the input
+ * @param {string} policyKey Key of this prompt in the headless policy. The answer `wait` waits for `stopReadInput()` to be called, for example by a plugin.
+ */
+Controller.prototype.logger.readInput = function(question, timeout, callback, policyKey) {
+    if (!headless) return logger.readInput(question, timeout, callback);
+
+    let answer = getPolicyAnswer(policyKey);
+
+    if (answer == undefined) return Controller.prototype.logger.headlessExit(`The prompt '${question.trim()}' needs an answer but '${policyKey}' is not set in your policy file or env vars!`);
+
+    if (answer == "wait") {
+        logger("info", `Headless mode: Waiting for an answer to '${question.trim()}' from a plugin or the Steam Chat...`);
+
+        pendingInput = { callback: callback, timeout: timeout > 0 ? setTimeout(() => { pendingInput = null; callback(null); }, timeout) : null };
+        return;
+    }
+
+    logger("info", `Headless mode: Answering '${question.trim()}' using '${policyKey}' from your policy...`); // Don't log the answer as it could be a passphrase
+
+    setImmediate(() => callback(answer)); // Keep behavior async like when reading from the terminal
+};
+
+
+/**
+ * Stops reading input and calls the callback of `readInput()` with the provided text
+ * @param {string} text The text to resolve `readInput()` with
+ */
+Controller.prototype.logger.stopReadInput = function(text) {
+    if (!headless) return logger.stopReadInput(text);
+
+    if (!pendingInput) return;
+
+    let { callback, timeout } = pendingInput;
+
+    pendingInput = null;
+    clearTimeout(timeout);
+
+    callback(text);
+};
+
+
+// Progress bars rewrite the last lines of the terminal
+if (headless) {
+    Controller.prototype.logger.setProgressBar      = () => {};
+    Controller.prototype.logger.increaseProgressBar = () => {};
+    Controller.prototype.logger.removeProgressBar   = () => {};
+    Controller.prototype.logger.getProgressBar      = () => null;
+}
+
 // Make our logger public so we can use it everywhere
 global.logger = Controller.prototype.logger;
 
@@ -95,7 +228,7 @@ Controller.prototype._loggerLogAfterReady = function() {
 
     logger("debug", `Controller logger: Logging ${logAfterReady.length} suppressed log messages...`);
 
-    logAfterReady.forEach(e => { logger(e[0], e[1], e[2], e[3], e[4], e[5]); }); // Log suppressed logs
+    logAfterReady.forEach(e => { log(e[0], e[1], e[2], e[3], e[4], e[5]); }); // Log suppressed logs
 
     logger("", "", true); // Log a newline to separate held back messages from other ready messages
 
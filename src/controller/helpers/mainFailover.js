@@ -0,0 +1,81 @@
+/*
+ * File: mainFailover.js
+ * Project: steam-comment-service-bot
+ * Created Date: 08.08.2023 16:02:15
+ * Author: 3urobeat
+ *
+ * Last Modified: 08.08.2023 16:48:09
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const Controller = require("../controller.js");
+const EStatus    = require("../../bot/EStatus.js");
+
+
+/**
+ * Gets all bot accounts in the order in which they should take over as the main account. Accounts set in `advancedconfig.mainFailoverOrder` come first, all others follow by their index.
+ * @param {Controller} controller The controller object
+ * @returns {Array.<Bot>} Array of bot instances
+ */
+function getFailoverOrder(controller) {
+    let order = controller.data.advancedconfig.mainFailoverOrder.map(e => controller.bots[e]).filter(e => e); // Ignore accounts which don't exist
+
+    let others = Object.values(controller.bots).filter(e => !order.includes(e)).sort((a, b) => a.index - b.index);
+
+    return order.concat(others);
+}
+
+
+/**
+ * Makes a bot account the main account and updates the games both accounts are playing
+ * @param {Controller} controller The controller object
+ * @param {Bot} bot The bot instance which should become the main account
+ */
+function setMain(controller, bot) {
+    let oldMain = controller.main;
+
+    controller.main = bot;
+
+    // The first assignment on startup is not a failover, the games are set by handleMissingGameLicenses() after this
+    if (!oldMain.user) return logger("debug", `Controller setMain(): Set bot${bot.index} as main account`);
+
+    logger("info", `[${bot.logPrefix}] Taking over as the main account from bot${oldMain.index}...`);
+
+    if (bot.status == EStatus.ONLINE && bot.user.steamID) bot.user.gamesPlayed(controller.data.config.playinggames);
+    if (oldMain.status == EStatus.ONLINE && oldMain.user.steamID) oldMain.user.gamesPlayed(controller.data.config.childaccplayinggames);
+}
+
+
+/**
+ * Internal: Checks if the main account is online and promotes or demotes accounts accordingly. The original main account (index 0) is always preferred. If it is not online, the first online account of the failover order takes over when `advancedconfig.enableMainFailover` is enabled. Called by the statusUpdate event.
+ */
+Controller.prototype._checkMainAccount = function() {
+    let originalMain = Object.values(this.bots).find(e => e.index == 0);
+
+    // Demote the current main account as soon as the original main account is back
+    if (originalMain && originalMain.status == EStatus.ONLINE) {
+        if (this.main != originalMain) setMain(this, originalMain);
+        return;
+    }
+
+    if (!this.data.advancedconfig.enableMainFailover) return;
+    if (this.main.status == EStatus.ONLINE && Object.values(this.bots).includes(this.main)) return; // Current main account is fine, don't switch around
+
+    let candidate = getFailoverOrder(this).find(e => e.status == EStatus.ONLINE);
+
+    if (!candidate) {
+        if (this.info.readyAfter != 0) logger("warn", "The main account went offline and no other account is online to take over! Chat commands won't be answered until an account is back online.");
+            else logger("debug", "Controller _checkMainAccount(): No account is online yet to take over as the main account");
+
+        return;
+    }
+
+    setMain(this, candidate);
+};
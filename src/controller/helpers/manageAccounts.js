@@ -0,0 +1,144 @@
+/*
+ * File: manageAccounts.js
+ * Project: steam-comment-service-bot
+ * Created Date: 06.08.2023 13:40:22
+ * Author: 3urobeat
+ *
+ * Last Modified: 06.08.2023 14:37:48
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const fs = require("fs");
+
+const Controller = require("../controller.js");
+const EStatus    = require("../../bot/EStatus.js");
+
+
+/**
+ * Compares the accounts in the accounts.txt or logininfo.json file with the currently loaded ones and adds or removes accounts accordingly
+ * @param {Controller} controller The controller object
+ */
+async function syncAccountsFromDisk(controller) {
+    let logininfo = await controller.data.importLogininfo().catch(() => null); // Errors have already been logged
+
+    if (!logininfo || Object.keys(logininfo).length == 0) return logger("warn", "Ignoring change of your accounts.txt or logininfo.json file because it doesn't contain any accounts!");
+
+    let added   = Object.keys(logininfo).filter(e => !controller.data.logininfo[e]);
+    let removed = Object.keys(controller.data.logininfo).filter(e => !logininfo[e]);
+
+    if (added.length == 0 && removed.length == 0) return logger("debug", "Controller syncAccountsFromDisk(): No accounts were added or removed");
+
+    logger("info", `Detected a change of your accounts! Adding ${added.length} and removing ${removed.length} account(s)...`);
+
+    // Don't write changes back to the disk as the user is probably still editing the file
+    removed.forEach((e) => controller.removeAccount(e, false));
+    added.forEach((e) => controller.addAccount(logininfo[e], false));
+}
+
+
+/**
+ * Adds a new bot account at runtime and logs it in
+ * @param {{ accountName: string, password: string, sharedSecret?: string, proxy?: string }} logOnOptions The login information of the new account. `proxy` is the optional name or index of the proxy this account should be pinned to.
+ * @param {boolean} [writeToDisk=true] If the account should be added to the accounts.txt or logininfo.json file
+ * @returns {boolean} `true` if the account was added, `false` if an account with this name already exists
+ */
+Controller.prototype.addAccount = function(logOnOptions, writeToDisk = true) {
+    if (this.data.logininfo[logOnOptions.accountName]) {
+        logger("warn", `Can't add bot account '${logOnOptions.accountName}' because it already exists!`);
+        return false;
+    }
+
+    logger("info", `Adding bot account '${logOnOptions.accountName}'...`);
+
+    this.data.logininfo[logOnOptions.accountName] = {
+        accountName: logOnOptions.accountName,
+        password: logOnOptions.password,
+        sharedSecret: logOnOptions.sharedSecret,
+        steamGuardCode: null,
+        machineName: `${this.data.datafile.mestr}'s Comment Bot`, // For steam-user
+        deviceFriendlyName: `${this.data.datafile.mestr}'s Comment Bot`, // For steam-session
+        proxy: logOnOptions.proxy || null
+    };
+
+    if (writeToDisk) this.data.writeLogininfoToDisk();
+
+    // Login will create a bot object for this account as none exists yet
+    this.login();
+
+    return true;
+};
+
+
+/**
+ * Logs off a bot account at runtime and removes it. The main account can't be removed.
+ * @param {string} accountName Name of the bot account
+ * @param {boolean} [writeToDisk=true] If the account should be removed from the accounts.txt or logininfo.json file
+ * @returns {boolean} `true` if the account was removed, `false` if it does not exist, is the main account or is currently processing a request
+ */
+Controller.prototype.removeAccount = function(accountName, writeToDisk = true) {
+    let bot = this.bots[accountName];
+
+    if (!this.data.logininfo[accountName]) {
+        logger("warn", `Can't remove bot account '${accountName}' because it does not exist!`);
+        return false;
+    }
+
+    if (bot && bot.index == 0) {
+        logger("warn", `Can't remove bot account '${accountName}' because it is the main account!`);
+        return false;
+    }
+
+    // Removing an account which is processing a request would break it, request loops expect the bot object to exist
+    if (Object.values(this.activeRequests).some(e => e.status == "active" && e.accounts.includes(accountName))) {
+        logger("warn", `Can't remove bot account '${accountName}' right now because it is processing a request!`);
+        return false;
+    }
+
+    logger("info", `Removing bot account '${accountName}'...`);
+
+    if (bot) {
+        bot._destroySteamInstances();
+
+        this._statusUpdateEvent(bot, EStatus.OFFLINE);
+
+        delete this.data.cachefile.botaccid[bot.index]; // Keep the indices of all other accounts intact
+        delete this.bots[accountName];
+    }
+
+    delete this.data.logininfo[accountName];
+
+    // Clean up the skip entry to allow adding this account again later
+    if (this.info.skippedaccounts.includes(accountName)) this.info.skippedaccounts.splice(this.info.skippedaccounts.indexOf(accountName), 1);
+
+    if (writeToDisk) this.data.writeLogininfoToDisk();
+
+    return true;
+};
+
+
+/**
+ * Internal: Watches the accounts.txt and logininfo.json files for changes and adds or removes accounts accordingly. Called by the ready event if `advancedconfig.watchAccountsFiles` is enabled.
+ */
+Controller.prototype._watchAccountsFiles = function() {
+    let syncTimeout;
+
+    [ "accounts.txt", "logininfo.json" ].forEach((e) => {
+        if (!fs.existsSync(srcdir + "/../" + e)) return;
+
+        logger("debug", `Controller _watchAccountsFiles(): Watching ${e} for changes...`);
+
+        fs.watch(srcdir + "/../" + e, () => {
+
+            // Wait a moment before reading the file as editors often write multiple times when saving
+            clearTimeout(syncTimeout);
+            syncTimeout = setTimeout(() => syncAccountsFromDisk(this), 2500);
+        });
+    });
+};
@@ -0,0 +1,123 @@
+/*
+ * File: persistActiveRequests.js
+ * Project: steam-comment-service-bot
+ * Created Date: 31.07.2023 17:48:36
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 15:31:44
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const Controller = require("../controller.js");
+
+
+/**
+ * Writes the current state of an activeRequests entry to the disk to be able to resume it after a restart or crash. Entries which are neither active nor interrupted anymore are removed from the disk.
+ * @param {string} id ID of the profile, group or sharedfile the request is for. This is the key of the entry in the activeRequests object
+ * @param {CommandHandler.resInfo} resInfo The resInfo object of the request. Only the properties required to respond after a restart are stored.
+ */
+Controller.prototype.saveActiveRequest = function(id, resInfo) {
+    let entry = this.activeRequests[id];
+
+    // Remove entry from the disk if the request is finished or was aborted
+    if (!entry || (entry.status != "active" && entry.status != "interrupted")) {
+        this.data.activeRequestsDB.remove({ id: id }, {}, (err) => {
+            if (err) logger("warn", `Failed to remove activeRequests entry for '${id}' from the disk! Error: ${err}`);
+        });
+        return;
+    }
+
+    // Create a copy of the entry and don't store the default quotes array for every request, comments will fall back to it anyway
+    let entryCopy = JSON.parse(JSON.stringify(entry));
+
+    if (entry.quotesArr == this.data.quotes) delete entryCopy.quotesArr;
+
+    // Only store the properties of resInfo we need to respond later on, the rest could be lost after a restart anyway
+    let doc = {
+        id: id,
+        entry: entryCopy,
+        resInfo: { cmdprefix: resInfo.cmdprefix, userID: resInfo.userID, ownerIDs: resInfo.ownerIDs, fromSteamChat: resInfo.fromSteamChat, botAccountName: resInfo.botAccountName }
+    };
+
+    this.data.activeRequestsDB.update({ id: id }, doc, { upsert: true }, (err) => {
+        if (err) logger("warn", `Failed to save activeRequests entry for '${id}' to the disk! Error: ${err}`);
+    });
+};
+
+
+/**
+ * Gets the command which is responsible for a request type and supports resuming
+ * @param {string} type Type of the activeRequests entry, for example "profileComment" or "upvote"
+ * @returns {object|undefined} The command object or `undefined` if no command for this type supports resuming
+ */
+Controller.prototype.getResumableCommand = function(type) {
+    let commandName = type.includes("Comment") ? "comment" : type; // All comment types are handled by the comment command
+
+    let thisCmd = this.commandHandler.commands.find(e => e.names.includes(commandName));
+
+    if (!thisCmd || !thisCmd.resume) return undefined;
+    return thisCmd;
+};
+
+
+/**
+ * Internal: Restores all requests which were interrupted by the last restart or crash. They are either resumed directly or marked as interrupted, depending on `advancedconfig.resumeInterruptedRequests`. Called by the ready event.
+ */
+Controller.prototype._restoreActiveRequests = function() {
+    this.data.activeRequestsDB.find({}, (err, docs) => {
+        if (err) return logger("error", "Failed to read activeRequests from the disk! Error: " + err);
+        if (docs.length == 0) return;
+
+        docs.forEach((e) => {
+            let entry     = e.entry;
+            let remaining = entry.amount - (entry.thisIteration + 1);
+            let thisCmd   = this.getResumableCommand(entry.type);
+
+            // Ignore entries which were already finished, are being processed again already or can't be resumed
+            if (remaining <= 0 || this.activeRequests[e.id] || !thisCmd) {
+                logger("debug", `Controller _restoreActiveRequests(): Ignoring activeRequests entry for '${e.id}' as it is either finished, active or can't be resumed`);
+                this.data.activeRequestsDB.remove({ id: e.id }, {});
+                return;
+            }
+
+            // Respond through the bot account which received the command if the request was made from the Steam Chat, otherwise only log responses
+            let context       = this.getResponderBot(e.resInfo);
+            let respondModule = context.sendChatMessage;
+
+            if (!e.resInfo.fromSteamChat) {
+                respondModule = (context, resInfo, txt) => logger("info", `Response to interrupted ${entry.type} request for '${e.id}': ${txt}`);
+                context = this;
+            }
+
+            this.activeRequests[e.id] = entry;
+
+            if (this.data.advancedconfig.resumeInterruptedRequests) {
+                logger("info", `Resuming interrupted ${entry.type} request by ${entry.requestedby} for '${e.id}' with ${remaining} remaining iteration(s)...`);
+
+                // Update the estimated time the request will take
+                entry.status = "active";
+                entry.until  = Date.now() + ((remaining - 1) * this.data.config.commentdelay);
+
+                respondModule(context, e.resInfo, this.data.lang.requestresumed.replace("remaining", remaining).replace("totalAmount", entry.amount));
+                thisCmd.resume(this.commandHandler, e.id, respondModule, context, e.resInfo);
+            } else {
+                logger("info", `Found interrupted ${entry.type} request by ${entry.requestedby} for '${e.id}' with ${remaining} remaining iteration(s). It can be resumed using the resume command.`);
+
+                // The remaining iterations won't be processed until the request is resumed, so don't block its accounts any longer than the iterations which already ran
+                entry.status = "interrupted";
+                entry.until  = Math.min(entry.until, Date.now());
+
+                this.saveActiveRequest(e.id, e.resInfo);
+
+                respondModule(context, e.resInfo, this.data.lang.requestinterrupted.replace("remaining", remaining).replace("totalAmount", entry.amount).replace(/cmdprefix/g, e.resInfo.cmdprefix).replace("requestid", e.id));
+            }
+        });
+    });
+};
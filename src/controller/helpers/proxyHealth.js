@@ -0,0 +1,124 @@
+/*
+ * File: proxyHealth.js
+ * Project: steam-comment-service-bot
+ * Created Date: 05.08.2023 11:37:09
+ * Author: 3urobeat
+ *
+ * Last Modified: 05.08.2023 16:08:53
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const request = require("request"); // Yes I know, the library is deprecated but steamcommunity uses it as well so it is being used anyway
+
+const Controller = require("../controller.js");
+const EStatus    = require("../../bot/EStatus.js");
+
+
+let checkRunning = false; // Prevents overlapping checks should checking all proxies take longer than the interval
+
+
+/**
+ * Measures the time a proxy takes to reach Steam
+ * @param {object} proxyOptions The request options of the proxy to check, returned by `DataManager.getProxyOptions()`
+ * @returns {Promise.<{ latency: number, statusCode: number }|null>} Resolves with the latency in ms and the returned status code or `null` if Steam could not be reached
+ */
+function pingProxy(proxyOptions) {
+    return new Promise((resolve) => {
+        let start = Date.now();
+
+        request({ method: "HEAD", url: "https://steamcommunity.com", timeout: 15000, ...proxyOptions }, (err, res) => {
+            if (err || res.statusCode >= 500) return resolve(null);
+
+            resolve({ latency: Date.now() - start, statusCode: res.statusCode });
+        });
+    });
+}
+
+
+/**
+ * Internal: Checks the latency of every proxy, updates their health records and moves the accounts of proxies which stayed unhealthy to healthy ones. Called periodically after the ready event.
+ */
+Controller.prototype._checkProxyHealth = async function() {
+    if (checkRunning) return logger("debug", "Controller _checkProxyHealth(): Last check is still running, skipping this one...");
+
+    checkRunning = true;
+
+    logger("debug", `Controller _checkProxyHealth(): Checking ${this.data.proxies.length} proxies...`);
+
+    // Check proxies one after another to not send a burst of requests
+    for (let i = 0; i < this.data.proxies.length; i++) {
+        let result = await pingProxy(this.data.getProxyOptions(this.data.proxies[i]).request);
+
+        if (result && result.statusCode == 429) this.data.recordProxyError(i, "rateLimit");
+
+        let healthy = this.data.recordProxyCheck(i, result ? result.latency : null);
+
+        if (!healthy) logger("debug", `Controller _checkProxyHealth(): Proxy ${i} failed its health check (${this.data.proxyHealth[i].unhealthyChecks} in a row)`);
+    }
+
+    checkRunning = false;
+
+    // Move accounts away from proxies which stayed unhealthy. A value of 0 disables reassigning
+    let reassignAfter = this.data.advancedconfig.proxyReassignAfterChecks;
+
+    if (reassignAfter == 0) return;
+
+    this.data.proxies.forEach((e, i) => {
+        let record = this.data.proxyHealth[i];
+
+        if (record.unhealthyChecks < reassignAfter) return;
+
+        let moved = this.reassignProxyAccounts(i);
+
+        if (moved > 0) logger("warn", `Proxy ${i} failed ${record.unhealthyChecks} health checks in a row! Moved ${moved} account(s) to healthy proxies.`);
+    });
+};
+
+
+/**
+ * Moves all bot accounts of a proxy to the healthy proxies with the least accounts. Accounts which are pinned to a proxy or are currently processing a request are skipped.
+ * @param {number} proxyIndex Index of the proxy in the proxies array
+ * @returns {number} Amount of accounts which were moved
+ */
+Controller.prototype.reassignProxyAccounts = function(proxyIndex) {
+    let proxies        = this.getBotsPerProxy([EStatus.ONLINE, EStatus.OFFLINE]);
+    let healthyProxies = proxies.filter(e => e.proxyIndex != proxyIndex && this.data.isProxyHealthy(e.proxyIndex));
+
+    if (!proxies[proxyIndex] || proxies[proxyIndex].bots.length == 0) return 0;
+
+    if (healthyProxies.length == 0) {
+        logger("warn", `Can't move the accounts of unhealthy proxy ${proxyIndex} because no other proxy is healthy right now!`);
+        return 0;
+    }
+
+    let moved = 0;
+
+    proxies[proxyIndex].bots.forEach((e) => {
+        let accountName = e.loginData.logOnOptions.accountName;
+
+        // Accounts which were pinned to this proxy by the user should stay on it
+        if (e.loginData.logOnOptions.proxy) return logger("debug", `Controller reassignProxyAccounts(): Not moving bot${e.index} because it is pinned to a proxy`);
+
+        // Don't interrupt requests which are being processed, the account will be moved by the next check
+        if (Object.values(this.activeRequests).some(f => f.status == "active" && f.accounts.includes(accountName))) {
+            return logger("debug", `Controller reassignProxyAccounts(): Not moving bot${e.index} yet because it is processing a request`);
+        }
+
+        // Pick the healthy proxy with the least accounts
+        let target = healthyProxies.sort((a, b) => a.bots.length - b.bots.length)[0];
+
+        target.bots.push(e);
+        e.switchProxy(target.proxyIndex);
+
+        moved++;
+    });
+
+    return moved;
+};
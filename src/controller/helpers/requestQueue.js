@@ -0,0 +1,163 @@
+/*
+ * File: requestQueue.js
+ * Project: steam-comment-service-bot
+ * Created Date: 27.07.2023 18:42:10
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 15:02:18
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const Controller = require("../controller.js");
+const { getAvailableBotsForCommenting } = require("../../commands/helpers/getCommentBots.js");
+const { timeToString } = require("./misc.js");
+
+
+// Stores respondModule & context of every request queued during this runtime. Requests restored from the database after a restart have lost theirs and will respond through the main bot account instead
+let queueResponders = {};
+
+// Prevents the request queue from being processed multiple times at once if processing takes longer than the interval
+let processingQueue = false;
+
+
+/**
+ * Adds a request which can't be fulfilled right now because of bot account cooldowns to the persistent request queue
+ * @param {{ command: string, args: Array, resInfo: object, receiver: string, idType: string, amount: number }} request Information about the request. `command` and `args` will be used to run the command again once enough accounts are available.
+ * @param {function(object, object, string): void} respondModule Function that will be called to respond to the user's request. Passes context, resInfo and txt as parameters.
+ * @param {object} context The context (this.) of the object calling this command. Will be passed to respondModule() as first parameter.
+ * @returns {Promise.<number|null>} Resolves with the position of this request in the queue or `null` if the request could not be queued
+ */
+Controller.prototype.addRequestToQueue = function(request, respondModule, context) {
+    return new Promise((resolve) => {
+
+        let doc = {
+            command: request.command,
+            args: request.args,
+            resInfo: request.resInfo,
+            requestedby: request.resInfo.userID,
+            receiver: request.receiver,
+            idType: request.idType,
+            amount: request.amount,
+            queuedAt: request.resInfo.queuedAt || Date.now() // Keep the original position of requests which had to be queued again
+        };
+
+        this.data.requestQueueDB.insert(doc, async (err, newDoc) => {
+            if (err) {
+                logger("error", `Failed to add request for '${request.receiver}' to the request queue! Error: ${err}`);
+                return resolve(null);
+            }
+
+            queueResponders[newDoc._id] = { respondModule: respondModule, context: context };
+
+            // Get position of this request
+            let queue = await this.getRequestQueue();
+
+            resolve(queue.findIndex(e => e._id == newDoc._id) + 1);
+        });
+
+    });
+};
+
+
+/**
+ * Gets all requests that are currently waiting in the request queue
+ * @returns {Promise.<Array.<{ _id: string, command: string, args: Array, resInfo: object, requestedby: string, receiver: string, idType: string, amount: number, queuedAt: number }>>} Resolves with all queued requests, sorted from oldest to newest
+ */
+Controller.prototype.getRequestQueue = function() {
+    return new Promise((resolve) => {
+
+        this.data.requestQueueDB.find({}).sort({ queuedAt: 1 }).exec((err, docs) => {
+            if (err) {
+                logger("error", "Failed to read the request queue! Error: " + err);
+                return resolve([]);
+            }
+
+            resolve(docs);
+        });
+
+    });
+};
+
+
+/**
+ * Removes a request from the request queue
+ * @param {string} receiver ID of the profile, group or sharedfile the queued request is for
+ * @returns {Promise.<boolean>} Resolves with `true` if a request was removed and `false` if no request was queued for this ID
+ */
+Controller.prototype.removeRequestFromQueue = function(receiver) {
+    return new Promise((resolve) => {
+
+        this.data.requestQueueDB.findOne({ receiver: receiver }, (err, doc) => {
+            if (err) logger("error", `Failed to search request queue for '${receiver}'! Error: ${err}`);
+            if (!doc) return resolve(false);
+
+            this.data.requestQueueDB.remove({ _id: doc._id }, {}, (err, numRemoved) => {
+                if (err) {
+                    logger("error", `Failed to remove request for '${receiver}' from the request queue! Error: ${err}`);
+                    return resolve(false);
+                }
+
+                if (numRemoved == 0) return resolve(false); // Request has already been removed in the meantime
+
+                delete queueResponders[doc._id];
+                resolve(true);
+            });
+        });
+
+    });
+};
+
+
+/**
+ * Internal: Starts the oldest queued request if enough bot accounts have become available. Called periodically after the ready event.
+ */
+Controller.prototype._processRequestQueue = async function() {
+    if (this.info.activeLogin || processingQueue) return; // Wait for the relog or the last run to finish
+
+    processingQueue = true;
+
+    try {
+        let queue = await this.getRequestQueue();
+        if (queue.length == 0) return;
+
+        let request = queue[0]; // Only process the oldest request to prevent newer requests from overtaking older ones which need more accounts
+
+        // Check if enough accounts are available now, using the allocation strategy the request was made with
+        let strategyArg = request.args.find(e => String(e).toLowerCase().startsWith("strategy="));
+
+        let { accsNeeded, availableAccounts } = getAvailableBotsForCommenting(this.commandHandler, request.amount, request.idType != "group", request.idType, request.receiver, strategyArg ? strategyArg.split("=")[1] : null);
+
+        if (availableAccounts.length < accsNeeded) return logger("debug", `Controller _processRequestQueue(): Oldest queued request for '${request.receiver}' still needs ${accsNeeded - availableAccounts.length} more account(s). Waiting...`);
+
+
+        // Get the respondModule of this request or fall back to the bot account which received it/log if the request was restored after a restart
+        let responder = queueResponders[request._id];
+
+        if (!responder) {
+            let bot = this.getResponderBot(request.resInfo);
+
+            if (request.resInfo.fromSteamChat) responder = { respondModule: bot.sendChatMessage, context: bot };
+                else responder = { respondModule: (context, resInfo, txt) => logger("info", `Response to queued request for '${request.receiver}': ${txt}`), context: this };
+        }
+
+        // Remove request from queue before running it again so that the command won't detect it as already queued. Don't run it if it has been removed in the meantime, for example by the abort command
+        if (!await this.removeRequestFromQueue(request.receiver)) return logger("debug", `Controller _processRequestQueue(): Queued request for '${request.receiver}' has already been removed. Skipping...`);
+
+        logger("info", `Starting queued ${request.command} request by ${request.requestedby} for '${request.receiver}' which has waited ${timeToString(request.queuedAt)}...`);
+        responder.respondModule(responder.context, request.resInfo, this.data.lang.requestqueuestarting);
+
+        // The user already went through all cooldowns when the request was queued. Pass queuedAt to keep the position if the request has to be queued again because accounts became unavailable in the meantime
+        this.commandHandler.runCommand(request.command, request.args, responder.respondModule, responder.context, { ...request.resInfo, skipCooldowns: true, queuedAt: request.queuedAt });
+    } catch (err) {
+        logger("error", "Failed to process the request queue! Error: " + err);
+    } finally {
+        processingQueue = false;
+    }
+};
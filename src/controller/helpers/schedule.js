@@ -0,0 +1,178 @@
+/*
+ * File: schedule.js
+ * Project: steam-comment-service-bot
+ * Created Date: 29.07.2023 14:03:27
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 11:36:50
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const Controller = require("../controller.js");
+
+
+const weekdays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]; // Ordered to match Date.getDay()
+
+
+/**
+ * Calculates the timestamp of the next run of a schedule
+ * @param {string} when "once", "daily", a weekday like "sunday" or a date in the format DD.MM.YYYY
+ * @param {string} time Time of day in the format HH:MM
+ * @param {number} after Timestamp after which the next run should take place
+ * @returns {number|null} Timestamp of the next run or `null` if `when` or `time` is invalid
+ */
+function getNextRun(when, time, after) {
+    if (!/^\d{1,2}:\d{2}$/.test(time)) return null;
+
+    let [ hours, minutes ] = time.split(":").map(Number);
+    if (hours > 23 || minutes > 59) return null;
+
+    let date = new Date(after);
+    date.setHours(hours, minutes, 0, 0);
+
+    // Handle one-off schedules on a specific date
+    if (/^\d{1,2}\.\d{1,2}\.\d{4}$/.test(when)) {
+        let [ day, month, year ] = when.split(".").map(Number);
+
+        date = new Date(year, month - 1, day, hours, minutes, 0, 0);
+
+        if (date.getDate() != day) return null; // Date rolled over, e.g. 31.02.
+        return date.getTime();
+    }
+
+    if (when != "once" && when != "daily" && !weekdays.includes(when)) return null;
+
+    // Get the next occurrence of this time of day and skip forward to the correct weekday for weekly schedules
+    if (date.getTime() <= after) date.setDate(date.getDate() + 1);
+
+    if (weekdays.includes(when)) {
+        while (date.getDay() != weekdays.indexOf(when)) date.setDate(date.getDate() + 1);
+    }
+
+    return date.getTime();
+}
+
+
+/**
+ * Adds a new comment request to the schedule
+ * @param {{ when: string, time: string, args: Array, resInfo: object }} schedule When and with which arguments the comment command should run. `when` can be "once", "daily", a weekday like "sunday" or a date in the format DD.MM.YYYY. `time` must be in the format HH:MM.
+ * @returns {Promise.<object|null>} Resolves with the inserted schedule document or `null` if the schedule is invalid or could not be saved
+ */
+Controller.prototype.addSchedule = function(schedule) {
+    return new Promise((resolve) => {
+
+        let nextRun = getNextRun(schedule.when, schedule.time, Date.now());
+
+        if (!nextRun || nextRun <= Date.now()) return resolve(null);
+
+        let doc = {
+            when: schedule.when,
+            time: schedule.time,
+            command: "comment",
+            args: schedule.args,
+            resInfo: schedule.resInfo,
+            requestedby: schedule.resInfo.userID,
+            nextRun: nextRun,
+            createdAt: Date.now()
+        };
+
+        this.data.scheduleDB.insert(doc, (err, newDoc) => {
+            if (err) {
+                logger("error", "Failed to add schedule to the database! Error: " + err);
+                return resolve(null);
+            }
+
+            logger("info", `Scheduled '${doc.command} ${doc.args.join(" ")}' by ${doc.requestedby} (${doc.when} at ${doc.time}).`);
+            resolve(newDoc);
+        });
+
+    });
+};
+
+
+/**
+ * Gets all schedules
+ * @returns {Promise.<Array.<{ _id: string, when: string, time: string, command: string, args: Array, resInfo: object, requestedby: string, nextRun: number, createdAt: number }>>} Resolves with all schedules, sorted from oldest to newest
+ */
+Controller.prototype.getSchedules = function() {
+    return new Promise((resolve) => {
+
+        this.data.scheduleDB.find({}).sort({ createdAt: 1 }).exec((err, docs) => {
+            if (err) {
+                logger("error", "Failed to read the schedule database! Error: " + err);
+                return resolve([]);
+            }
+
+            resolve(docs);
+        });
+
+    });
+};
+
+
+/**
+ * Removes a schedule
+ * @param {string} id The `_id` of the schedule document to remove
+ * @returns {Promise.<boolean>} Resolves with `true` if the schedule was removed and `false` otherwise
+ */
+Controller.prototype.removeSchedule = function(id) {
+    return new Promise((resolve) => {
+
+        this.data.scheduleDB.remove({ _id: id }, {}, (err, numRemoved) => {
+            if (err) logger("error", `Failed to remove schedule '${id}' from the database! Error: ${err}`);
+
+            resolve(numRemoved > 0);
+        });
+
+    });
+};
+
+
+/**
+ * Internal: Runs all schedules which are due and calculates their next run. Schedules which were missed because the bot was offline are caught up or skipped, depending on `advancedconfig.catchUpMissedSchedules`. Called periodically after the ready event.
+ */
+Controller.prototype._processSchedules = function() {
+    if (this.info.activeLogin) return; // Wait for the relog to finish, the schedule will run afterwards
+
+    this.data.scheduleDB.find({ nextRun: { $lte: Date.now() } }, (err, docs) => {
+        if (err) return logger("error", "Failed to read the schedule database! Error: " + err);
+
+        docs.forEach((e) => {
+            let missed = Date.now() - e.nextRun > 300000; // Consider this run as missed if it is more than 5 minutes overdue, which means the bot was offline
+
+            // Respond through the bot account which received the command if the schedule was created from the Steam Chat, otherwise only log responses
+            let context       = this.getResponderBot(e.resInfo);
+            let respondModule = context.sendChatMessage;
+
+            if (!e.resInfo.fromSteamChat) {
+                respondModule = (context, resInfo, txt) => logger("info", `Response to scheduled request '${e.command} ${e.args.join(" ")}': ${txt}`);
+                context = this;
+            }
+
+            if (missed && !this.data.advancedconfig.catchUpMissedSchedules) {
+                logger("info", `Skipping missed run of scheduled request '${e.command} ${e.args.join(" ")}' by ${e.requestedby} from ${new Date(e.nextRun).toLocaleString()}.`);
+            } else {
+                logger("info", `Running ${missed ? "missed " : ""}scheduled request '${e.command} ${e.args.join(" ")}' by ${e.requestedby}...`);
+
+                respondModule(context, e.resInfo, this.data.lang.schedulerequeststarting.replace("schedulecmd", `${e.command} ${e.args.join(" ")}`));
+                this.commandHandler.runCommand(e.command, [ ...e.args ], respondModule, context, { ...e.resInfo, skipCooldowns: true }); // Pass a copy of args as commands might modify them
+            }
+
+            // Remove one-off schedules and calculate the next run of recurring ones
+            if (e.when == "once" || /^\d{1,2}\.\d{1,2}\.\d{4}$/.test(e.when)) {
+                this.removeSchedule(e._id);
+            } else {
+                this.data.scheduleDB.update({ _id: e._id }, { $set: { nextRun: getNextRun(e.when, e.time, Date.now()) } }, {}, (err) => {
+                    if (err) logger("error", `Failed to update next run of schedule '${e._id}'! Error: ${err}`);
+                });
+            }
+        });
+    });
+};
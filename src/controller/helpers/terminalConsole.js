@@ -0,0 +1,89 @@
+/*
+ * File: terminalConsole.js
+ * Project: steam-comment-service-bot
+ * Created Date: 09.08.2023 14:10:42
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 16:38:02
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const readline = require("readline");
+
+const Controller = require("../controller.js");
+
+
+const consoleUserID = "console"; // Unique userID of the terminal which does not clash with steamID64s, see creating_plugins.md
+
+let rl = null; // Our readline interface, closed while another prompt reads from the terminal
+
+
+/**
+ * Our commandHandler respondModule implementation for the terminal - Logs the response
+ * @param {Controller} _this The Controller object context
+ * @param {import("../../commands/commandHandler").resInfo} resInfo Object containing additional information
+ * @param {string} txt The text to log
+ */
+function respond(_this, resInfo, txt) {
+    logger("info", `${logger.colors.fgcyan}[Console]${logger.colors.reset} ${txt}`, false, false, null, true); // Force print this message now
+}
+
+
+/**
+ * Creates the readline interface and runs every line entered as a command
+ * @param {Controller} controller The controller object
+ */
+function openInterface(controller) {
+    rl = readline.createInterface({ input: process.stdin, terminal: false }); // Don't let readline rewrite the current line as log messages and animations are printed there as well
+
+    rl.on("line", (line) => {
+        line = line.trim();
+
+        if (line.length == 0) return;
+
+        logger("debug", `Controller terminalConsole: Running '${controller.commandHandler.censorMessage(line.replace(/^!/, ""), "")}' from the terminal`);
+
+        let cont = line.replace(/^!/, "").split(" "); // Allow but don't require the prefix known from the Steam Chat
+        let args = cont.slice(1);
+
+        let success = controller.commandHandler.runCommand(cont[0].toLowerCase(), args, respond, controller, { userID: consoleUserID, ownerIDs: [ consoleUserID ], fromTerminal: true });
+
+        if (!success) respond(controller, {}, controller.data.lang.commandnotfound.replace(/cmdprefix/g, ""));
+    });
+}
+
+
+/**
+ * Internal: Reads commands from the terminal and runs them with owner privileges. Called by the ready event if `advancedconfig.enableTerminalConsole` is enabled.
+ */
+Controller.prototype._attachTerminalConsole = function() {
+    if (rl) return; // Already attached
+
+    if (logger.isHeadless() || !process.stdin.isTTY) return logger("debug", "Controller _attachTerminalConsole(): No terminal attached, not reading commands from it");
+
+    // Give other prompts, like the Steam Guard Code input on a relog, exclusive access to the terminal and take it back afterwards
+    let readInput = logger.readInput;
+
+    logger.readInput = (question, timeout, callback, policyKey) => {
+        if (rl) {
+            rl.close();
+            rl = null;
+        }
+
+        readInput(question, timeout, (text) => {
+            if (!rl) openInterface(this);
+            callback(text);
+        }, policyKey);
+    };
+
+    openInterface(this);
+
+    logger("info", "You can now type commands into this terminal, for example 'help'. They are executed with owner privileges.", false, false, null, true);
+};
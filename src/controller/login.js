@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 23.07.2023 13:50:31
+ * Last Modified: 08.08.2023 16:48:09
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -110,7 +110,12 @@ Controller.prototype.login = function(firstLogin) {
             if (!this.bots[k.accountName]) {
                 logger("info", `Creating new bot object for ${k.accountName}...`, false, true, logger.animation("loading"));
 
-                this.bots[k.accountName] = new Bot(this, Object.keys(this.data.logininfo).indexOf(k.accountName)); // Create a new bot object for this account and store a reference to it
+                let index = Object.keys(this.data.logininfo).indexOf(k.accountName);
+
+                // Use the next free index if this one is already taken, which can happen when accounts were removed at runtime
+                if (Object.values(this.bots).some(e => e.index == index)) index = Math.max(...Object.values(this.bots).map(e => e.index)) + 1;
+
+                this.bots[k.accountName] = new Bot(this, index, k.accountName); // Create a new bot object for this account and store a reference to it
             } else {
                 logger("debug", `Found existing bot object for ${k.accountName}! Reusing it...`, false, true, logger.animation("loading"));
             }
@@ -144,9 +149,6 @@ Controller.prototype.login = function(firstLogin) {
                 clearInterval(accIsOnlineInterval);
                 this.info.lastLoginTimestamp = Date.now();
 
-                // Populate this.main if we just logged in the first account
-                if (Object.keys(this.bots)[0] == k.accountName) this.main = thisbot;
-
                 logger("debug", `Controller login(): bot${this.bots[k.accountName].index} changed status from OFFLINE to ${Bot.EStatus[thisbot.status]}! Continuing with next account...`);
 
                 // Check for last iteration, call again and emit ready event
@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 26.07.2023 15:43:26
+ * Last Modified: 05.08.2023 16:08:53
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -119,6 +119,21 @@ DataManager.prototype.checkData = function() {
         }
 
 
+        // Check proxies for invalid URLs or credentials and accounts for pinned proxies which don't exist
+        for (let i = 0; i < this.proxies.length; i++) {
+            let reason = this.validateProxy(this.proxies[i]);
+
+            if (reason) {
+                logWarn("error", `${logger.colors.fgred}The proxy '${this.proxies[i]}' in proxies.txt is invalid: ${reason}. Aborting...`, true);
+                return reject(new Error("Invalid proxy found!"));
+            }
+        }
+
+        Object.values(this.logininfo).filter(e => e.proxy && this.getProxyIndexByName(e.proxy) == -1).forEach((e) => {
+            logWarn("warn", `Bot account '${e.accountName}' is pinned to the proxy '${e.proxy}' but no proxy with this name exists in proxies.txt! It will be spread over all proxies like every other account.`, true);
+        });
+
+
         // Check language for too long strings and display warning. This will of course not catch replacements that happen at runtime but it's better than nothing
         Object.keys(this.lang).forEach((e) => {
             let val = this.lang[e];
@@ -4,7 +4,7 @@
  * Created Date: 04.07.2023 21:29:42
  * Author: 3urobeat
  *
- * Last Modified: 24.07.2023 19:43:58
+ * Last Modified: 11.08.2023 16:04:27
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -40,7 +40,10 @@ DataManager.prototype.writeAllFilesToDisk = function() {
 DataManager.prototype.writeCachefileToDisk = function() {
     logger("debug", "DataManager dataExport: Writing to cache.json...");
 
-    fs.writeFile("./src/data/cache.json", JSON.stringify(this.cachefile, null, 4), (err) => {
+    // Don't write the empty slots of accounts which were removed at runtime, they would end up as null values
+    let cachefile = { ...this.cachefile, botaccid: this.cachefile.botaccid && this.cachefile.botaccid.filter(e => e) };
+
+    fs.writeFile("./src/data/cache.json", JSON.stringify(cachefile, null, 4), (err) => {
         if (err) logger("error", "DataManager: Error writing cachefile to cache.json: " + err);
     });
 };
@@ -107,14 +110,27 @@ DataManager.prototype.writeAdvancedconfigToDisk = function() {
  */
 DataManager.prototype.writeLogininfoToDisk = function() {
 
+    // Iterate over bots instead of logininfo to retain a changed bots hierarchy and append accounts which were added at runtime but don't have a bot object yet
+    let accounts  = this.controller.getBots("*").map(e => ({ index: e.index, logOnOptions: e.loginData.logOnOptions }));
+    let nextIndex = Math.max(-1, ...accounts.map(e => e.index)) + 1;
+
+    Object.values(this.logininfo).filter(e => !this.controller.bots[e.accountName]).forEach(e => accounts.push({ index: nextIndex++, logOnOptions: e }));
+
+    // Don't write shared secrets which were imported from a maFile to disk
+    accounts.forEach((e) => {
+        if (e.logOnOptions.maFile) e.logOnOptions = { ...e.logOnOptions, sharedSecret: null };
+    });
+
     if (fs.existsSync(srcdir + "/../logininfo.json")) {
         logger("debug", "DataManager dataExport: Writing to logininfo.json...");
 
         let logininfojson = {};
 
-        // Re-Construct logininfo object. Iterate over bots instead of logininfo to retain a changed bots hierarchy
-        for (let e of this.controller.getBots("*")) {
-            logininfojson[`bot${e.index}`] = [ e.loginData.logOnOptions.accountName, e.loginData.logOnOptions.password, e.loginData.logOnOptions.sharedSecret ];
+        // Re-Construct logininfo object
+        for (let e of accounts) {
+            logininfojson[`bot${e.index}`] = [ e.logOnOptions.accountName, e.logOnOptions.password, e.logOnOptions.sharedSecret ];
+
+            if (e.logOnOptions.proxy) logininfojson[`bot${e.index}`].push(e.logOnOptions.proxy); // Retain pinned proxy
         }
 
         // Get arrays on one line
@@ -127,7 +143,7 @@ DataManager.prototype.writeLogininfoToDisk = function() {
             .replace(/\\"/g, '"')
             .replace(/""/g, '""');
 
-        fs.writeFile(srcdir + "/../logininfo.json", stringifiedlogininfo, (err) => {
+        fs.writeFile(srcdir + "/../logininfo.json", this.encryptString(stringifiedlogininfo), (err) => { // Returns the content unchanged if encryption is disabled
             if (err) logger("error", "DataManager: Error writing logininfo to logininfo.json: " + err);
         });
     }
@@ -137,13 +153,14 @@ DataManager.prototype.writeLogininfoToDisk = function() {
 
         let accountstxt = [ "//Comment: This file is used to provide your bot accounts in the form of username:password. Read the instructions here: https://github.com/3urobeat/steam-comment-service-bot#accounts" ]; // Re-add comment
 
-        // Re-construct accounts.txt string. Iterate over bots instead of logininfo to retain a changed bots hierarchy
-        for (let e of this.controller.getBots("*")) {
-            if (e.loginData.logOnOptions.sharedSecret) accountstxt.push(`${e.loginData.logOnOptions.accountName}:${e.loginData.logOnOptions.password}:${e.loginData.logOnOptions.sharedSecret}`);
-                else accountstxt.push(`${e.loginData.logOnOptions.accountName}:${e.loginData.logOnOptions.password}`);
+        // Re-construct accounts.txt string
+        for (let e of accounts) {
+            if (e.logOnOptions.proxy) accountstxt.push(`${e.logOnOptions.accountName}:${e.logOnOptions.password}:${e.logOnOptions.sharedSecret || ""}:${e.logOnOptions.proxy}`); // Retain pinned proxy
+                else if (e.logOnOptions.sharedSecret) accountstxt.push(`${e.logOnOptions.accountName}:${e.logOnOptions.password}:${e.logOnOptions.sharedSecret}`);
+                else accountstxt.push(`${e.logOnOptions.accountName}:${e.logOnOptions.password}`);
         }
 
-        fs.writeFile(srcdir + "/../accounts.txt", accountstxt.join("\n"), (err) => {
+        fs.writeFile(srcdir + "/../accounts.txt", this.encryptString(accountstxt.join("\n")), (err) => { // Returns the content unchanged if encryption is disabled
             if (err) logger("error", "DataManager: Error writing accounts to accounts.txt: " + err);
         });
     }
@@ -159,7 +176,10 @@ DataManager.prototype.writeProxiesToDisk = function() {
 
     let comment = "//Comment: This file is used to provide proxies to spread your accounts over multiple IPs. Read the instructions here: https://github.com/3urobeat/steam-comment-service-bot/blob/master/docs/wiki/adding_proxies.md";
 
-    fs.writeFile(srcdir + "/../proxies.txt", comment + this.proxies.join("\n"), (err) => {
+    // Re-add names of proxies and don't write the local IP as it is added by useLocalIP
+    let proxies = this.proxies.map((e, i) => (this.proxyNames[i] ? `${this.proxyNames[i]} ${e}` : e)).filter(e => e != null);
+
+    fs.writeFile(srcdir + "/../proxies.txt", [ comment, ...proxies ].join("\n"), (err) => {
         if (err) logger("error", "DataManager: Error writing proxies to proxies.txt: " + err);
     });
 };
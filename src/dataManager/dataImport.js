@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 26.07.2023 17:07:58
+ * Last Modified: 11.08.2023 14:20:53
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -138,68 +138,9 @@ DataManager.prototype._importFromDisk = async function () {
 
     function loadLoginInfo() {
         return new Promise((resolve) => {
-            let logininfo = {};
-
-            // Check accounts.txt first so we can ignore potential syntax errors in logininfo
-            if (fs.existsSync("./accounts.txt")) {
-                let data = fs.readFileSync("./accounts.txt", "utf8").split("\n");
-
-                if (data.length > 0 && data[0].startsWith("//Comment")) data = data.slice(1); // Remove comment from array
-
-                if (data != "") {
-                    logininfo = {}; // Set empty object
-                    data.forEach((e) => {
-                        if (e.length < 2) return; // If the line is empty ignore it to avoid issues like this: https://github.com/3urobeat/steam-comment-service-bot/issues/80
-                        e = e.split(":");
-                        e[e.length - 1] = e[e.length - 1].replace("\r", ""); // Remove Windows next line character from last index (which has to be the end of the line)
-
-                        // Format logininfo object and use accountName as key to allow the order to change
-                        logininfo[e[0]] = {
-                            accountName: e[0],
-                            password: e[1],
-                            sharedSecret: e[2],
-                            steamGuardCode: null,
-                            machineName: `${_this.datafile.mestr}'s Comment Bot`, // For steam-user
-                            deviceFriendlyName: `${_this.datafile.mestr}'s Comment Bot`, // For steam-session
-                        };
-                    });
-
-                    logger("info", `Found ${Object.keys(logininfo).length} accounts in accounts.txt, not checking for logininfo.json...`, false, true, logger.animation("loading"));
-
-                    return resolve(logininfo);
-                }
-            }
-
-            // Check logininfo for Syntax errors and display custom error message
-            try {
-                // Only check if file exists (it is not shipped by default anymore since 2.12.1). If it doesn't an empty obj will be returned, leading to empty logininfo err msg in checkData()
-                if (fs.existsSync("./logininfo.json")) {
-                    delete require.cache[require.resolve(srcdir + "/../logininfo.json")]; // Delete cache to enable reloading data
-
-                    logininfo = require(srcdir + "/../logininfo.json");
-
-                    // Reformat to use new logininfo object structure and use accountName as key instead of bot0 etc to allow the order to change
-                    Object.keys(logininfo).forEach((k) => {
-                        logininfo[logininfo[k][0]] = {
-                            accountName: logininfo[k][0],
-                            password: logininfo[k][1],
-                            sharedSecret: logininfo[k][2],
-                            steamGuardCode: null,
-                            machineName: `${_this.datafile.mestr}'s Comment Bot`, // For steam-user
-                            deviceFriendlyName: `${_this.datafile.mestr}'s Comment Bot`, // For steam-session
-                        };
-
-                        delete logininfo[k]; // Remove old entry
-                    });
-                }
-
-                logger("info", `Found ${Object.keys(logininfo).length} accounts in logininfo.json...`, false, true, logger.animation("loading"));
-
-                resolve(logininfo);
-            } catch (err) {
-                logger("error", "It seems like you made a mistake in your logininfo.json. Please check if your Syntax looks exactly like in the example/template and try again.\n        " + err, true);
-                return _this.controller.stop();
-            }
+            _this.importLogininfo()
+                .then((logininfo) => resolve(logininfo))
+                .catch(() => _this.controller.stop()); // The error has already been logged
         });
     }
 
@@ -207,6 +148,8 @@ DataManager.prototype._importFromDisk = async function () {
         return new Promise((resolve) => {
             let proxies = []; // When the file is just created there can't be proxies in it (this bot doesn't support magic)
 
+            _this.proxyNames = [];
+
             if (!fs.existsSync("./proxies.txt")) {
                 logger("info", "Creating proxies.txt file as it doesn't exist yet...", false, true, logger.animation("loading"));
 
@@ -217,11 +160,24 @@ DataManager.prototype._importFromDisk = async function () {
             } else {
                 // File does seem to exist so now we can try and read it
                 proxies = fs.readFileSync("./proxies.txt", "utf8").split("\n");
+                proxies = proxies.map((str) => str.replace("\r", "").trim()); // Remove Windows next line character and whitespace
                 proxies = proxies.filter((str) => str != ""); // Remove empty lines
 
                 if (proxies.length > 0 && proxies[0].startsWith("//Comment")) proxies = proxies.slice(1); // Remove comment from array
 
-                if (_this.advancedconfig.useLocalIP) proxies.unshift(null); // Add no proxy (local ip) if useLocalIP is true
+                // Split off the optional name in front of a proxy which accounts can be pinned to
+                proxies = proxies.map((e) => {
+                    let parts = e.split(/\s+/);
+
+                    _this.proxyNames.push(parts.length > 1 ? parts[0] : null);
+
+                    return parts[parts.length - 1];
+                });
+
+                if (_this.advancedconfig.useLocalIP) { // Add no proxy (local ip) if useLocalIP is true
+                    proxies.unshift(null);
+                    _this.proxyNames.unshift(null);
+                }
 
                 // Check if no proxies were found (can only be the case when useLocalIP is false)
                 if (proxies.length == 0) {
@@ -337,17 +293,116 @@ DataManager.prototype._importFromDisk = async function () {
     this.datafile        = await loadData();
     this.config          = await loadConfig();
     this.advancedconfig  = await loadAdvancedConfig();
+
+    await this._loadMasterPassphrase(); // Must be loaded before any account data is read
+
     this.logininfo       = await loadLoginInfo();
     this.proxies         = await loadProxies();
     this.quotes          = await loadQuotes();
     this.lang            = await loadLanguage();
     this.lang            = await loadCustomLang();
 
-    this.lastCommentDB   = new nedb({ filename: srcdir + "/data/lastcomment.db", autoload: true }); // Autoload
-    this.ratingHistoryDB = new nedb({ filename: srcdir + "/data/ratingHistory.db", autoload: true });
-    this.tokensDB        = new nedb({ filename: srcdir + "/data/tokens.db", autoload: true });
+    this.lastCommentDB      = new nedb({ filename: srcdir + "/data/lastcomment.db", autoload: true }); // Autoload
+    this.ratingHistoryDB    = new nedb({ filename: srcdir + "/data/ratingHistory.db", autoload: true });
+    this.tokensDB           = new nedb({ filename: srcdir + "/data/tokens.db", autoload: true });
+    this.requestQueueDB     = new nedb({ filename: srcdir + "/data/requestQueue.db", autoload: true });
+    this.scheduleDB         = new nedb({ filename: srcdir + "/data/schedule.db", autoload: true });
+    this.activeRequestsDB   = new nedb({ filename: srcdir + "/data/activeRequests.db", autoload: true });
+    this.accountHealthDB    = new nedb({ filename: srcdir + "/data/accountHealth.db", autoload: true });
+    this.userRolesDB        = new nedb({ filename: srcdir + "/data/userRoles.db", autoload: true });
+    this.commandCooldownsDB = new nedb({ filename: srcdir + "/data/commandCooldowns.db", autoload: true });
+
+    this.commandCooldownsDB.setAutocompactionInterval(3600000); // Every command usage appends to this file, compact it every hour
+
+    this._loadAccountHealth();
+    this._loadUserRoles();
+    this._loadCommandCooldowns();
 
     // Check tokens.db every 24 hours for expired tokens to allow users to refresh them beforehand
     this._startExpiringTokensCheckInterval();
 
 };
+
+
+/**
+ * Loads the login information of all bot accounts from the `accounts.txt` or `logininfo.json` file. The `accounts.txt` file takes precedence if it is not empty.
+ * Shared secrets of accounts which have a Steam Desktop Authenticator maFile in the `maFiles` folder are added automatically.
+ * @returns {Promise.<{[key: string]: { accountName: string, password: string, sharedSecret?: string, steamGuardCode?: null, machineName?: string, deviceFriendlyName?: string, proxy?: string, maFile?: string }}>} Resolves with the logininfo object. Rejects if the `logininfo.json` file contains a syntax error or the file can't be decrypted, which has already been logged.
+ */
+DataManager.prototype.importLogininfo = function() {
+    return new Promise((resolve, reject) => {
+        let logininfo = {};
+
+        // Check accounts.txt first so we can ignore potential syntax errors in logininfo
+        if (fs.existsSync("./accounts.txt")) {
+            let data = this.decryptString(fs.readFileSync("./accounts.txt", "utf8")); // Returns the content unchanged if encryption is disabled
+
+            if (data == null) {
+                logger("error", "Failed to decrypt your accounts.txt! Aborting...", true);
+                return reject(new Error("Failed to decrypt accounts.txt"));
+            }
+
+            data = data.split("\n");
+
+            if (data.length > 0 && data[0].startsWith("//Comment")) data = data.slice(1); // Remove comment from array
+
+            if (data != "") {
+                logininfo = {}; // Set empty object
+                data.forEach((e) => {
+                    if (e.length < 2) return; // If the line is empty ignore it to avoid issues like this: https://github.com/3urobeat/steam-comment-service-bot/issues/80
+                    e = e.split(":");
+                    e[e.length - 1] = e[e.length - 1].replace("\r", ""); // Remove Windows next line character from last index (which has to be the end of the line)
+
+                    // Format logininfo object and use accountName as key to allow the order to change
+                    logininfo[e[0]] = {
+                        accountName: e[0],
+                        password: e[1],
+                        sharedSecret: e[2],
+                        steamGuardCode: null,
+                        machineName: `${this.datafile.mestr}'s Comment Bot`, // For steam-user
+                        deviceFriendlyName: `${this.datafile.mestr}'s Comment Bot`, // For steam-session
+                        proxy: e[3] || null // Optional name or index of the proxy this account is pinned to
+                    };
+                });
+
+                logger("info", `Found ${Object.keys(logininfo).length} accounts in accounts.txt, not checking for logininfo.json...`, false, true, logger.animation("loading"));
+
+                return this._importMaFiles(logininfo).then(() => resolve(logininfo));
+            }
+        }
+
+        // Check logininfo for Syntax errors and display custom error message
+        try {
+            // Only check if file exists (it is not shipped by default anymore since 2.12.1). If it doesn't an empty obj will be returned, leading to empty logininfo err msg in checkData()
+            if (fs.existsSync("./logininfo.json")) {
+                let data = this.decryptString(fs.readFileSync(srcdir + "/../logininfo.json", "utf8")); // Returns the content unchanged if encryption is disabled
+
+                if (data == null) throw new Error("Failed to decrypt logininfo.json");
+
+                logininfo = JSON.parse(data);
+
+                // Reformat to use new logininfo object structure and use accountName as key instead of bot0 etc to allow the order to change
+                Object.keys(logininfo).forEach((k) => {
+                    logininfo[logininfo[k][0]] = {
+                        accountName: logininfo[k][0],
+                        password: logininfo[k][1],
+                        sharedSecret: logininfo[k][2],
+                        steamGuardCode: null,
+                        machineName: `${this.datafile.mestr}'s Comment Bot`, // For steam-user
+                        deviceFriendlyName: `${this.datafile.mestr}'s Comment Bot`, // For steam-session
+                        proxy: logininfo[k][3] || null // Optional name or index of the proxy this account is pinned to
+                    };
+
+                    delete logininfo[k]; // Remove old entry
+                });
+            }
+
+            logger("info", `Found ${Object.keys(logininfo).length} accounts in logininfo.json...`, false, true, logger.animation("loading"));
+
+            this._importMaFiles(logininfo).then(() => resolve(logininfo));
+        } catch (err) {
+            logger("error", "It seems like you made a mistake in your logininfo.json. Please check if your Syntax looks exactly like in the example/template and try again.\n        " + err, true);
+            return reject(err);
+        }
+    });
+};
@@ -4,7 +4,7 @@
  * Created Date: 21.03.2023 22:34:51
  * Author: 3urobeat
  *
- * Last Modified: 26.07.2023 16:37:37
+ * Last Modified: 11.08.2023 16:38:02
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -66,20 +66,26 @@ const DataManager = function (controller) {
     this.quotes = [];
 
     /**
-     * Stores all proxies provided via the `proxies.txt` file.
+     * Stores all proxies and local addresses (prefixed with `local:`) provided via the `proxies.txt` file.
      * @type {Array.<string>}
      */
     this.proxies = [];
 
     /**
-     * Stores IDs from config files converted at runtime and backups for all config & data files.
+     * Stores the names of all proxies provided via the `proxies.txt` file at the same index as in `proxies`. Proxies without a name are `null`.
+     * @type {Array.<string|null>}
+     */
+    this.proxyNames = [];
+
+    /**
+     * Stores IDs from config files converted at runtime and backups for all config & data files. `botaccid` is indexed by the index of each bot account and has empty slots for accounts which were removed at runtime.
      * @type {{ ownerid: Array.<string>, botsgroup: string, botsgroupid: string, configgroup: string, configgroup64id: string, ownerlinkid: string, botaccid: Array.<string>, pluginVersions: {[key: string]: string}, configjson: {}, advancedconfigjson: {}, datajson: {} }}
      */
     this.cachefile = {};
 
     /**
      * Stores the login information for every bot account provided via the `logininfo.json` or `accounts.txt` files.
-     * @type {{[key: string]: { accountName: string, password: string, sharedSecret?: string, steamGuardCode?: null, machineName?: string, deviceFriendlyName?: string }}}
+     * @type {{[key: string]: { accountName: string, password: string, sharedSecret?: string, steamGuardCode?: null, machineName?: string, deviceFriendlyName?: string, proxy?: string, maFile?: string }}}
      */
     this.logininfo = {};
 
@@ -104,6 +110,72 @@ const DataManager = function (controller) {
      */
     this.tokensDB = {};
 
+    /**
+     * Database which stores all requests that are waiting for enough bot accounts to become available.
+     * Document structure: { command: String, args: Array, resInfo: Object, requestedby: String, receiver: String, idType: String, amount: Number, queuedAt: Number }
+     * @type {Nedb}
+     */
+    this.requestQueueDB = {};
+
+    /**
+     * Database which stores all scheduled comment requests.
+     * Document structure: { when: String, time: String, command: String, args: Array, resInfo: Object, requestedby: String, nextRun: Number, createdAt: Number }
+     * @type {Nedb}
+     */
+    this.scheduleDB = {};
+
+    /**
+     * Database which stores the progress of all active requests to be able to resume them after a restart or crash.
+     * Document structure: { id: String, entry: Object, resInfo: Object }
+     * @type {Nedb}
+     */
+    this.activeRequestsDB = {};
+
+    /**
+     * Database which stores the health record of every bot account.
+     * Document structure: { accountName: String, successes: Number, errors: Object, lastSuccess: Number, lastError: Object, consecutiveFailures: Number, benchedUntil: Number, benchReason: String }
+     * @type {Nedb}
+     */
+    this.accountHealthDB = {};
+
+    /**
+     * Stores the health record of every bot account, loaded from `accountHealthDB`. The key is the name of the account.
+     * @type {{[key: string]: { accountName: string, successes: number, errors: {[key: string]: number}, lastSuccess: number, lastError: { time: number, error: string }, consecutiveFailures: number, benchedUntil: number, benchReason: string }}}
+     */
+    this.accountHealth = {};
+
+    /**
+     * Database which stores the role of every user who was assigned one using the role command.
+     * Document structure: { id: String, role: String }
+     * @type {Nedb}
+     */
+    this.userRolesDB = {};
+
+    /**
+     * Stores the role of every user who was assigned one, loaded from `userRolesDB`. The key is the ID of the user.
+     * @type {{[key: string]: string}}
+     */
+    this.userRoles = {};
+
+    /**
+     * Database which stores the uses and blocks of commands which declare a cooldown or rate limit.
+     * Document structure: { key: String, uses: Array.<Number>, blockedUntil: Number, expiresAt: Number }
+     * @type {Nedb}
+     */
+    this.commandCooldownsDB = {};
+
+    /**
+     * Stores all command cooldowns which are still active, loaded from `commandCooldownsDB`. The key consists of the command name, the scope and the ID, e.g. "comment:user:76561198260031749".
+     * @type {{[key: string]: { key: string, uses: Array.<number>, blockedUntil: number, expiresAt: number }}}
+     */
+    this.commandCooldowns = {};
+
+    /**
+     * Stores the health record of every proxy since the last start. The key is the index of the proxy in the `proxies` array.
+     * @type {{[key: number]: { rateLimits: number, connectionFailures: number, recentErrors: number, latency: number|null, lastCheck: number, unhealthyChecks: number }}}
+     */
+    this.proxyHealth = {};
+
     // Stores a reference to the active handleExpiringTokens interval to prevent duplicates on reloads
     this._handleExpiringTokensInterval = null;
 
@@ -177,6 +249,52 @@ DataManager.prototype.writeQuotesToDisk = function() {};
  */
 DataManager.prototype._importFromDisk = async function () {};
 
+/**
+ * Loads the login information of all bot accounts from the `accounts.txt` or `logininfo.json` file. The `accounts.txt` file takes precedence if it is not empty.
+ * Shared secrets of accounts which have a Steam Desktop Authenticator maFile in the `maFiles` folder are added automatically.
+ * @returns {Promise.<{[key: string]: { accountName: string, password: string, sharedSecret?: string, steamGuardCode?: null, machineName?: string, deviceFriendlyName?: string, proxy?: string, maFile?: string }}>} Resolves with the logininfo object. Rejects if the `logininfo.json` file contains a syntax error or the file can't be decrypted, which has already been logged.
+ */
+DataManager.prototype.importLogininfo = function() {};
+
+/**
+ * Internal: Reads all maFiles of Steam Desktop Authenticator from the `maFiles` folder and adds their shared secrets to the matching accounts. Shared secrets provided in the `accounts.txt` or `logininfo.json` file take precedence.
+ * @param {{[key: string]: { accountName: string, password: string, sharedSecret?: string }}} logininfo The logininfo object to add shared secrets to. It will be modified directly.
+ * @returns {Promise.<void>} Resolves when all maFiles were processed. Errors are logged and never reject.
+ */
+DataManager.prototype._importMaFiles = async function(logininfo) {}; // eslint-disable-line
+
+/**
+ * Internal: Loads the master passphrase if account data encryption was enabled. Must be called before the logininfo is loaded.
+ * @returns {Promise.<void>} Resolves when the passphrase was loaded or encryption is disabled. Stops the bot if the passphrase is wrong.
+ */
+DataManager.prototype._loadMasterPassphrase = async function() {};
+
+/**
+ * Checks if account data encryption is enabled and the master passphrase was loaded
+ * @returns {boolean} `true` if encryption is enabled, `false` otherwise
+ */
+DataManager.prototype.isEncryptionEnabled = function() {};
+
+/**
+ * Encrypts a string with the master passphrase. Returns the string unchanged if encryption is not enabled.
+ * @param {string} str The string to encrypt
+ * @returns {string} The encrypted string
+ */
+DataManager.prototype.encryptString = function(str) {}; // eslint-disable-line
+
+/**
+ * Decrypts a string which was encrypted with the master passphrase. Returns the string unchanged if it is not encrypted.
+ * @param {string} str The string to decrypt
+ * @returns {string|null} The decrypted string or `null` if it could not be decrypted
+ */
+DataManager.prototype.decryptString = function(str) {}; // eslint-disable-line
+
+/**
+ * Enables encryption of account data with a master passphrase and encrypts the `accounts.txt` or `logininfo.json` file and all refresh tokens in `tokens.db`. Unencrypted copies in the updater backup are deleted.
+ * @returns {Promise.<boolean>} Resolves with `true` when all data was encrypted or `false` if encryption was already enabled or no passphrase was entered
+ */
+DataManager.prototype.encryptAccountData = async function() {};
+
 /**
  * Converts owners and groups imported from config.json to steam ids and updates cachefile. (Call this after dataImport and before dataCheck)
  */
@@ -204,7 +322,7 @@ DataManager.prototype.getUserCooldown = function (id) {}; // eslint-disable-line
 DataManager.prototype.setUserCooldown = function (id, timestamp) {}; // eslint-disable-line
 
 /**
- * Internal: Checks tokens.db every 24 hours for refreshToken expiration in <=7 days, logs warning and sends botowner a Steam msg
+ * Internal: Checks tokens.db every 24 hours for refreshToken expiration in <=7 days and attempts to renew them. Logs a warning and sends botowner a Steam msg for tokens which could not be renewed
  */
 DataManager.prototype._startExpiringTokensCheckInterval = () => {};
 
@@ -214,6 +332,18 @@ DataManager.prototype._startExpiringTokensCheckInterval = () => {};
  */
 DataManager.prototype._askForGetNewToken = function (expiring) {}; // eslint-disable-line
 
+/**
+ * Internal: Attempts to renew the tokens of all expiring accounts one after another without logging them in again
+ * @param {object} expiring Object of botobject entries to renew the tokens of
+ * @returns {Promise.<object>} Resolves with an object of botobject entries whose tokens could not be renewed
+ */
+DataManager.prototype._renewExpiringTokens = async function(expiring) {}; // eslint-disable-line
+
+/**
+ * Internal: Logs a table containing the expiration date of the login token of every bot account
+ */
+DataManager.prototype._logTokenExpiryTable = async function() {};
+
 /**
  * Retrieves the last processed request of anyone or a specific steamID64 from the lastcomment database
  * @param {string} steamID64 Search for a specific user
@@ -228,6 +358,156 @@ DataManager.prototype.getLastCommentRequest = function (steamID64 = null) {}; //
  */
 DataManager.prototype.decodeJWT = function (token) {}; // eslint-disable-line
 
+/**
+ * Internal: Loads the health records of all bot accounts from the disk
+ */
+DataManager.prototype._loadAccountHealth = function() {};
+
+/**
+ * Records a successful request of a bot account and resets its consecutive failures
+ * @param {string} accountName Name of the bot account
+ */
+DataManager.prototype.recordAccountSuccess = function(accountName) {}; // eslint-disable-line
+
+/**
+ * Records a failed request of a bot account and benches it if it has failed too often in a row
+ * @param {string} accountName Name of the bot account
+ * @param {string} error The error string returned by steamcommunity
+ */
+DataManager.prototype.recordAccountError = function(accountName, error) {}; // eslint-disable-line
+
+/**
+ * Checks if a bot account is currently benched because of too many consecutive failures
+ * @param {string} accountName Name of the bot account
+ * @returns {boolean} `true` if the account is benched and should not be used for new requests, `false` otherwise
+ */
+DataManager.prototype.isAccountBenched = function(accountName) {}; // eslint-disable-line
+
+/**
+ * Calculates the health score of a bot account from its successes and failures
+ * @param {string} accountName Name of the bot account
+ * @returns {number} Score between 0 and 100. Accounts without a record have a score of 100.
+ */
+DataManager.prototype.getAccountHealthScore = function(accountName) {}; // eslint-disable-line
+
+/**
+ * Internal: Loads the roles of all users from the disk
+ */
+DataManager.prototype._loadUserRoles = function() {};
+
+/**
+ * Gets the names of all roles, sorted from lowest to highest
+ * @returns {Array.<string>} Array of role names
+ */
+DataManager.prototype.getRoleHierarchy = function() {};
+
+/**
+ * Gets the role of a user. Owners always have the role "owner", users without an assigned role have the role "user".
+ * @param {string} id ID of the user to look up
+ * @param {Array.<string>} [ownerIDs] Optional: Custom owner IDs of this request. Defaults to the `ownerid` array of the config.
+ * @returns {string} Name of the role
+ */
+DataManager.prototype.getUserRole = function(id, ownerIDs) {}; // eslint-disable-line
+
+/**
+ * Checks if a user has a role or a role which is higher in the hierarchy
+ * @param {string} id ID of the user to check
+ * @param {string} role Name of the role the user should at least have
+ * @param {Array.<string>} [ownerIDs] Optional: Custom owner IDs of this request. Defaults to the `ownerid` array of the config.
+ * @returns {boolean} `true` if the user has this role or a higher one, `false` otherwise
+ */
+DataManager.prototype.hasRole = function(id, role, ownerIDs) {}; // eslint-disable-line
+
+/**
+ * Gets the limits configured in the `roles` object of the advancedconfig for the role of a user
+ * @param {string} id ID of the user to look up
+ * @param {Array.<string>} [ownerIDs] Optional: Custom owner IDs of this request. Defaults to the `ownerid` array of the config.
+ * @returns {{ maxComments?: number }} The configured limits of this role. Empty if none are configured.
+ */
+DataManager.prototype.getRoleLimits = function(id, ownerIDs) {}; // eslint-disable-line
+
+/**
+ * Assigns a role to a user and writes it to the disk. Assigning the role "user" removes the role of the user.
+ * @param {string} id ID of the user
+ * @param {string} role Name of the role. The role "owner" cannot be assigned, please use the `ownerid` array in the config instead.
+ * @returns {Promise.<boolean>} Resolves with `true` on success and `false` if the role is invalid or could not be written to the disk
+ */
+DataManager.prototype.setUserRole = function(id, role) {}; // eslint-disable-line
+
+/**
+ * Internal: Loads all command cooldowns from the disk and removes expired ones
+ */
+DataManager.prototype._loadCommandCooldowns = function() {};
+
+/**
+ * Removes all command cooldowns which don't have an effect anymore from memory and the disk. Called periodically by the controller to keep both small.
+ */
+DataManager.prototype.pruneCommandCooldowns = function() {};
+
+/**
+ * Gets the cooldown entry of a key and creates it if it does not exist yet
+ * @param {string} key Key of the entry, consisting of the command name, the scope and the ID, e.g. "comment:user:76561198260031749"
+ * @returns {{ key: string, uses: Array.<number>, blockedUntil: number, expiresAt: number }} The entry. Modifications must be written to the disk using `saveCommandCooldown()`.
+ */
+DataManager.prototype.getCommandCooldown = function(key) {}; // eslint-disable-line
+
+/**
+ * Writes the cooldown entry of a key to the disk
+ * @param {string} key Key of the entry
+ */
+DataManager.prototype.saveCommandCooldown = function(key) {}; // eslint-disable-line
+
+/**
+ * Records an error which was caused by a proxy, for example a HTTP 429 or a lost connection
+ * @param {number} proxyIndex Index of the proxy in the proxies array
+ * @param {"rateLimit"|"connectionFailure"} type Type of the error
+ */
+DataManager.prototype.recordProxyError = function(proxyIndex, type) {}; // eslint-disable-line
+
+/**
+ * Records the result of a health check of a proxy and updates its unhealthy streak
+ * @param {number} proxyIndex Index of the proxy in the proxies array
+ * @param {number|null} latency Time in ms the proxy took to reach Steam or `null` if the check failed
+ * @returns {boolean} `true` if the proxy is healthy, `false` otherwise
+ */
+DataManager.prototype.recordProxyCheck = function(proxyIndex, latency) {}; // eslint-disable-line
+
+/**
+ * Checks if a proxy passed its last health check
+ * @param {number} proxyIndex Index of the proxy in the proxies array
+ * @returns {boolean} `true` if the proxy is healthy or was not checked yet, `false` otherwise
+ */
+DataManager.prototype.isProxyHealthy = function(proxyIndex) {}; // eslint-disable-line
+
+/**
+ * Checks if a proxy provided via the `proxies.txt` file is valid
+ * @param {string} proxy The proxy URL, a local address in the format `local:IP` or `null` for the local IP
+ * @returns {string|null} The reason why the proxy is invalid or `null` if it is valid
+ */
+DataManager.prototype.validateProxy = function(proxy) {}; // eslint-disable-line
+
+/**
+ * Gets the index of a proxy by its name from the `proxies.txt` file or by its index
+ * @param {string} name Name or index of the proxy, not case sensitive
+ * @returns {number} Index of the proxy in the proxies array or `-1` if no proxy with this name exists
+ */
+DataManager.prototype.getProxyIndexByName = function(name) {}; // eslint-disable-line
+
+/**
+ * Gets the index of the proxy a bot account should use. Accounts which are pinned to a proxy use it, all others are spread equally over all proxies.
+ * @param {string} accountName Name of the bot account
+ * @param {number} index The login index of the bot account
+ * @returns {number} Index of the proxy in the proxies array
+ */
+DataManager.prototype.getProxyIndexOfAccount = function(accountName, index) {}; // eslint-disable-line
+
+/**
+ * Gets the options which need to be passed to the Steam libraries and the request library to use a proxy or local address
+ * @param {string} proxy The proxy URL, a local address in the format `local:IP` or `null` for the local IP
+ * @returns {{ steam: { httpProxy?: string, socksProxy?: string, localAddress?: string }, request: { proxy?: string, agent?: object, localAddress?: string } }} Options for steam-user & steam-session and options for the request library
+ */
+DataManager.prototype.getProxyOptions = function(proxy) {}; // eslint-disable-line
+
 /**
  * Refreshes Backups in cache.json with new data
  */
@@ -0,0 +1,167 @@
+/*
+ * File: handleAccountHealth.js
+ * Project: steam-comment-service-bot
+ * Created Date: 04.08.2023 10:52:31
+ * Author: 3urobeat
+ *
+ * Last Modified: 04.08.2023 13:05:52
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const DataManager = require("../dataManager");
+
+
+// Error classes which are not caused by the account itself and should therefore not get it benched
+const ignoredErrorClasses = ["ipRateLimit", "steamServers"];
+
+
+/**
+ * Sorts an error returned by Steam into a class, similar to the descriptions logCommentError() adds
+ * @param {string} error The error string returned by steamcommunity
+ * @returns {string} Name of the error class
+ */
+function getErrorClass(error) {
+    switch (String(error).toLowerCase()) {
+        case "error: http error 429":
+            return "ipRateLimit";
+        case "error: http error 502":
+        case "error: http error 504":
+        case "error: socket hang up":
+            return "steamServers";
+        case "error: you've been posting too frequently, and can't make another post right now":
+            return "postingTooFrequently";
+        case "error: the settings on this account do not allow you to add comments":
+            return "notAllowed";
+        case "error: to post this comment, your account must have steam guard enabled":
+            return "noSteamGuard";
+        default:
+            return "other";
+    }
+}
+
+
+/**
+ * Gets the health record of a bot account and creates an empty one if none exists yet
+ * @param {DataManager} dataManager The dataManager object
+ * @param {string} accountName Name of the bot account
+ * @returns {{ accountName: string, successes: number, errors: {[key: string]: number}, lastSuccess: number, lastError: { time: number, error: string }, consecutiveFailures: number, benchedUntil: number, benchReason: string }} The health record
+ */
+function getRecord(dataManager, accountName) {
+    if (!dataManager.accountHealth[accountName]) {
+        dataManager.accountHealth[accountName] = { accountName: accountName, successes: 0, errors: {}, lastSuccess: 0, lastError: null, consecutiveFailures: 0, benchedUntil: 0, benchReason: "" };
+    }
+
+    return dataManager.accountHealth[accountName];
+}
+
+
+/**
+ * Writes the health record of a bot account to the disk
+ * @param {DataManager} dataManager The dataManager object
+ * @param {string} accountName Name of the bot account
+ */
+function saveRecord(dataManager, accountName) {
+    dataManager.accountHealthDB.update({ accountName: accountName }, dataManager.accountHealth[accountName], { upsert: true }, (err) => {
+        if (err) logger("warn", `Failed to write health record of '${accountName}' to the disk! Error: ${err}`);
+    });
+}
+
+
+/**
+ * Internal: Loads the health records of all bot accounts from the disk
+ */
+DataManager.prototype._loadAccountHealth = function() {
+    this.accountHealthDB.find({}, (err, docs) => {
+        if (err) return logger("error", "Failed to load account health records from the disk! Error: " + err);
+
+        docs.forEach((e) => {
+            delete e._id;
+            this.accountHealth[e.accountName] = e;
+        });
+
+        logger("debug", `DataManager _loadAccountHealth(): Loaded ${docs.length} account health records`);
+    });
+};
+
+
+/**
+ * Records a successful request of a bot account and resets its consecutive failures
+ * @param {string} accountName Name of the bot account
+ */
+DataManager.prototype.recordAccountSuccess = function(accountName) {
+    let record = getRecord(this, accountName);
+
+    record.successes++;
+    record.lastSuccess         = Date.now();
+    record.consecutiveFailures = 0;
+
+    saveRecord(this, accountName);
+};
+
+
+/**
+ * Records a failed request of a bot account and benches it if it has failed too often in a row
+ * @param {string} accountName Name of the bot account
+ * @param {string} error The error string returned by steamcommunity
+ */
+DataManager.prototype.recordAccountError = function(accountName, error) {
+    let record     = getRecord(this, accountName);
+    let errorClass = getErrorClass(error);
+
+    record.errors[errorClass] = (record.errors[errorClass] || 0) + 1;
+    record.lastError          = { time: Date.now(), error: String(error) };
+
+    // Only count errors caused by the account itself towards benching
+    if (!ignoredErrorClasses.includes(errorClass)) {
+        record.consecutiveFailures++;
+
+        // Bench account if threshold is reached. A threshold of 0 disables benching
+        let threshold = this.advancedconfig.accountHealthBenchThreshold;
+
+        if (threshold > 0 && record.consecutiveFailures >= threshold && record.benchedUntil < Date.now()) {
+            record.benchedUntil = Date.now() + (this.advancedconfig.accountHealthBenchTime * 60000);
+            record.benchReason  = `${record.consecutiveFailures} consecutive failures, last one: ${error}`;
+
+            logger("warn", `Bot account '${accountName}' failed ${record.consecutiveFailures} times in a row and won't be used for new requests for ${this.advancedconfig.accountHealthBenchTime} minutes. Last error: ${error}`);
+        }
+    }
+
+    saveRecord(this, accountName);
+};
+
+
+/**
+ * Checks if a bot account is currently benched because of too many consecutive failures
+ * @param {string} accountName Name of the bot account
+ * @returns {boolean} `true` if the account is benched and should not be used for new requests, `false` otherwise
+ */
+DataManager.prototype.isAccountBenched = function(accountName) {
+    let record = this.accountHealth[accountName];
+
+    return !!record && record.benchedUntil > Date.now();
+};
+
+
+/**
+ * Calculates the health score of a bot account from its successes and failures
+ * @param {string} accountName Name of the bot account
+ * @returns {number} Score between 0 and 100. Accounts without a record have a score of 100.
+ */
+DataManager.prototype.getAccountHealthScore = function(accountName) {
+    let record = this.accountHealth[accountName];
+    if (!record) return 100;
+
+    let failures = Object.keys(record.errors).filter(e => !ignoredErrorClasses.includes(e)).reduce((acc, e) => acc + record.errors[e], 0);
+
+    // Ratio of successes, reduced further by every consecutive failure as recent problems are more important
+    let score = ((record.successes + 1) / (record.successes + failures + 1)) * 100 * Math.pow(0.8, record.consecutiveFailures);
+
+    return Math.round(score);
+};
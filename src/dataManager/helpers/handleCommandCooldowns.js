@@ -0,0 +1,82 @@
+/*
+ * File: handleCommandCooldowns.js
+ * Project: steam-comment-service-bot
+ * Created Date: 10.08.2023 16:52:19
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 14:20:53
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const DataManager = require("../dataManager");
+
+
+/**
+ * Internal: Loads all command cooldowns from the disk and removes expired ones
+ */
+DataManager.prototype._loadCommandCooldowns = function() {
+    this.commandCooldownsDB.find({}, (err, docs) => {
+        if (err) return logger("error", "Failed to load command cooldowns from the disk! Error: " + err);
+
+        docs.forEach((e) => {
+            delete e._id;
+            this.commandCooldowns[e.key] = e;
+        });
+
+        logger("debug", `DataManager _loadCommandCooldowns(): Loaded ${docs.length} command cooldowns`);
+
+        this.pruneCommandCooldowns();
+    });
+};
+
+
+/**
+ * Removes all command cooldowns which don't have an effect anymore from memory and the disk. Called periodically by the controller to keep both small.
+ */
+DataManager.prototype.pruneCommandCooldowns = function() {
+    let now     = Date.now();
+    let expired = Object.keys(this.commandCooldowns).filter(e => this.commandCooldowns[e].expiresAt <= now);
+
+    if (expired.length == 0) return;
+
+    expired.forEach((e) => delete this.commandCooldowns[e]);
+
+    this.commandCooldownsDB.remove({ expiresAt: { $lte: now } }, { multi: true }, (err) => {
+        if (err) logger("warn", "Failed to remove expired command cooldowns from the disk! Error: " + err);
+    });
+
+    logger("debug", `DataManager pruneCommandCooldowns(): Removed ${expired.length} expired command cooldowns`);
+};
+
+
+/**
+ * Gets the cooldown entry of a key and creates it if it does not exist yet
+ * @param {string} key Key of the entry, consisting of the command name, the scope and the ID, e.g. "comment:user:76561198260031749"
+ * @returns {{ key: string, uses: Array.<number>, blockedUntil: number, expiresAt: number }} The entry. Modifications must be written to the disk using `saveCommandCooldown()`.
+ */
+DataManager.prototype.getCommandCooldown = function(key) {
+    if (!this.commandCooldowns[key]) this.commandCooldowns[key] = { key: key, uses: [], blockedUntil: 0, expiresAt: 0 };
+
+    return this.commandCooldowns[key];
+};
+
+
+/**
+ * Writes the cooldown entry of a key to the disk
+ * @param {string} key Key of the entry
+ */
+DataManager.prototype.saveCommandCooldown = function(key) {
+    let entry = this.commandCooldowns[key];
+    if (!entry) return;
+
+    this.commandCooldownsDB.update({ key: key }, entry, { upsert: true }, (err) => {
+        if (err) logger("warn", `Failed to write command cooldown '${key}' to the disk! Error: ${err}`);
+    });
+};
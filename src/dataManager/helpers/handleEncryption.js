@@ -0,0 +1,209 @@
+/*
+ * File: handleEncryption.js
+ * Project: steam-comment-service-bot
+ * Created Date: 07.08.2023 13:05:41
+ * Author: 3urobeat
+ *
+ * Last Modified: 11.08.2023 16:38:02
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const fs     = require("fs");
+const crypto = require("crypto");
+
+const DataManager = require("../dataManager");
+
+
+const prefix     = "scsb-encrypted:v1:"; // Marks encrypted strings to be able to read unencrypted data as well
+const checkValue = "steam-comment-service-bot"; // Encrypted with the key and stored in encryption.json to verify the passphrase
+
+let key = null; // The key derived from the master passphrase. Only kept in memory
+
+
+/**
+ * Derives the encryption key from the master passphrase
+ * @param {string} passphrase The master passphrase
+ * @param {string} salt Base64 encoded salt
+ * @returns {Buffer} The 256 bit key
+ */
+function deriveKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, Buffer.from(salt, "base64"), 32);
+}
+
+
+/**
+ * Gets the master passphrase from the `STEAM_COMMENT_BOT_PASSPHRASE` env var, the key file set in `advancedconfig.masterPassphraseFile` or asks the user in the terminal
+ * @param {DataManager} dataManager The dataManager object
+ * @param {string} question The question to display if the passphrase needs to be entered in the terminal
+ * @param {number} timeout Time in ms after which the input will be aborted. Set to 0 to wait forever.
+ * @param {string} policyKey Key of this prompt in the headless policy
+ * @returns {Promise.<string|null>} Resolves with the passphrase or `null` if the user didn't enter one
+ */
+function getPassphrase(dataManager, question, timeout, policyKey) {
+    return new Promise((resolve) => {
+        if (process.env.STEAM_COMMENT_BOT_PASSPHRASE) {
+            logger("debug", "DataManager getPassphrase(): Using master passphrase from env var STEAM_COMMENT_BOT_PASSPHRASE");
+            return resolve(process.env.STEAM_COMMENT_BOT_PASSPHRASE);
+        }
+
+        let keyFile = dataManager.advancedconfig.masterPassphraseFile;
+
+        if (keyFile) {
+            if (fs.existsSync(keyFile)) {
+                logger("debug", `DataManager getPassphrase(): Using master passphrase from key file '${keyFile}'`);
+                return resolve(fs.readFileSync(keyFile, "utf8").trim());
+            }
+
+            logger("warn", `The key file '${keyFile}' set in advancedconfig.json does not exist! Asking for the master passphrase instead...`, true);
+        }
+
+        logger.readInput(question, timeout, (text) => {
+            if (!text || text == "") return resolve(null);
+
+            resolve(text.toString().trim());
+        }, policyKey);
+    });
+}
+
+
+/**
+ * Internal: Loads the master passphrase if account data encryption was enabled. Must be called before the logininfo is loaded.
+ * @returns {Promise.<void>} Resolves when the passphrase was loaded or encryption is disabled. Stops the bot if the passphrase is wrong.
+ */
+DataManager.prototype._loadMasterPassphrase = async function() {
+    if (!fs.existsSync(srcdir + "/data/encryption.json")) return logger("debug", "DataManager _loadMasterPassphrase(): No encryption.json found, account data is not encrypted");
+
+    let encryptionjson = JSON.parse(fs.readFileSync(srcdir + "/data/encryption.json", "utf8"));
+
+    logger("info", "Your account data is encrypted, loading master passphrase...", false, true, logger.animation("loading"));
+
+    let passphrase = await getPassphrase(this, "Your account data is encrypted. Please enter your master passphrase: ", 0, "masterPassphrase");
+
+    if (passphrase) {
+        key = deriveKey(passphrase, encryptionjson.salt);
+
+        if (this.decryptString(encryptionjson.check) == checkValue) return logger("info", "Master passphrase is correct, decrypting account data...", false, true, logger.animation("loading"));
+
+        key = null;
+    }
+
+    // Don't ask again when the passphrase was provided by env var, key file or headless policy as it would be wrong again
+    if (logger.isHeadless()) return logger.headlessExit("The master passphrase provided by your policy, env var or key file is wrong!");
+
+    if (process.env.STEAM_COMMENT_BOT_PASSPHRASE || (this.advancedconfig.masterPassphraseFile && fs.existsSync(this.advancedconfig.masterPassphraseFile))) {
+        logger("error", "The master passphrase provided by your env var or key file is wrong! Aborting...", true);
+        return this.controller.stop();
+    }
+
+    // The bot can't start without the account data, ask again
+    logger("warn", "Wrong master passphrase! Please try again.", true);
+
+    return this._loadMasterPassphrase(); // Run myself again
+};
+
+
+/**
+ * Checks if account data encryption is enabled and the master passphrase was loaded
+ * @returns {boolean} `true` if encryption is enabled, `false` otherwise
+ */
+DataManager.prototype.isEncryptionEnabled = function() {
+    return key != null;
+};
+
+
+/**
+ * Encrypts a string with the master passphrase. Returns the string unchanged if encryption is not enabled.
+ * @param {string} str The string to encrypt
+ * @returns {string} The encrypted string
+ */
+DataManager.prototype.encryptString = function(str) {
+    if (!key) return str;
+
+    let iv     = crypto.randomBytes(12);
+    let cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    let data   = Buffer.concat([ cipher.update(str, "utf8"), cipher.final() ]);
+
+    return prefix + Buffer.concat([ iv, cipher.getAuthTag(), data ]).toString("base64");
+};
+
+
+/**
+ * Decrypts a string which was encrypted with the master passphrase. Returns the string unchanged if it is not encrypted.
+ * @param {string} str The string to decrypt
+ * @returns {string|null} The decrypted string or `null` if it could not be decrypted
+ */
+DataManager.prototype.decryptString = function(str) {
+    if (!str || !str.startsWith(prefix)) return str;
+
+    if (!key) {
+        logger("error", "Found encrypted account data but no master passphrase was loaded! Did you delete 'src/data/encryption.json'?", true);
+        return null;
+    }
+
+    try {
+        let buf      = Buffer.from(str.replace(prefix, ""), "base64");
+        let decipher = crypto.createDecipheriv("aes-256-gcm", key, buf.subarray(0, 12));
+
+        decipher.setAuthTag(buf.subarray(12, 28));
+
+        return Buffer.concat([ decipher.update(buf.subarray(28)), decipher.final() ]).toString("utf8");
+    } catch (err) {
+        logger("debug", `DataManager decryptString(): Failed to decrypt string: ${err}`);
+        return null;
+    }
+};
+
+
+/**
+ * Enables encryption of account data with a master passphrase and encrypts the `accounts.txt` or `logininfo.json` file and all refresh tokens in `tokens.db`. Unencrypted copies in the updater backup are deleted.
+ * @returns {Promise.<boolean>} Resolves with `true` when all data was encrypted or `false` if encryption was already enabled or no passphrase was entered
+ */
+DataManager.prototype.encryptAccountData = async function() {
+    if (key) return false;
+
+    let passphrase = await getPassphrase(this, "Please enter the master passphrase you want to encrypt your account data with (leave empty and press ENTER to abort): ", 90000, "newMasterPassphrase");
+
+    if (!passphrase) {
+        logger("info", "No master passphrase entered, aborting encryption...", true);
+        return false;
+    }
+
+    logger("info", "Encrypting your account data...");
+
+    let salt = crypto.randomBytes(16).toString("base64");
+
+    key = deriveKey(passphrase, salt);
+
+    // Write salt & check value first so the passphrase can be verified on the next start, even if encrypting the data below fails
+    fs.writeFileSync(srcdir + "/data/encryption.json", JSON.stringify({ salt: salt, check: this.encryptString(checkValue) }, null, 4));
+
+    this.writeLogininfoToDisk();
+
+    let docs = await this.tokensDB.findAsync({});
+
+    for (let e of docs) {
+        if (e.token && !e.token.startsWith(prefix)) await this.tokensDB.updateAsync({ _id: e._id }, { $set: { token: this.encryptString(e.token) } });
+    }
+
+    // Nedb only appends changes to the file, compact it to remove the old plaintext tokens
+    await this.tokensDB.compactDatafileAsync();
+
+    // Delete the plaintext copies in the backup created by the updater. Restoring the backup will then keep the encrypted files
+    [ "/../backup/accounts.txt", "/../backup/logininfo.json", "/../backup/src/data/tokens.db" ].forEach((e) => {
+        if (!fs.existsSync(srcdir + e)) return;
+
+        fs.unlinkSync(srcdir + e);
+        logger("info", `Deleted the unencrypted backup '${e.replace("/../", "")}'`);
+    });
+
+    logger("info", `Encrypted your accounts file and ${docs.length} refresh token(s)! Make sure to remember your master passphrase, your account data can't be recovered without it.`);
+
+    return true;
+};
@@ -4,7 +4,7 @@
  * Created Date: 14.10.2022 14:58:25
  * Author: 3urobeat
  *
- * Last Modified: 26.07.2023 16:53:28
+ * Last Modified: 08.08.2023 15:21:47
  * Modified By: 3urobeat
  *
  * Copyright (c) 2022 3urobeat <https://github.com/3urobeat>
@@ -15,11 +15,12 @@
  */
 
 
-const DataManager = require("../dataManager.js");
+const DataManager      = require("../dataManager.js");
+const { timeToString } = require("../../controller/helpers/misc.js");
 
 
 /**
- * Internal: Checks tokens.db every 24 hours for refreshToken expiration in <=7 days, logs warning and sends botowner a Steam msg
+ * Internal: Checks tokens.db every 24 hours for refreshToken expiration in <=7 days and attempts to renew them. Logs a warning and sends botowner a Steam msg for tokens which could not be renewed
  */
 DataManager.prototype._startExpiringTokensCheckInterval = function() {
     let _this = this;
@@ -33,7 +34,8 @@ DataManager.prototype._startExpiringTokensCheckInterval = function() {
 
         _this.tokensDB.find({}, (err, docs) => { // Find all documents
             docs.forEach((e, i) => {             // Check every document
-                let tokenObj = _this.decodeJWT(e.token);
+                let token    = _this.decryptString(e.token); // Returns the token unchanged if encryption is disabled
+                let tokenObj = token ? _this.decodeJWT(token) : null;
 
                 // Check acc if no error occurred (Code lookin funky cuz I can't use return here as the last iteration check would otherwise abort)
                 if (tokenObj) {
@@ -53,31 +55,38 @@ DataManager.prototype._startExpiringTokensCheckInterval = function() {
                     logger("warn", `Failed to check when the login token for account '${e.accountName}' is going to expire!`);
                 }
 
-                // Check if this was the last iteration and display message if at least one account was found
+                // Check if this was the last iteration and attempt to renew all expiring tokens silently. Only bother the user with accounts which could not be renewed
                 if (i + 1 == docs.length && Object.keys(expiring).length > 0) {
-                    let msg;
+                    _this._renewExpiringTokens(expiring).then((failed) => {
+                        if (Object.keys(failed).length == 0) return;
 
-                    // Make it fancy and define different messages depending on how many accs were found
-                    if (Object.keys(expiring).length > 1) msg = `The login tokens of ${Object.keys(expiring).length} accounts are expiring in less than 7 days`;
-                        else msg = `The login token of account '${e.accountName}' is expiring in less than 7 days`;
+                        expiring = failed;
 
-                    // Mention how many accounts already expired
-                    if (Object.keys(expired).length > 1) msg += ` and ${logger.colors.fgred}${Object.keys(expired).length} accounts have already expired!${logger.colors.reset}\nRestarting will force you to type in their Steam Guard Codes`; // Append
-                        else if (Object.keys(expired).length == 1) msg = `The login token of account '${e.accountName}' ${logger.colors.fgred}has expired!${logger.colors.reset} Restarting will force you to type in the Steam Guard Code`;    // Overwrite
+                        let msg;
+                        let firstAccountName = Object.keys(expiring)[0];
 
-                    // Log warning and message owners
-                    logger("", `${logger.colors.fgred}Warning:`);
-                    logger("", msg + "!", true);
+                        // Make it fancy and define different messages depending on how many accs were found
+                        if (Object.keys(expiring).length > 1) msg = `The login tokens of ${Object.keys(expiring).length} accounts are expiring in less than 7 days`;
+                            else msg = `The login token of account '${firstAccountName}' is expiring in less than 7 days`;
 
-                    _this.cachefile.ownerid.forEach((e, i) => {
-                        setTimeout(() => {
-                            // eslint-disable-next-line no-control-regex
-                            _this.controller.main.sendChatMessage(_this.controller.main, { userID: e }, msg.replace(/\x1B\[[0-9]+m/gm, "") + "!\nHead over to the terminal to refresh the token(s) now if you wish."); // Remove color codes from string
-                        }, 1500 * i);
-                    });
+                        // Mention how many accounts already expired
+                        if (Object.keys(expired).length > 1) msg += ` and ${logger.colors.fgred}${Object.keys(expired).length} accounts have already expired!${logger.colors.reset}\nRestarting will force you to type in their Steam Guard Codes`; // Append
+                            else if (Object.keys(expired).length == 1) msg = `The login token of account '${Object.keys(expired)[0]}' ${logger.colors.fgred}has expired!${logger.colors.reset} Restarting will force you to type in the Steam Guard Code`;    // Overwrite
+
+                        // Log warning and message owners
+                        logger("", `${logger.colors.fgred}Warning:`);
+                        logger("", msg + "!", true);
 
-                    // Check for active requests before asking for relog
-                    _this._askForGetNewToken(expiring);
+                        _this.cachefile.ownerid.forEach((e, i) => {
+                            setTimeout(() => {
+                                // eslint-disable-next-line no-control-regex
+                                _this.controller.main.sendChatMessage(_this.controller.main, { userID: e }, msg.replace(/\x1B\[[0-9]+m/gm, "") + "!\nHead over to the terminal to refresh the token(s) now if you wish."); // Remove color codes from string
+                            }, 1500 * i);
+                        });
+
+                        // Check for active requests before asking for relog
+                        _this._askForGetNewToken(expiring);
+                    });
                 }
             });
         });
@@ -98,6 +107,57 @@ DataManager.prototype._startExpiringTokensCheckInterval = function() {
 };
 
 
+/**
+ * Internal: Attempts to renew the tokens of all expiring accounts one after another without logging them in again
+ * @param {object} expiring Object of botobject entries to renew the tokens of
+ * @returns {Promise.<object>} Resolves with an object of botobject entries whose tokens could not be renewed
+ */
+DataManager.prototype._renewExpiringTokens = async function(expiring) {
+    let failed = {};
+
+    logger("info", `Attempting to renew the login tokens of ${Object.keys(expiring).length} account(s)...`);
+
+    for (let accountName of Object.keys(expiring)) {
+        let renewed = await expiring[accountName].sessionHandler.attemptTokenRenew();
+
+        if (!renewed) failed[accountName] = expiring[accountName];
+    }
+
+    if (Object.keys(failed).length > 0) logger("warn", `Failed to renew the login tokens of ${Object.keys(failed).length} account(s), a login with credentials is required for them.`);
+
+    return failed;
+};
+
+
+/**
+ * Internal: Logs a table containing the expiration date of the login token of every bot account
+ */
+DataManager.prototype._logTokenExpiryTable = async function() {
+    let docs = await this.tokensDB.findAsync({});
+    let str  = "";
+
+    this.controller.getBots("*").sort((a, b) => a.index - b.index).forEach((e) => {
+        let doc      = docs.find(f => f.accountName == e.loginData.logOnOptions.accountName);
+        let token    = doc ? this.decryptString(doc.token) : null; // Returns the token unchanged if encryption is disabled
+        let tokenObj = token ? this.decodeJWT(token) : null;
+
+        str += `\n    ${e.index}. ${e.loginData.logOnOptions.accountName}: `;
+
+        if (!tokenObj) {
+            str += "No token stored";
+        } else {
+            let expiresStr = (new Date(tokenObj.exp * 1000)).toISOString().replace(/T/, " ").replace(/\..+/, "") + " (GMT time)";
+
+            if (tokenObj.exp * 1000 <= Date.now()) str += `${logger.colors.fgred}Expired on ${expiresStr}${logger.colors.reset}`;
+                else if (tokenObj.exp * 1000 <= Date.now() + 604800000) str += `${logger.colors.fgyellow}Expires in ${timeToString(tokenObj.exp * 1000)} on ${expiresStr}${logger.colors.reset}`;
+                else str += `Expires in ${timeToString(tokenObj.exp * 1000)} on ${expiresStr}`;
+        }
+    });
+
+    logger("info", "Login token expiration of all bot accounts:" + str);
+};
+
+
 /**
  * Internal: Asks user if he/she wants to refresh the tokens of all expiring accounts when no active request was found and relogs them
  * @param {object} expiring Object of botobject entries to ask user for
@@ -139,7 +199,7 @@ DataManager.prototype._askForGetNewToken = function(expiring) {
 
                 _this.controller.info.activeLogin = false; // Allow requests again
             }
-        });
+        }, "refreshExpiringTokens");
 
     }
 
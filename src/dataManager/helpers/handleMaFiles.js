@@ -0,0 +1,133 @@
+/*
+ * File: handleMaFiles.js
+ * Project: steam-comment-service-bot
+ * Created Date: 07.08.2023 10:48:13
+ * Author: 3urobeat
+ *
+ * Last Modified: 08.08.2023 15:21:47
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const fs     = require("fs");
+const crypto = require("crypto");
+
+const DataManager = require("../dataManager");
+
+
+let passphrase = null; // Cache the passphrase to not ask again when the logininfo gets reloaded at runtime
+
+
+/**
+ * Decrypts a maFile which was encrypted by Steam Desktop Authenticator
+ * @param {string} content Base64 encoded content of the maFile
+ * @param {string} iv Base64 encoded IV from the manifest.json entry of this maFile
+ * @param {string} salt Base64 encoded salt from the manifest.json entry of this maFile
+ * @returns {string} The decrypted content. Throws an error if the passphrase is wrong.
+ */
+function decryptMaFile(content, iv, salt) {
+    let key      = crypto.pbkdf2Sync(passphrase, Buffer.from(salt, "base64"), 50000, 32, "sha1"); // SDA uses 50000 PBKDF2 iterations to derive a 256 bit key
+    let decipher = crypto.createDecipheriv("aes-256-cbc", key, Buffer.from(iv, "base64"));
+
+    return Buffer.concat([ decipher.update(Buffer.from(content, "base64")), decipher.final() ]).toString("utf8");
+}
+
+
+/**
+ * Asks the user for the passphrase of encrypted maFiles if it wasn't entered yet
+ * @returns {Promise.<string|null>} Resolves with the passphrase or `null` if the user skipped the input
+ */
+function askForPassphrase() {
+    return new Promise((resolve) => {
+        if (passphrase) return resolve(passphrase);
+
+        logger.readInput("Your maFiles are encrypted. Please enter your Steam Desktop Authenticator passphrase (leave empty and press ENTER to skip them): ", 90000, (text) => {
+            if (!text || text == "") {
+                logger("warn", "No passphrase entered, ignoring your encrypted maFiles...", true);
+                return resolve(null);
+            }
+
+            passphrase = text.toString().trim();
+            resolve(passphrase);
+        }, "maFilesPassphrase");
+    });
+}
+
+
+/**
+ * Internal: Reads all maFiles of Steam Desktop Authenticator from the `maFiles` folder and adds their shared secrets to the matching accounts. Shared secrets provided in the `accounts.txt` or `logininfo.json` file take precedence.
+ * @param {{[key: string]: { accountName: string, password: string, sharedSecret?: string }}} logininfo The logininfo object to add shared secrets to. It will be modified directly.
+ * @returns {Promise.<void>} Resolves when all maFiles were processed. Errors are logged and never reject.
+ */
+DataManager.prototype._importMaFiles = async function(logininfo) {
+    let maFilesPath = srcdir + "/../maFiles";
+
+    if (!fs.existsSync(maFilesPath)) return;
+
+    logger("info", "Found maFiles folder, importing shared secrets...", false, true, logger.animation("loading"));
+
+    let maFiles  = {}; // Content of all maFiles with the filename as key
+    let manifest = null;
+
+    // The manifest tells us if and how the maFiles are encrypted
+    if (fs.existsSync(maFilesPath + "/manifest.json")) {
+        try {
+            manifest = JSON.parse(fs.readFileSync(maFilesPath + "/manifest.json", "utf8"));
+        } catch (err) {
+            logger("warn", `Failed to read the manifest.json in your maFiles folder, assuming your maFiles are not encrypted. Error: ${err}`);
+        }
+    }
+
+    let encrypted = manifest && manifest.encrypted;
+
+    if (encrypted && !(await askForPassphrase())) return;
+
+    fs.readdirSync(maFilesPath).filter(e => e.endsWith(".maFile")).forEach((e) => {
+        try {
+            let content = fs.readFileSync(`${maFilesPath}/${e}`, "utf8");
+
+            if (encrypted) {
+                let entry = manifest.entries.find(f => f.filename == e);
+
+                if (!entry) return logger("warn", `The maFile '${e}' has no entry in your manifest.json and can't be decrypted. Ignoring it...`);
+
+                content = decryptMaFile(content, entry.encryption_iv, entry.encryption_salt);
+            }
+
+            maFiles[e] = JSON.parse(content);
+        } catch (err) {
+            if (encrypted) logger("warn", `Failed to decrypt the maFile '${e}'. Is your passphrase correct? Ignoring it...`);
+                else logger("warn", `Failed to read the maFile '${e}'. Ignoring it... Error: ${err}`);
+        }
+    });
+
+    // Reset passphrase if no file could be decrypted to ask again on the next reload
+    if (encrypted && Object.keys(maFiles).length == 0) passphrase = null;
+
+    // Match maFiles to accounts by their account name
+    let unmatched = [];
+
+    Object.keys(maFiles).forEach((e) => {
+        let accountName = Object.keys(logininfo).find(f => f.toLowerCase() == String(maFiles[e].account_name).toLowerCase());
+
+        if (!accountName) return unmatched.push(e);
+
+        if (logininfo[accountName].sharedSecret) return logger("debug", `DataManager _importMaFiles(): Account '${accountName}' already has a shared secret, not using the one from '${e}'`);
+
+        logininfo[accountName].sharedSecret = maFiles[e].shared_secret;
+        logininfo[accountName].maFile       = e; // Remember the source to prevent writeLogininfoToDisk() from writing the secret to disk
+    });
+
+    let missing = Object.keys(logininfo).filter(e => !Object.values(maFiles).some(f => String(f.account_name).toLowerCase() == e.toLowerCase()));
+
+    if (unmatched.length > 0) logger("warn", `${unmatched.length} maFile(s) don't match any of your accounts: ${unmatched.join(", ")}`);
+    if (missing.length > 0)   logger("warn", `${missing.length} account(s) have no maFile: ${missing.join(", ")}`);
+
+    logger("info", `Imported shared secrets of ${Object.values(logininfo).filter(e => e.maFile).length} account(s) from your maFiles...`, false, true, logger.animation("loading"));
+};
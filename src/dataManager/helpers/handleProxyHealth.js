@@ -0,0 +1,86 @@
+/*
+ * File: handleProxyHealth.js
+ * Project: steam-comment-service-bot
+ * Created Date: 05.08.2023 10:14:26
+ * Author: 3urobeat
+ *
+ * Last Modified: 05.08.2023 12:41:17
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const DataManager = require("../dataManager");
+
+
+/**
+ * Gets the health record of a proxy and creates an empty one if none exists yet
+ * @param {DataManager} dataManager The dataManager object
+ * @param {number} proxyIndex Index of the proxy in the proxies array
+ * @returns {{ rateLimits: number, connectionFailures: number, recentErrors: number, latency: number|null, lastCheck: number, unhealthyChecks: number }} The health record
+ */
+function getRecord(dataManager, proxyIndex) {
+    if (!dataManager.proxyHealth[proxyIndex]) {
+        dataManager.proxyHealth[proxyIndex] = { rateLimits: 0, connectionFailures: 0, recentErrors: 0, latency: null, lastCheck: 0, unhealthyChecks: 0 };
+    }
+
+    return dataManager.proxyHealth[proxyIndex];
+}
+
+
+/**
+ * Records an error which was caused by a proxy, for example a HTTP 429 or a lost connection
+ * @param {number} proxyIndex Index of the proxy in the proxies array
+ * @param {"rateLimit"|"connectionFailure"} type Type of the error
+ */
+DataManager.prototype.recordProxyError = function(proxyIndex, type) {
+    let record = getRecord(this, proxyIndex);
+
+    if (type == "rateLimit") record.rateLimits++;
+        else record.connectionFailures++;
+
+    record.recentErrors++; // Reset by every health check
+
+    logger("debug", `DataManager recordProxyError(): Recorded ${type} for proxy ${proxyIndex}. Errors since last check: ${record.recentErrors}`);
+};
+
+
+/**
+ * Records the result of a health check of a proxy and updates its unhealthy streak
+ * @param {number} proxyIndex Index of the proxy in the proxies array
+ * @param {number|null} latency Time in ms the proxy took to reach Steam or `null` if the check failed
+ * @returns {boolean} `true` if the proxy is healthy, `false` otherwise
+ */
+DataManager.prototype.recordProxyCheck = function(proxyIndex, latency) {
+    let record = getRecord(this, proxyIndex);
+
+    if (latency == null) record.connectionFailures++;
+
+    let healthy = latency != null && record.recentErrors < this.advancedconfig.proxyHealthErrorThreshold;
+
+    record.latency      = latency;
+    record.lastCheck    = Date.now();
+    record.recentErrors = 0;
+
+    if (healthy) record.unhealthyChecks = 0;
+        else record.unhealthyChecks++;
+
+    return healthy;
+};
+
+
+/**
+ * Checks if a proxy passed its last health check
+ * @param {number} proxyIndex Index of the proxy in the proxies array
+ * @returns {boolean} `true` if the proxy is healthy or was not checked yet, `false` otherwise
+ */
+DataManager.prototype.isProxyHealthy = function(proxyIndex) {
+    let record = this.proxyHealth[proxyIndex];
+
+    return !record || record.unhealthyChecks == 0;
+};
@@ -0,0 +1,129 @@
+/*
+ * File: handleRoles.js
+ * Project: steam-comment-service-bot
+ * Created Date: 10.08.2023 13:41:06
+ * Author: 3urobeat
+ *
+ * Last Modified: 10.08.2023 15:08:14
+ * Modified By: 3urobeat
+ *
+ * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
+ *
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public License for more details.
+ * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+const DataManager = require("../dataManager");
+
+
+// All roles, sorted from lowest to highest. Every role includes the permissions of the roles below it
+const roleHierarchy = ["user", "trusted", "moderator", "owner"];
+
+
+/**
+ * Internal: Loads the roles of all users from the disk
+ */
+DataManager.prototype._loadUserRoles = function() {
+    this.userRolesDB.find({}, (err, docs) => {
+        if (err) return logger("error", "Failed to load user roles from the disk! Error: " + err);
+
+        docs.forEach((e) => {
+            this.userRoles[e.id] = e.role;
+        });
+
+        logger("debug", `DataManager _loadUserRoles(): Loaded ${docs.length} user roles`);
+    });
+};
+
+
+/**
+ * Gets the names of all roles, sorted from lowest to highest
+ * @returns {Array.<string>} Array of role names
+ */
+DataManager.prototype.getRoleHierarchy = function() {
+    return [ ...roleHierarchy ];
+};
+
+
+/**
+ * Gets the role of a user. Owners always have the role "owner", users without an assigned role have the role "user".
+ * @param {string} id ID of the user to look up
+ * @param {Array.<string>} [ownerIDs] Optional: Custom owner IDs of this request. Defaults to the `ownerid` array of the config.
+ * @returns {string} Name of the role
+ */
+DataManager.prototype.getUserRole = function(id, ownerIDs) {
+    let owners = this.cachefile.ownerid;
+    if (ownerIDs && ownerIDs.length > 0) owners = ownerIDs;
+
+    if (id && owners.includes(id)) return "owner";
+
+    return this.userRoles[id] || "user";
+};
+
+
+/**
+ * Checks if a user has a role or a role which is higher in the hierarchy
+ * @param {string} id ID of the user to check
+ * @param {string} role Name of the role the user should at least have
+ * @param {Array.<string>} [ownerIDs] Optional: Custom owner IDs of this request. Defaults to the `ownerid` array of the config.
+ * @returns {boolean} `true` if the user has this role or a higher one, `false` otherwise
+ */
+DataManager.prototype.hasRole = function(id, role, ownerIDs) {
+    if (!roleHierarchy.includes(role)) {
+        logger("warn", `DataManager hasRole(): Unknown role '${role}'! Only permitting owners to be safe.`);
+        role = "owner";
+    }
+
+    return roleHierarchy.indexOf(this.getUserRole(id, ownerIDs)) >= roleHierarchy.indexOf(role);
+};
+
+
+/**
+ * Gets the limits configured in the `roles` object of the advancedconfig for the role of a user
+ * @param {string} id ID of the user to look up
+ * @param {Array.<string>} [ownerIDs] Optional: Custom owner IDs of this request. Defaults to the `ownerid` array of the config.
+ * @returns {{ maxComments?: number }} The configured limits of this role. Empty if none are configured.
+ */
+DataManager.prototype.getRoleLimits = function(id, ownerIDs) {
+    let roles = this.advancedconfig.roles || {};
+
+    return roles[this.getUserRole(id, ownerIDs)] || {};
+};
+
+
+/**
+ * Assigns a role to a user and writes it to the disk. Assigning the role "user" removes the role of the user.
+ * @param {string} id ID of the user
+ * @param {string} role Name of the role. The role "owner" cannot be assigned, please use the `ownerid` array in the config instead.
+ * @returns {Promise.<boolean>} Resolves with `true` on success and `false` if the role is invalid or could not be written to the disk
+ */
+DataManager.prototype.setUserRole = function(id, role) {
+    return new Promise((resolve) => {
+        if (!roleHierarchy.includes(role) || role == "owner") {
+            logger("warn", `DataManager setUserRole(): Refusing to assign invalid role '${role}' to '${id}'!`);
+            return resolve(false);
+        }
+
+        // Remove entry for users without role to keep the database small
+        if (role == "user") {
+            delete this.userRoles[id];
+
+            this.userRolesDB.remove({ id: id }, {}, (err) => {
+                if (err) logger("error", `Failed to remove role of '${id}' from the disk! Error: ${err}`);
+
+                resolve(!err);
+            });
+            return;
+        }
+
+        this.userRoles[id] = role;
+
+        this.userRolesDB.update({ id: id }, { id: id, role: role }, { upsert: true }, (err) => {
+            if (err) logger("error", `Failed to write role of '${id}' to the disk! Error: ${err}`);
+
+            resolve(!err);
+        });
+    });
+};
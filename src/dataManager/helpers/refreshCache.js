@@ -4,7 +4,7 @@
  * Created Date: 29.03.2023 17:44:47
  * Author: 3urobeat
  *
- * Last Modified: 02.07.2023 19:07:41
+ * Last Modified: 11.08.2023 16:04:27
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -14,7 +14,6 @@
  * You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
-const fs = require("fs");
 const SteamID = require("steamid");
 
 const DataManager = require("../dataManager");
@@ -29,11 +28,11 @@ DataManager.prototype.refreshCache = function () {
     let tempArr = [];
 
     this.controller.getBots().forEach((e, i) => {
-        // Get all online accounts
-        tempArr.push(new SteamID(String(e.user.steamID)).getSteamID64());
+        // Get all online accounts and store them at their login index as indices can have gaps when accounts were removed at runtime
+        tempArr[e.index] = new SteamID(String(e.user.steamID)).getSteamID64();
 
         // Check if this bot account is listed as an owner id and display warning
-        if (this.cachefile.ownerid.includes(tempArr[i])) logger("warn", `You provided an ownerid in the config that points to a bot account used by this bot! This is not allowed.\n       Please change id ${tempArr[i]} to point to your personal steam account!`, true);
+        if (this.cachefile.ownerid.includes(tempArr[e.index])) logger("warn", `You provided an ownerid in the config that points to a bot account used by this bot! This is not allowed.\n       Please change id ${tempArr[e.index]} to point to your personal steam account!`, true);
 
         // Write tempArr to cachefile on last iteration
         if (this.controller.getBots().length == i + 1) {
@@ -51,7 +50,5 @@ DataManager.prototype.refreshCache = function () {
     this.cachefile["datajson"] = this.datafile;
 
     // Write changes to file
-    fs.writeFile(srcdir + "/data/cache.json", JSON.stringify(this.cachefile, null, 4), (err) => {
-        if (err) logger("error", "error writing file backups to cache.json: " + err);
-    });
+    this.writeCachefileToDisk();
 };
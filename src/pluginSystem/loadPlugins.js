@@ -4,7 +4,7 @@
  * Created Date: 04.06.2023 15:37:17
  * Author: DerDeathraven
  *
- * Last Modified: 05.07.2023 10:31:36
+ * Last Modified: 11.08.2023 17:40:15
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -24,6 +24,14 @@ const PLUGIN_EVENTS = {
     READY: "ready",
     STATUS_UPDATE: "statusUpdate",
     steamGuardInput: "steamGuardInput",
+    REQUEST_STARTED: "requestStarted",
+    ITERATION_SUCCEEDED: "iterationSucceeded",
+    ITERATION_FAILED: "iterationFailed",
+    REQUEST_RETRYING: "requestRetrying",
+    REQUEST_ABORTED: "requestAborted",
+    REQUEST_FINISHED: "requestFinished",
+    FRIEND_ADDED: "friendAdded",
+    FRIEND_REMOVED: "friendRemoved",
 };
 
 
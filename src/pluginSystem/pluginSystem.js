@@ -4,7 +4,7 @@
  * Created Date: 19.03.2023 13:34:27
  * Author: 3urobeat
  *
- * Last Modified: 07.07.2023 12:43:16
+ * Last Modified: 11.08.2023 17:40:15
  * Modified By: 3urobeat
  *
  * Copyright (c) 2023 3urobeat <https://github.com/3urobeat>
@@ -26,6 +26,14 @@ const Bot = require("../../src/bot/bot.js"); // eslint-disable-line
  * @property {function(): void} ready Controller ready event
  * @property {function(Bot, Bot.EStatus, Bot.EStatus): void} statusUpdate Controller statusUpdate event
  * @property {function(Bot, function(string): void): void} steamGuardInput Controller steamGuardInput event
+ * @property {function(string, object): void} requestStarted Controller requestStarted event, called when a comment, vote or favorite request starts
+ * @property {function(string, object, Bot): void} iterationSucceeded Controller iterationSucceeded event, called when a bot account successfully made one iteration of a request
+ * @property {function(string, object, Bot, (Error|string)): void} iterationFailed Controller iterationFailed event, called when one iteration of a request failed or was skipped. Bot is null if the account does not exist.
+ * @property {function(string, object): void} requestRetrying Controller requestRetrying event, called when failed iterations of a request are going to be retried
+ * @property {function(string, object, Bot, (Error|string)): void} requestAborted Controller requestAborted event, called when a request was aborted by a user or because of an error. Bot and error are only passed if it was stopped because of an error.
+ * @property {function(string, object): void} requestFinished Controller requestFinished event, called when a request has finished or stopped
+ * @property {function(Bot, string): void} friendAdded Controller friendAdded event, called when a user was added to the friendlist of a bot account
+ * @property {function(Bot, string): void} friendRemoved Controller friendRemoved event, called when a user was removed from the friendlist of a bot account
  */
 
 /**
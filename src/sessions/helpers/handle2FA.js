@@ -4,7 +4,7 @@
  * Created Date: 09.10.2022 12:59:31
  * Author: 3urobeat
  *
- * Last Modified: 04.07.2023 17:50:12
+ * Last Modified: 08.08.2023 15:21:47
  * Modified By: 3urobeat
  *
  * Copyright (c) 2022 3urobeat <https://github.com/3urobeat>
@@ -18,6 +18,56 @@
 const SteamSession = require("steam-session"); // Only needed for the enum definitions below
 
 const SessionHandler = require("../sessionHandler.js");
+const EStatus        = require("../../bot/EStatus.js");
+
+
+/**
+ * Asks all owners for a Steam Guard Code via the Steam Chat. Uses the main account or, if it is the account being logged in or offline, any other online account.
+ * @param {SessionHandler} sessionHandler The sessionHandler object of the account which needs a code
+ * @param {function(): boolean} isAnswered Function which returns true if the code has been provided from somewhere else in the meantime
+ * @param {function(string): void} callback Called with the code or an empty string if an owner wants to skip this account
+ */
+function askOwnersViaChat(sessionHandler, isAnswered, callback) {
+    let controller = sessionHandler.controller;
+    let bot        = sessionHandler.bot;
+
+    // Bot 0 is the account being logged in when it needs a code, so another account has to send the messages
+    let sender = controller.main;
+
+    if (!sender || sender == bot || sender.status != EStatus.ONLINE) sender = controller.getBots().find(e => e != bot);
+
+    if (!sender) return logger("info", `[${bot.logPrefix}] No other account is online to ask owners for the Steam Guard Code via the Steam Chat. Please enter it in the terminal.`, true);
+
+    logger("info", `[${bot.logPrefix}] Asking owners for the Steam Guard Code via the Steam Chat...`, false, true);
+
+    let msg = controller.data.lang.steamguardcodechatrequest.replace("botindex", bot.index).replace("accountname", sessionHandler.logOnOptions.accountName);
+
+    if (bot.index != 0) msg += "\n" + controller.data.lang.steamguardcodechatskip; // The main account can't be skipped
+
+    controller.data.cachefile.ownerid.forEach((e, i) => {
+        setTimeout(() => {
+            if (isAnswered()) return;
+
+            sender.sendChatMessage(sender, { userID: e }, msg);
+
+            sender.readChatMessage(e, 90000)
+                .then((text) => {
+                    if (!text || isAnswered()) return; // Ignore timeouts and responses of other owners after the first one
+
+                    text = text.trim();
+
+                    if (text.toLowerCase() == "skip") {
+                        if (bot.index == 0) return sender.sendChatMessage(sender, { userID: e }, controller.data.lang.steamguardcodechatnoskip);
+
+                        return callback("");
+                    }
+
+                    sender.sendChatMessage(sender, { userID: e }, controller.data.lang.steamguardcodechatreceived.replace("accountname", sessionHandler.logOnOptions.accountName));
+                    callback(text);
+                });
+        }, 1500 * i); // Delay messages to avoid running into a cooldown
+    });
+}
 
 
 /**
@@ -93,12 +143,20 @@ SessionHandler.prototype._get2FAUserInput = function() {
         timeout = 90000;
     }
 
+    let answered = false; // Prevents codes from the Steam Chat being submitted after the terminal was answered
+
     // Ask user for code
     logger.readInput(question, timeout, (text) => {
+        answered = true;
+
+        if (text == "skip" && logger.isHeadless()) text = ""; // The headless policy skips accounts with "skip" as an empty answer can't be distinguished from a missing one
+
         if (!text || text == "") { // No response or manual skip
             if (text == null) logger("info", "Skipping account because you didn't respond in 1.5 minutes...", true); // No need to check for main acc as timeout is disabled for it
 
             if (this.bot.index == 0) { // First account can't be skipped, ask again
+                if (logger.isHeadless()) return logger.headlessExit("The first account can't be skipped but your policy tells the bot to skip Steam Guard Codes! Set 'steamGuardCode' to 'wait' to get the code from the Steam Chat or a plugin.");
+
                 logger("warn", "The first account always has to be logged in!", true);
 
                 setTimeout(() => {
@@ -120,13 +178,23 @@ SessionHandler.prototype._get2FAUserInput = function() {
         }
 
         this.controller.info.steamGuardInputTime += Date.now() - steamGuardInputStart; // Measure time and subtract it from readyafter time
-    });
+    }, "steamGuardCode");
 
     // Emit steamGuardInput event from our controller so that plugins can handle this event too
     this.controller._steamGuardInputEvent(this.bot, (code) => {
         logger("info", `Received code '${code}' from a plugin or the Steam Chat! Resolving...`, false, true);
         logger.stopReadInput(code);
     });
+
+    // Ask owners via the Steam Chat so the code can be provided without access to the terminal
+    if (this.controller.data.advancedconfig.steamGuardInputViaChat) {
+        askOwnersViaChat(this, () => answered, (code) => {
+            if (code) logger("info", `Received code '${code}' from an owner via the Steam Chat! Resolving...`, false, true);
+                else logger("info", "An owner skipped this account via the Steam Chat! Resolving...", false, true);
+
+            logger.stopReadInput(code);
+        });
+    }
 };
 
 
@@ -4,7 +4,7 @@
  * Created Date: 10.10.2022 12:53:20
  * Author: 3urobeat
  *
- * Last Modified: 08.07.2023 00:36:49
+ * Last Modified: 08.08.2023 10:17:52
  * Modified By: 3urobeat
  *
  * Copyright (c) 2022 3urobeat <https://github.com/3urobeat>
@@ -15,6 +15,8 @@
  */
 
 
+const SteamSession = require("steam-session");
+
 const SessionHandler = require("../sessionHandler.js");
 
 
@@ -33,8 +35,11 @@ SessionHandler.prototype._getTokenFromStorage = function(callback) {
 
         // If we still have a token stored then check if it is still valid
         if (doc) {
+            let token = this.controller.data.decryptString(doc.token); // Returns the token unchanged if encryption is disabled
+            if (!token) return callback(null); // Get new session if the token could not be decrypted
+
             // Decode the token we've found
-            let jwtObj = this.controller.data.decodeJWT(doc.token);
+            let jwtObj = this.controller.data.decodeJWT(token);
             if (!jwtObj) return callback(null); // Get new session if _decodeJWT() failed
 
             // Define valid until str to use it in log msg
@@ -43,7 +48,7 @@ SessionHandler.prototype._getTokenFromStorage = function(callback) {
             // Compare expire value (unix timestamp in seconds) to current date
             if (jwtObj.exp * 1000 > Date.now()) {
                 logger("info", `[${this.bot.logPrefix}] Found valid token until '${validUntilStr}' in tokens.db! Logging in with it to reuse session...`, false, true, logger.animation("loading"));
-                callback(doc.token);
+                callback(token);
             } else {
                 logger("info", `[${this.bot.logPrefix}] Found invalid token in tokens.db. It was valid till '${validUntilStr}'. Logging in with credentials to get a new session...`, false, true, logger.animation("loading"));
                 callback(null);
@@ -64,7 +69,47 @@ SessionHandler.prototype._saveTokenToStorage = function(token) {
     logger("debug", `[${this.bot.logPrefix}] _saveTokenToStorage(): Updating tokens.db entry for accountName '${this.logOnOptions.accountName}'...`);
 
     // Update db entry for this account. Upsert is enabled so a new doc will be inserted if none exists yet
-    this.tokensdb.updateAsync({ accountName: this.logOnOptions.accountName }, { $set: { token: token } }, { upsert: true });
+    this.tokensdb.updateAsync({ accountName: this.logOnOptions.accountName }, { $set: { token: this.controller.data.encryptString(token) } }, { upsert: true });
+};
+
+
+/**
+ * Attempts to renew the refresh token of this account stored in tokens.db without logging in again. Steam only issues a new token if the current one is close to expiring.
+ * @returns {Promise.<boolean>} Resolves with `true` if a new token was issued and saved to tokens.db, `false` otherwise
+ */
+SessionHandler.prototype.attemptTokenRenew = function() {
+    return new Promise((resolve) => {
+        this.tokensdb.findOne({ accountName: this.logOnOptions.accountName }, (err, doc) => {
+            if (err || !doc) return resolve(false);
+
+            let token = this.controller.data.decryptString(doc.token); // Returns the token unchanged if encryption is disabled
+            if (!token) return resolve(false);
+
+            logger("debug", `[${this.bot.logPrefix}] attemptTokenRenew(): Attempting to renew refreshToken for accountName '${this.logOnOptions.accountName}'...`);
+
+            // Use a separate session to not interfere with a login which might be in progress
+            let session = new SteamSession.LoginSession(SteamSession.EAuthTokenPlatformType.SteamClient, this.controller.data.getProxyOptions(this.bot.loginData.proxy).steam);
+
+            session.refreshToken = token;
+
+            session.renewRefreshToken()
+                .then((renewed) => {
+                    if (!renewed) {
+                        logger("debug", `[${this.bot.logPrefix}] attemptTokenRenew(): Steam did not issue a new refreshToken`);
+                        return resolve(false);
+                    }
+
+                    logger("info", `[${this.bot.logPrefix}] Successfully renewed the login token of account '${this.logOnOptions.accountName}'!`);
+
+                    this._saveTokenToStorage(session.refreshToken);
+                    resolve(true);
+                })
+                .catch((err) => {
+                    logger("debug", `[${this.bot.logPrefix}] attemptTokenRenew(): Failed to renew refreshToken: ${err}`);
+                    resolve(false);
+                });
+        });
+    });
 };
 
 
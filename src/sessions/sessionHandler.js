@@ -4,7 +4,7 @@
  * Created Date: 09.10.2022 12:47:27
  * Author: 3urobeat
  *
- * Last Modified: 08.07.2023 00:36:45
+ * Last Modified: 08.08.2023 10:17:52
  * Modified By: 3urobeat
  *
  * Copyright (c) 2022 3urobeat <https://github.com/3urobeat>
@@ -117,7 +117,7 @@ SessionHandler.prototype._resolvePromise = function(token) {
 SessionHandler.prototype._attemptCredentialsLogin = function() {
 
     // Init new session
-    this.session = new SteamSession.LoginSession(SteamSession.EAuthTokenPlatformType.SteamClient, { httpProxy: this.bot.loginData.proxy });
+    this.session = new SteamSession.LoginSession(SteamSession.EAuthTokenPlatformType.SteamClient, this.controller.data.getProxyOptions(this.bot.loginData.proxy).steam);
 
     // Attach event listeners
     this._attachEvents();
@@ -176,6 +176,12 @@ SessionHandler.prototype._getTokenFromStorage = function(callback) {}; // eslint
  */
 SessionHandler.prototype._saveTokenToStorage = function(token) {}; // eslint-disable-line
 
+/**
+ * Attempts to renew the refresh token of this account stored in tokens.db without logging in again. Steam only issues a new token if the current one is close to expiring.
+ * @returns {Promise.<boolean>} Resolves with `true` if a new token was issued and saved to tokens.db, `false` otherwise
+ */
+SessionHandler.prototype.attemptTokenRenew = function() {};
+
 /**
  * Remove the token of this account from tokens.db. Intended to be called from the steam-user login error event when an invalid token was used so the next login attempt will create a new one.
  */
@@ -4,7 +4,7 @@
  * Created Date: 10.07.2021 10:26:00
  * Author: 3urobeat
  *
- * Last Modified: 05.07.2023 10:48:48
+ * Last Modified: 08.08.2023 15:21:47
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -36,6 +36,12 @@ let parentExitEvent;
 // Set the current working directory path to a global var so the bot can use it later
 global.srcdir = __dirname;
 
+// Enable headless mode when started with --headless. The env var is inherited by the child process which checks it in logger.js
+if (process.argv.includes("--headless")) process.env.STEAM_COMMENT_BOT_HEADLESS = "true";
+
+// Exit code of the child process when a prompt can't be answered in headless mode. Restarting would only run into the same prompt again
+const headlessExitCode = 78;
+
 // Set timestamp checked in controller.js to 0 for the starter process (this one) to make sure the bot can never start here and only in the child process spawned by this.run()
 process.argv[3] = 0;
 
@@ -217,6 +223,11 @@ function attachChildListeners() {
     forkedprocess.on("close", (code) => {
         if (requestedKill) return;
 
+        if (code == headlessExitCode) {
+            logger("error", `Child Process exited with code ${code} because a prompt could not be answered in headless mode! Not restarting, please check your policy file or env vars.`);
+            process.exit(headlessExitCode);
+        }
+
         logger("warn", `Child Process exited with code ${code}! Attempting to restart...`);
 
         detachParentListeners();
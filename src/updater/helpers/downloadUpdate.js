@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 29.06.2023 22:35:03
+ * Last Modified: 10.08.2023 17:14:36
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -29,7 +29,8 @@ module.exports.startDownload = (controller) => {
 
         // Start by defining which files we should keep
         const dontDelete = [
-            "./src/data/cache.json", "./src/data/lastcomment.db", "./src/data/tokens.db", "./output.txt", // Data stuff
+            "./src/data/cache.json", "./src/data/lastcomment.db", "./src/data/tokens.db", "./src/data/encryption.json", "./output.txt", // Data stuff
+            "./src/data/requestQueue.db", "./src/data/schedule.db", "./src/data/activeRequests.db", "./src/data/accountHealth.db", "./src/data/userRoles.db", "./src/data/commandCooldowns.db", // Request data stuff
             "./accounts.txt", "./customlang.json", "./logininfo.json", "./proxies.txt", "./quotes.txt"    // User config stuff
         ];
 
@@ -82,11 +83,11 @@ module.exports.startDownload = (controller) => {
 
                 files.forEach((e, i) => {
 
-                    // Remove old files except dontDelete, the freshly downloaded files, the node_modules, backup, plugin data and .git folders
+                    // Remove old files except dontDelete, the freshly downloaded files, the node_modules, backup, plugin data, maFiles and .git folders
                     if (fs.existsSync(e) && !dontDelete.includes(e)
                         && !e.includes(`./steam-comment-service-bot-${controller.data.datafile.branch}`)
                         && !e.includes("./node_modules") && !e.includes("./backup") && !e.includes("./.git")
-                        && !e.includes("./plugins")) {
+                        && !e.includes("./plugins") && !e.includes("./maFiles")) {
 
                         fs.rmSync(e, { recursive: true });
                     }
@@ -4,7 +4,7 @@
  * Created Date: 09.07.2021 16:26:00
  * Author: 3urobeat
  *
- * Last Modified: 09.07.2023 13:31:31
+ * Last Modified: 08.08.2023 15:21:47
  * Modified By: 3urobeat
  *
  * Copyright (c) 2021 3urobeat <https://github.com/3urobeat>
@@ -197,7 +197,7 @@ Updater.prototype.run = function(forceUpdate, respondModule, resInfo) {
 
                             initiateUpdate();
                         }
-                    });
+                    }, "updateNow");
                 } else {
                     initiateUpdate();
                 }